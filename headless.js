@@ -0,0 +1,323 @@
+// headless.js - Run the city simulation in Node without the Electron window
+// Used for balancing difficulty settings and batch-testing scenarios. The
+// tests in test/ load the game scripts and build sessions through it too.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const USAGE = `Usage: node headless.js [options]
+
+Options:
+  --load <file.cty>       Load a saved city instead of generating a map
+  --scenario <id|file>    Start a scenario from src/scenarios (e.g. tokyo) or a
+                          scenario .json file
+  --map <file.ctymap>     Use a map editor map instead of generated or scenario terrain
+  --difficulty <level>    easy, normal or hard for generated maps (default: easy)
+  --rules <rules>         classic or modern for generated maps (default: classic)
+  --size <size>           small, medium, large or WIDTHxHEIGHT for generated maps
+                          (default: medium)
+  --seed <number>         RNG seed for generated maps and scenarios
+  --water <0-0.5>         Share of a generated map under water (default: 0.15)
+  --coast <side>          none, north, east, south or west (default: none)
+  --no-river              Generate the map without a river
+  --lakes <n>             Number of lakes, 0-5 (default: 1)
+  --forests <0-1>         Forest density (default: 0.5)
+  --months <n>            Number of months to simulate (default: 120)
+  --report-every <n>      Print a report every n months (default: 12)
+  --json                  Print reports as JSON lines instead of text
+  --save <file.cty>       Save the resulting city when done`;
+
+// Game scripts needed by the simulation, in index.html order
+const GAME_SCRIPTS = [
+  'js/data/constants.js',
+  'js/game/Random.js',
+  'js/game/TileStore.js',
+  'js/game/Tile.js',
+  'js/game/TerrainGenerator.js',
+  'js/game/City.js',
+  'js/game/ScenarioMap.js',
+  'js/game/ScenarioLibrary.js',
+  'js/game/Budget.js',
+  'js/game/TripGenerator.js',
+  'js/game/Simulation.js'
+];
+
+// Load the browser scripts into this context so their classes and constants
+// become globals, exactly as they are in the renderer
+function loadGameScripts(scripts = GAME_SCRIPTS) {
+  for (const script of scripts) {
+    const filename = path.join(__dirname, 'src', script);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+  }
+}
+
+// Built-in scenario files
+const SCENARIO_DIR = path.join(__dirname, 'src', 'scenarios');
+
+// Find a scenario by id among the built-in ones, or load it from a file
+function loadScenario(idOrFile) {
+  const readFile = (filePath) => ({ path: filePath, text: fs.readFileSync(filePath, 'utf8') });
+  const library = new ScenarioLibrary();
+
+  if (idOrFile.toLowerCase().endsWith('.json')) {
+    library.addFiles([readFile(path.resolve(idOrFile))]);
+    if (library.errors.length > 0) throw new Error(`Invalid scenario ${library.errors[0]}`);
+    return library.list()[0];
+  }
+
+  const files = fs.readdirSync(SCENARIO_DIR)
+    .filter(name => name.toLowerCase().endsWith('.json'))
+    .map(name => readFile(path.join(SCENARIO_DIR, name)));
+  library.addFiles(files);
+  const scenario = library.get(idOrFile);
+  if (!scenario) {
+    const known = library.list().map(s => s.id).join(', ');
+    throw new Error(`Unknown scenario: ${idOrFile} (available: ${known})`);
+  }
+  return scenario;
+}
+
+// Parse --name value pairs and --flags into an options object
+function parseArgs(argv) {
+  const options = {
+    load: null,
+    scenario: null,
+    map: null,
+    difficulty: 'easy',
+    rules: 'classic',
+    size: 'medium',
+    seed: null,
+    terrain: {},
+    months: 120,
+    reportEvery: 12,
+    json: false,
+    save: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--load': options.load = next(); break;
+      case '--scenario': options.scenario = next(); break;
+      case '--map': options.map = next(); break;
+      case '--difficulty': options.difficulty = next(); break;
+      case '--rules': options.rules = next(); break;
+      case '--size': options.size = next(); break;
+      case '--seed': options.seed = parseInt(next(), 10); break;
+      case '--water': options.terrain.waterCoverage = parseFloat(next()); break;
+      case '--coast': options.terrain.coastline = next(); break;
+      case '--no-river': options.terrain.river = false; break;
+      case '--lakes': options.terrain.lakeCount = parseInt(next(), 10); break;
+      case '--forests': options.terrain.forestDensity = parseFloat(next()); break;
+      case '--months': options.months = parseInt(next(), 10); break;
+      case '--report-every': options.reportEvery = parseInt(next(), 10); break;
+      case '--json': options.json = true; break;
+      case '--save': options.save = next(); break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// Parse a --size value into { width, height }
+function parseMapSize(size) {
+  if (MAP_SIZES[size]) return MAP_SIZES[size];
+
+  const match = /^(\d+)x(\d+)$/.exec(size);
+  const { MIN_MAP_SIZE, MAX_MAP_SIZE } = GAME_CONSTANTS;
+  if (!match) throw new Error(`Unknown map size: ${size}`);
+
+  const width = parseInt(match[1], 10);
+  const height = parseInt(match[2], 10);
+  if ([width, height].some(n => n < MIN_MAP_SIZE || n > MAX_MAP_SIZE)) {
+    throw new Error(`Map sides must be ${MIN_MAP_SIZE}-${MAX_MAP_SIZE} tiles`);
+  }
+  return { width, height };
+}
+
+// Build city, budget and simulation the same way Game does
+function createSession(options) {
+  let city, budget, simulation;
+  const seed = options.seed ?? Random.generateSeed();
+  let map = options.map ? JSON.parse(fs.readFileSync(options.map, 'utf8')) : null;
+
+  if (options.load) {
+    const saveData = JSON.parse(fs.readFileSync(options.load, 'utf8'));
+    city = City.deserialize(saveData.city);
+    budget = Budget.deserialize(saveData.budget);
+    simulation = Simulation.deserialize(saveData.simulation, city, budget);
+  } else if (options.scenario) {
+    const scenario = loadScenario(options.scenario);
+    if (!map && scenario.map.path) {
+      map = JSON.parse(fs.readFileSync(scenario.map.path, 'utf8'));
+    }
+
+    const scenarioMap = new ScenarioMap(scenario.map);
+    city = map ? City.deserialize(map.city) : scenarioMap.createCity();
+    budget = new Budget(scenario.difficulty);
+    budget.funds = scenario.startingFunds;
+    simulation = new Simulation(city, budget, seed);
+    simulation.setScenario(scenario);
+    if (!map) {
+      scenarioMap.build(city);
+    }
+  } else {
+    if (!DIFFICULTY_SETTINGS[options.difficulty]) {
+      throw new Error(`Unknown difficulty: ${options.difficulty}`);
+    }
+    if (!Object.values(RULES).includes(options.rules)) {
+      throw new Error(`Unknown rules: ${options.rules}`);
+    }
+
+    const { coastline } = options.terrain;
+    if (coastline !== undefined && !COASTLINE_SIDES.includes(coastline)) {
+      throw new Error(`Unknown coastline side: ${coastline}`);
+    }
+
+    if (map) {
+      city = City.deserialize(map.city);
+    } else {
+      const { width, height } = parseMapSize(options.size);
+      city = new City(width, height);
+    }
+    budget = new Budget(options.difficulty);
+    simulation = new Simulation(city, budget, seed);
+    simulation.rules = options.rules;
+    if (!map) {
+      city.generateTerrain(options.terrain, seed);
+    }
+  }
+
+  // Ticks are driven by the loop below, never by timers
+  simulation.pause();
+  simulation.population = city.getTotalPopulation();
+
+  return { city, budget, simulation };
+}
+
+// Collect the numbers we care about for balancing
+function getReport({ city, budget, simulation }) {
+  const demand = simulation.getDemandIndicators();
+  return {
+    date: simulation.getDateString(),
+    year: simulation.year,
+    month: simulation.month,
+    population: simulation.population,
+    cityClass: simulation.getCityClass().name,
+    funds: budget.funds,
+    taxRate: budget.taxRate,
+    lastYearCashFlow: budget.lastYearCashFlow,
+    demand,
+    demandCapped: { ...simulation.demandCapped },
+    stats: { ...simulation.stats },
+    approval: simulation.getApprovalRating(),
+    buildings: city.buildings.size,
+    scenario: simulation.scenario ? {
+      id: simulation.scenario.id,
+      progress: simulation.getScenarioProgress(),
+      complete: simulation.scenarioComplete,
+      failed: simulation.scenarioFailed
+    } : null
+  };
+}
+
+// Print one report as text or JSON
+function printReport(report, json) {
+  if (json) {
+    console.log(JSON.stringify(report));
+    return;
+  }
+
+  const { demand, stats } = report;
+  console.log(
+    `${report.date.padEnd(9)} ` +
+    `pop ${String(report.population).padStart(7)}  ` +
+    `funds $${String(report.funds).padStart(7)}  ` +
+    `R/C/I ${demand.residential}/${demand.commercial}/${demand.industrial}  ` +
+    `power ${stats.totalPowerConsumed}/${stats.totalPowerProduced} (${stats.brownoutZones} zones browned out)  ` +
+    `water ${stats.waterConsumed}/${stats.waterProduced} (${stats.waterShortageZones} short, ${stats.dryZones} dry)  ` +
+    `crime ${Math.round(stats.crimeRate)}  ` +
+    `pollution ${Math.round(stats.pollutionLevel)}  ` +
+    `traffic ${Math.round(stats.averageTraffic)} (${Math.round(stats.congestion)}% jammed, ` +
+    `${stats.failedTrips}/${stats.trips} trips failed, ${stats.railTrips} by rail)  ` +
+    `riders ${stats.busRiders} bus/${stats.subwayRiders} subway  ` +
+    `unemployment ${Math.round(stats.unemploymentRate)}%  ` +
+    `approval ${report.approval}%`
+  );
+  const missing = Object.keys(DEMAND_CAPS).filter(zoneType => report.demandCapped[zoneType]);
+  if (missing.length > 0) {
+    console.log(`          ${missing.map(zoneType => DEMAND_CAPS[zoneType].alert).join(', ')}`);
+  }
+  if (report.scenario) {
+    const state = report.scenario.complete ? 'WON' : report.scenario.failed ? 'LOST' : 'running';
+    const { percentage, goalText } = report.scenario.progress;
+    console.log(`          scenario ${report.scenario.id}: ${state}  ${percentage}%  ${goalText}`);
+  }
+}
+
+// Save in the same format as Game.saveCity
+function saveSession({ city, budget, simulation }, filePath) {
+  const saveData = {
+    version: 2,
+    timestamp: Date.now(),
+    city: city.serialize(),
+    budget: budget.serialize(),
+    simulation: simulation.serialize()
+  };
+  fs.writeFileSync(filePath, JSON.stringify(saveData, null, 2));
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  loadGameScripts();
+  const session = createSession(options);
+  const { simulation } = session;
+
+  if (!options.json) {
+    console.log(`Seed ${simulation.random.seed}, running ${options.months} months`);
+  }
+  printReport(getReport(session), options.json);
+
+  for (let month = 1; month <= options.months; month++) {
+    simulation.tick();
+
+    const scenarioOver = simulation.scenarioComplete || simulation.scenarioFailed;
+    if (month % options.reportEvery === 0 || month === options.months || scenarioOver) {
+      printReport(getReport(session), options.json);
+    }
+    if (scenarioOver) break;
+  }
+
+  if (options.save) {
+    saveSession(session, options.save);
+    if (!options.json) console.log(`Saved to ${options.save}`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`headless: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { GAME_SCRIPTS, loadGameScripts, loadScenario, createSession };
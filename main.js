@@ -5,6 +5,12 @@ const fs = require('fs');
 let mainWindow;
 let currentSavePath = null; // Track current save file path
 
+// File types the save/open dialogs can be asked for
+const FILE_KINDS = {
+  city: { noun: 'City', defaultName: 'MyCity.cty', filter: { name: 'ClaudeCity Save', extensions: ['cty'] } },
+  map: { noun: 'Map', defaultName: 'MyMap.ctymap', filter: { name: 'ClaudeCity Map', extensions: ['ctymap'] } }
+};
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1024,
@@ -66,37 +72,39 @@ ipcMain.handle('window-is-maximized', () => {
   return mainWindow?.isMaximized() ?? false;
 });
 
-// File save dialog
-ipcMain.handle('show-save-dialog', async () => {
+// File save dialog (kind is 'city' or 'map'; only cities become the quick-save path)
+ipcMain.handle('show-save-dialog', async (event, kind = 'city') => {
+  const fileKind = FILE_KINDS[kind] || FILE_KINDS.city;
   const result = await dialog.showSaveDialog(mainWindow, {
-    title: 'Save City',
-    defaultPath: currentSavePath || 'MyCity.cty',
+    title: `Save ${fileKind.noun}`,
+    defaultPath: (kind === 'city' && currentSavePath) || fileKind.defaultName,
     filters: [
-      { name: 'ClaudeCity Save', extensions: ['cty'] },
+      fileKind.filter,
       { name: 'All Files', extensions: ['*'] }
     ]
   });
 
   if (!result.canceled && result.filePath) {
-    currentSavePath = result.filePath;
+    if (kind === 'city') currentSavePath = result.filePath;
     return result.filePath;
   }
   return null;
 });
 
 // File open dialog
-ipcMain.handle('show-open-dialog', async () => {
+ipcMain.handle('show-open-dialog', async (event, kind = 'city') => {
+  const fileKind = FILE_KINDS[kind] || FILE_KINDS.city;
   const result = await dialog.showOpenDialog(mainWindow, {
-    title: 'Load City',
+    title: `Load ${fileKind.noun}`,
     filters: [
-      { name: 'ClaudeCity Save', extensions: ['cty'] },
+      fileKind.filter,
       { name: 'All Files', extensions: ['*'] }
     ],
     properties: ['openFile']
   });
 
   if (!result.canceled && result.filePaths.length > 0) {
-    currentSavePath = result.filePaths[0];
+    if (kind === 'city') currentSavePath = result.filePaths[0];
     return result.filePaths[0];
   }
   return null;
@@ -141,3 +149,30 @@ ipcMain.handle('quick-save', async (event, data) => {
     return { success: false, error: error.message };
   }
 });
+
+// Scenario folders: the built-in scenarios, then the player's own
+function getScenarioDirs() {
+  return [
+    path.join(__dirname, 'src', 'scenarios'),
+    path.join(app.getPath('userData'), 'scenarios')
+  ];
+}
+
+// List every scenario file as { path, text } for the renderer to parse
+ipcMain.handle('list-scenarios', async () => {
+  const files = [];
+  for (const dir of getScenarioDirs()) {
+    if (!fs.existsSync(dir)) continue;
+
+    for (const name of fs.readdirSync(dir).sort()) {
+      if (!name.toLowerCase().endsWith('.json')) continue;
+      const filePath = path.join(dir, name);
+      try {
+        files.push({ path: filePath, text: fs.readFileSync(filePath, 'utf-8') });
+      } catch (error) {
+        console.warn('Could not read scenario file:', filePath, error.message);
+      }
+    }
+  }
+  return files;
+});
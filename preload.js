@@ -7,11 +7,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
   closeWindow: () => ipcRenderer.send('window-close'),
   isMaximized: () => ipcRenderer.invoke('window-is-maximized'),
 
-  // File operations
-  showSaveDialog: () => ipcRenderer.invoke('show-save-dialog'),
-  showOpenDialog: () => ipcRenderer.invoke('show-open-dialog'),
+  // File operations (kind is 'city' or 'map')
+  showSaveDialog: (kind) => ipcRenderer.invoke('show-save-dialog', kind),
+  showOpenDialog: (kind) => ipcRenderer.invoke('show-open-dialog', kind),
   saveFile: (filePath, data) => ipcRenderer.invoke('save-file', { filePath, data }),
   loadFile: (filePath) => ipcRenderer.invoke('load-file', filePath),
   getCurrentSavePath: () => ipcRenderer.invoke('get-current-save-path'),
-  quickSave: (data) => ipcRenderer.invoke('quick-save', data)
+  quickSave: (data) => ipcRenderer.invoke('quick-save', data),
+
+  // Scenario files from the scenarios folders ([{ path, text }])
+  listScenarios: () => ipcRenderer.invoke('list-scenarios')
 });
@@ -7,6 +7,14 @@ const DIFFICULTY = {
   HARD: 'hard'
 };
 
+// Rule sets, picked when starting a new city
+// Classic follows the NES game; modern adds effects it left out, such as busy
+// roads polluting and lowering the land value around them
+const RULES = {
+  CLASSIC: 'classic',
+  MODERN: 'modern'
+};
+
 // Difficulty settings (NES SimCity accurate)
 const DIFFICULTY_SETTINGS = {
   easy: {
@@ -50,10 +58,30 @@ const DIFFICULTY_SETTINGS = {
   }
 };
 
+// Map sizes offered when starting a new city (custom sizes are also allowed)
+const MAP_SIZES = {
+  small: { name: 'Small', width: 64, height: 64 },
+  medium: { name: 'Medium', width: 120, height: 120 },
+  large: { name: 'Large', width: 256, height: 256 }
+};
+
+// Terrain generator parameters for new cities (see TerrainGenerator)
+const TERRAIN_DEFAULTS = {
+  waterCoverage: 0.15,   // Share of the map under water (0-0.5)
+  river: true,           // Run a river across the map
+  coastline: 'none',     // Side of the map facing the sea: none, north, east, south, west
+  forestDensity: 0.5,    // 0 (bare) to 1 (heavily wooded)
+  lakeCount: 1           // Number of lakes (0-5)
+};
+
+const COASTLINE_SIDES = ['none', 'north', 'east', 'south', 'west'];
+
 const GAME_CONSTANTS = {
-  // Map settings
+  // Map settings (default size - see MAP_SIZES for the New City choices)
   MAP_WIDTH: 120,
   MAP_HEIGHT: 120,
+  MIN_MAP_SIZE: 32,
+  MAX_MAP_SIZE: 512,
   TILE_SIZE: 16,
 
   // Starting values (default - overridden by difficulty)
@@ -80,11 +108,19 @@ const GAME_CONSTANTS = {
   BUILDING_SIZES: {
     'coal-power': { width: 4, height: 4 },
     'nuclear-power': { width: 4, height: 4 },
+    'gas-power': { width: 3, height: 3 },
+    'oil-power': { width: 4, height: 4 },
+    'hydro-power': { width: 2, height: 2 },
+    'wind-power': { width: 1, height: 1 },
+    'solar-power': { width: 3, height: 3 },
+    'water-pump': { width: 2, height: 2 },
+    'water-tower': { width: 1, height: 1 },
     'police': { width: 3, height: 3 },
     'fire': { width: 3, height: 3 },
     'stadium': { width: 4, height: 4 },
     'seaport': { width: 4, height: 4 },
-    'airport': { width: 6, height: 6 }
+    'airport': { width: 6, height: 6 },
+    'subway-station': { width: 1, height: 1 }
   }
 };
 
@@ -95,6 +131,7 @@ const TOOL_COSTS = {
   'road': 4,           // C64: $4
   'power-line': 2,     // C64: $2
   'rail': 10,
+  'road-upgrade': 8,   // Varies with the road (see ROAD_CLASSES)
   'residential': 100,  // C64: $100
   'commercial': 100,   // C64: $100
   'industrial': 100,   // C64: $100
@@ -103,16 +140,48 @@ const TOOL_COSTS = {
   'park': 10,
   'coal-power': 2000,  // C64: $2000
   'nuclear-power': 5000,
+  'gas-power': 1500,
+  'oil-power': 2500,
+  'hydro-power': 400,
+  'wind-power': 100,
+  'solar-power': 1300,
+  'water-pump': 500,
+  'water-tower': 250,
+  'water-pipe': 3,     // Per tile of pipe
   'stadium': 3000,
   'seaport': 1000,     // C64: $1000
-  'airport': 4000      // C64: $4000
+  'airport': 4000,     // C64: $4000
+  'bus-stop': 50,
+  'subway': 40,        // Per tile of tunnel
+  'subway-station': 500
 };
 
+// Per-tile cost of roads, rails and power lines built out over water
+const BRIDGE_COSTS = {
+  'road': 50,
+  'rail': 100,
+  'power-line': 10
+};
+
+// Longest run of water tiles a bridge can span
+const BRIDGE_MAX_SPAN = 12;
+
+// Per-tile cost of roads and rails tunnelled under water
+// Crossings too long to bridge are tunnelled instead, up to TUNNEL_MAX_LENGTH
+// tiles of water, as long as there is land to come out on
+const TUNNEL_COSTS = {
+  'road': 150,
+  'rail': 250
+};
+
+const TUNNEL_MAX_LENGTH = 24;
+
 // Tool display names
 const TOOL_NAMES = {
   'pointer': 'Select',
   'bulldozer': 'Bulldozer',
   'road': 'Road',
+  'road-upgrade': 'Upgrade Road',
   'power-line': 'Power Line',
   'rail': 'Rail',
   'residential': 'Residential',
@@ -123,9 +192,23 @@ const TOOL_NAMES = {
   'park': 'Park',
   'coal-power': 'Coal Power',
   'nuclear-power': 'Nuclear Power',
+  'gas-power': 'Gas Power',
+  'oil-power': 'Oil Power',
+  'hydro-power': 'Hydro Power',
+  'wind-power': 'Wind Power',
+  'solar-power': 'Solar Power',
+  'water-pump': 'Water Pump',
+  'water-tower': 'Water Tower',
+  'water-pipe': 'Water Pipe',
   'stadium': 'Stadium',
   'seaport': 'Seaport',
-  'airport': 'Airport'
+  'airport': 'Airport',
+  'bus-stop': 'Bus Stop',
+  'subway': 'Subway Tunnel',
+  'subway-station': 'Subway Station',
+  'terrain-water': 'Water',
+  'terrain-forest': 'Forest',
+  'terrain-grass': 'Grass'
 };
 
 // Tile types
@@ -150,12 +233,33 @@ const TILE_TYPES = {
   STADIUM: 34,
   SEAPORT: 35,
   AIRPORT: 36,
+  SUBWAY_STATION: 37,
+  GAS_POWER: 38,
+  OIL_POWER: 39,
+  HYDRO_POWER: 40,
+  WIND_POWER: 41,
+  SOLAR_POWER: 42,
+  WATER_PUMP: 43,
+  WATER_TOWER: 44,
   RUBBLE: 99,
   FIRE_BURNING: 100,
   FLOOD: 101,
   NUCLEAR_WASTE: 102  // From nuclear meltdown - max pollution
 };
 
+// Map editor terrain tools and the tile type each one paints
+const MAP_EDITOR_TERRAIN = {
+  'terrain-water': TILE_TYPES.WATER,
+  'terrain-forest': TILE_TYPES.FOREST,
+  'terrain-grass': TILE_TYPES.EMPTY
+};
+
+// How a terrain tool is applied: freehand brush, flood fill or a dragged shape
+const MAP_EDITOR_SHAPES = ['brush', 'fill', 'rectangle', 'ellipse'];
+
+// Brush diameters offered by the map editor (in tiles)
+const MAP_EDITOR_BRUSH_SIZES = [1, 3, 5, 9];
+
 // Zone development levels - based on NES SimCity mechanics
 // Residential: 9 levels (0 = undeveloped, 1-9 = developed, 9 = TOP)
 // Commercial: 5 levels (0 = undeveloped, 1-5 = developed, 5 = TOP)
@@ -214,7 +318,146 @@ const DENSITY_LEVELS = {
 // Power plant output
 const POWER_OUTPUT = {
   'coal-power': 200,
-  'nuclear-power': 500
+  'nuclear-power': 500,
+  'gas-power': 120,
+  'oil-power': 220,
+  'hydro-power': 40,
+  'wind-power': 10,     // Average - varies with the season (WIND_OUTPUT_BY_MONTH)
+  'solar-power': 60
+};
+
+// Power plant tools and the tile type each one builds
+const POWER_PLANT_TILES = {
+  'coal-power': TILE_TYPES.COAL_POWER,
+  'nuclear-power': TILE_TYPES.NUCLEAR_POWER,
+  'gas-power': TILE_TYPES.GAS_POWER,
+  'oil-power': TILE_TYPES.OIL_POWER,
+  'hydro-power': TILE_TYPES.HYDRO_POWER,
+  'wind-power': TILE_TYPES.WIND_POWER,
+  'solar-power': TILE_TYPES.SOLAR_POWER
+};
+
+// Year each power plant can first be built (SimCity 2000)
+const POWER_PLANT_YEARS = {
+  'coal-power': 1900,
+  'hydro-power': 1900,
+  'oil-power': 1900,
+  'gas-power': 1950,
+  'nuclear-power': 1955,
+  'wind-power': 1980,
+  'solar-power': 1990
+};
+
+// Years each power plant runs before it shuts down (SimCity 2000 plants last 50)
+const POWER_PLANT_LIFESPANS = {
+  'coal-power': 50,
+  'nuclear-power': 50,
+  'gas-power': 40,
+  'oil-power': 50,
+  'hydro-power': 80,
+  'wind-power': 25,
+  'solar-power': 30
+};
+
+// How power plants wear out (see Simulation.updatePowerPlantAging)
+// Once WEAR_START of its lifespan has passed, a plant's output falls steadily
+// to WORN_OUTPUT at the end of it; then the plant shuts down until it is
+// bulldozed and rebuilt. Wear also makes fires and meltdowns likelier: a plant
+// at the end of its life catches fire with FIRE_CHANCE a month, and a nuclear
+// one melts down with MELTDOWN_CHANCE (on difficulties with meltdowns).
+const POWER_PLANT_AGING = {
+  WEAR_START: 0.75,
+  WORN_OUTPUT: 0.5,
+  WARNING_YEARS: 5,         // AlertSystem warns this long before a plant shuts down
+  FIRE_CHANCE: 0.01,
+  MELTDOWN_CHANCE: 0.002
+};
+
+// Share of its average output a wind farm makes in each month (Jan-Dec):
+// windy winters, still summers
+const WIND_OUTPUT_BY_MONTH = [1.4, 1.3, 1.2, 1.0, 0.8, 0.6, 0.5, 0.6, 0.8, 1.0, 1.3, 1.5];
+
+// Power state of a tile that carries power (Simulation.updatePowerGrid)
+const POWER_STATES = {
+  NONE: 0,          // Doesn't carry power
+  POWERED: 1,
+  BROWNOUT: 2,      // Zone shed because its grid's plants can't supply everything on it
+  DISCONNECTED: 3,  // On a grid with lines, roads or rails but no power plant
+  UNPOWERED: 4      // On a grid of nothing but zones and buildings (nothing run to it yet)
+};
+
+// Water system (see Simulation.updateWaterSupply)
+// Pumps fill the pipe network they're on while they have power, PUMP_WATER_BONUS
+// times as fast when they stand beside water. Every zone tile a network
+// reaches uses a unit a month. Towers keep what the pumps make spare, up to
+// TOWER_CAPACITY each, and hand it out when the pumps fall short. Zones are
+// reached through a pipe under or beside them, and zones at GROWTH_LEVELS or
+// above only keep growing with water.
+const WATER_CONSTANTS = {
+  PUMP_OUTPUT: 150,
+  PUMP_WATER_BONUS: 2,
+  TOWER_CAPACITY: 300,
+  GROWTH_LEVELS: { residential: 3, commercial: 2, industrial: 2 }
+};
+
+// Water state of a zone or water network tile (Simulation.updateWaterSupply)
+const WATER_STATES = {
+  NONE: 0,       // Not part of the water system
+  SUPPLIED: 1,
+  SHORTAGE: 2,   // On a network whose pumps and towers can't supply everything on it
+  DRY: 3         // On no network with water in it
+};
+
+// Trip-based traffic (see TripGenerator)
+const TRAFFIC_CONSTANTS = {
+  MAX_TRIP_COST: 80,          // Trips that cost more than this to travel give up
+  RAIL_COST: 1,               // Travel cost of a rail tile (never congests)
+  CONGESTION_COST: 6,         // Extra cost of a road tile at full capacity (see ROAD_CLASSES)
+  RESIDENTS_PER_TRAFFIC: 16,  // Commuters per point of traffic along their route
+  COMMUTE_FREE_COST: 30,      // Commutes up to this cost don't slow growth
+  FAILED_TRIP_DECLINE: 0.05,  // Chance per month a zone with no destination shrinks
+  WALK_MAX_STEPS: 30          // Transit walks that go further than this give up
+};
+
+// Road classes, indexed by a road tile's roadClass
+// The road tool builds streets; the upgrade tool raises a road one class at a
+// time for the difference in cost. capacity is the traffic (0-255) at which the
+// road counts as congested, travelCost what a free-flowing tile costs a trip,
+// and maintenance multiplies the difficulty's per-tile road upkeep.
+const ROAD_CLASSES = [
+  { name: 'Street', cost: 4, capacity: 100, travelCost: 2, maintenance: 1 },
+  { name: 'Avenue', cost: 12, capacity: 170, travelCost: 2, maintenance: 2 },
+  { name: 'Highway', cost: 30, capacity: 240, travelCost: 1, maintenance: 4 }
+];
+
+// Outcome of a residential zone's last transit walk (City.tryTransitWalk)
+const TRIP_RESULTS = {
+  NONE: 0,        // Not tried - no road or rail touches the zone
+  REACHED: 1,     // Found a valid destination
+  DEAD_END: 2,    // Ran into the end of a road or rail
+  TOO_FAR: 3      // Walked WALK_MAX_STEPS tiles without finding one
+};
+
+// Tiles a residential transit walk can end at (NES SimCity rules)
+// Residential zones, parks and nuclear plants are not valid destinations
+const TRANSIT_DESTINATIONS = [
+  TILE_TYPES.ZONE_COMMERCIAL, TILE_TYPES.BUILDING_COMMERCIAL,
+  TILE_TYPES.ZONE_INDUSTRIAL, TILE_TYPES.BUILDING_INDUSTRIAL,
+  TILE_TYPES.POLICE, TILE_TYPES.FIRE, TILE_TYPES.STADIUM,
+  TILE_TYPES.COAL_POWER, TILE_TYPES.SEAPORT, TILE_TYPES.AIRPORT
+];
+
+// Bus and subway service (see TripGenerator)
+// Commuters living within a bus stop's radius take the bus if their trip also
+// ends within reach of a stop; those within a station's radius take the subway
+// if a station on the same tunnel network reaches the end of their trip.
+// Buses still run on the roads, so each bus rider adds BUS_LOAD of a car.
+const TRANSIT_CONSTANTS = {
+  BUS_RADIUS: 4,        // Tiles a bus stop serves
+  SUBWAY_RADIUS: 8,     // Tiles a subway station serves
+  BUS_SHARE: 0.3,       // Share of covered commuters who ride the bus
+  SUBWAY_SHARE: 0.5,    // Share of covered commuters who ride the subway
+  BUS_LOAD: 0.2         // Road traffic per bus rider, against 1 per driver
 };
 
 // Service effect radius
@@ -269,12 +512,26 @@ const COMMERCIAL_LAND_VALUE_REQUIREMENTS = {
 const POLLUTION_VALUES = {
   INDUSTRIAL: 50,       // Per tile of developed industrial zone (9 tiles = 450 total)
   COAL_POWER: 60,       // Per tile of coal power plant (16 tiles)
+  OIL_POWER: 45,        // Per tile of oil power plant (16 tiles)
+  GAS_POWER: 25,        // Per tile of gas power plant (9 tiles)
   SEAPORT: 60,          // Per tile of seaport (16 tiles)
   AIRPORT: 60,          // Per tile of airport (36 tiles)
   FIRE: 60,             // Active fire tile
   NUCLEAR_WASTE: 250,   // Nuclear meltdown - sets 2x2 to max 250
-  TRAFFIC_LIGHT: 0,     // Light traffic (NES version: no pollution from roads)
-  TRAFFIC_HEAVY: 0      // Heavy traffic (NES version: no pollution from roads)
+  TRAFFIC_LIGHT: 15,    // Road tile with light traffic (modern rules - NES roads don't pollute)
+  TRAFFIC_HEAVY: 40     // Road tile with heavy traffic (modern rules - NES roads don't pollute)
+};
+
+// How busy roads hurt their surroundings under modern rules
+// Road traffic (0-255) from LIGHT_TRAFFIC up counts as light, from
+// HEAVY_TRAFFIC up as heavy. Each busy road tile also lowers the land value of
+// tiles within LAND_VALUE_RADIUS, by up to LAND_VALUE_LIGHT/HEAVY right beside it.
+const TRAFFIC_EFFECTS = {
+  LIGHT_TRAFFIC: 50,
+  HEAVY_TRAFFIC: 150,
+  LAND_VALUE_RADIUS: 3,
+  LAND_VALUE_LIGHT: 3,
+  LAND_VALUE_HEAVY: 8
 };
 
 // Pollution diffusion settings (NES SimCity accurate)
@@ -310,6 +567,8 @@ const COMPLAINT_THRESHOLDS = {
   TAX_OPTIMAL: 7,               // Optimal tax rate (no complaints)
   TAX_HIGH: 10,                 // Above this, major complaints
   TRAFFIC_ACCEPTABLE: 80,       // Average traffic on roads considered acceptable
+  TRAFFIC_CONGESTION_WEIGHT: 1, // Complaint % per % of congested roads
+  TRAFFIC_FAILED_TRIP_WEIGHT: 30, // Complaint % when every commute fails
   UNEMPLOYMENT_RATIO: 1.0       // Jobs per resident ratio (below = unemployment)
 };
 
@@ -347,11 +606,19 @@ const TILE_COLORS = {
   // Special buildings
   [TILE_TYPES.COAL_POWER]: '#333333',
   [TILE_TYPES.NUCLEAR_POWER]: '#FFAA00',
+  [TILE_TYPES.GAS_POWER]: '#5F7F8F',
+  [TILE_TYPES.OIL_POWER]: '#4A3B2A',
+  [TILE_TYPES.HYDRO_POWER]: '#2E6FA8',
+  [TILE_TYPES.WIND_POWER]: '#B8D8B0',
+  [TILE_TYPES.SOLAR_POWER]: '#1F3A6B',
+  [TILE_TYPES.WATER_PUMP]: '#3A78C2',
+  [TILE_TYPES.WATER_TOWER]: '#8FB8E0',
   [TILE_TYPES.POLICE]: '#4169E1',
   [TILE_TYPES.FIRE]: '#FF4500',
   [TILE_TYPES.STADIUM]: '#DEB887',
   [TILE_TYPES.SEAPORT]: '#4682B4',
   [TILE_TYPES.AIRPORT]: '#808080',
+  [TILE_TYPES.SUBWAY_STATION]: '#6A3D9A',
 
   // Other
   [TILE_TYPES.RUBBLE]: '#8B4513',
@@ -374,7 +641,18 @@ const MAINTENANCE_COSTS = {
   'police': 100,  // per station
   'fire': 100,    // per station
   'coal-power': 500,
-  'nuclear-power': 1000
+  'nuclear-power': 1000,
+  'gas-power': 300,
+  'oil-power': 600,
+  'hydro-power': 50,
+  'wind-power': 10,
+  'solar-power': 150,
+  'water-pump': 80,
+  'water-tower': 30,
+  'water-pipe': 1,      // per tile of pipe
+  'bus-stop': 60,       // per stop
+  'subway': 4,          // per tile of tunnel
+  'subway-station': 200 // per station
 };
 
 // Demand factors
@@ -387,157 +665,6 @@ const DEMAND_FACTORS = {
   MIN_DEMAND: -1.0
 };
 
-// Scenarios (NES SimCity based)
-const SCENARIOS = {
-  // Practice scenario
-  practice: {
-    id: 'practice',
-    name: 'SimCity',
-    year: 1900,
-    duration: 50,  // years
-    goalType: 'population',
-    goalValue: 50000,
-    description: 'Build a city of 50,000 on this small island.',
-    startingFunds: 20000,
-    difficulty: 'easy',
-    mapType: 'island',
-    scheduledDisasters: []
-  },
-
-  // Challenge scenarios
-  sanFrancisco: {
-    id: 'sanFrancisco',
-    name: 'San Francisco Earthquake',
-    year: 1906,
-    duration: 50,
-    goalType: 'population',
-    goalValue: 100000,
-    description: 'Recover from the great earthquake of 1906 and rebuild the city.',
-    startingFunds: 20000,
-    difficulty: 'easy',
-    mapType: 'sanFrancisco',
-    scheduledDisasters: [
-      { type: 'earthquake', month: 3 }  // Happens early
-    ]
-  },
-
-  bern: {
-    id: 'bern',
-    name: 'Bern Traffic',
-    year: 1965,
-    duration: 100,
-    goalType: 'metropolis',  // Reach metropolis status (population threshold)
-    goalValue: 100000,
-    description: 'Relieve the congested roads and become the National Transportation Planner.',
-    startingFunds: 20000,
-    difficulty: 'easy',
-    mapType: 'bern',
-    scheduledDisasters: []
-  },
-
-  detroit: {
-    id: 'detroit',
-    name: 'Detroit Crime',
-    year: 1972,
-    duration: 100,
-    goalType: 'crime',  // Lower crime rate
-    goalValue: 20,  // Crime below 20%
-    description: 'Lower crime and revive the sagging industrial economy.',
-    startingFunds: 20000,
-    difficulty: 'easy',
-    mapType: 'detroit',
-    scheduledDisasters: []
-  },
-
-  tokyo: {
-    id: 'tokyo',
-    name: 'Tokyo Monster Attack',
-    year: 1961,
-    duration: 50,
-    goalType: 'population',
-    goalValue: 100000,
-    description: 'Recover from the monster attack and rebuild Tokyo.',
-    startingFunds: 20000,
-    difficulty: 'easy',
-    mapType: 'tokyo',
-    scheduledDisasters: [
-      { type: 'monster', month: 6 }
-    ]
-  },
-
-  boston: {
-    id: 'boston',
-    name: 'Boston Nuclear Meltdown',
-    year: 2010,
-    duration: 50,
-    goalType: 'population',
-    goalValue: 100000,
-    description: 'Isolate contaminated areas and rebuild the city.',
-    startingFunds: 20000,
-    difficulty: 'easy',
-    mapType: 'boston',
-    scheduledDisasters: [
-      { type: 'meltdown', month: 1 }  // Happens immediately
-    ]
-  },
-
-  rio: {
-    id: 'rio',
-    name: 'Rio de Janeiro Flooding',
-    year: 2047,
-    duration: 100,
-    goalType: 'population',
-    goalValue: 100000,
-    description: 'Protect the city from rising sea levels and flooding.',
-    startingFunds: 20000,
-    difficulty: 'easy',
-    mapType: 'rio',
-    scheduledDisasters: [
-      { type: 'flood', month: 20 },
-      { type: 'flood', month: 240 },
-      { type: 'flood', month: 480 },
-      { type: 'flood', month: 720 },
-      { type: 'flood', month: 960 }
-    ]
-  },
-
-  // Bonus scenarios
-  lasVegas: {
-    id: 'lasVegas',
-    name: 'Las Vegas U.F.O. Attacks',
-    year: 2096,
-    duration: 100,
-    goalType: 'population',
-    goalValue: 100000,
-    description: 'Rebuild after the U.F.O. attacks devastate the city.',
-    startingFunds: 20000,
-    difficulty: 'easy',
-    mapType: 'lasVegas',
-    isBonus: true,
-    scheduledDisasters: [
-      { type: 'ufo', month: 60 },
-      { type: 'ufo', month: 240 },
-      { type: 'ufo', month: 480 },
-      { type: 'ufo', month: 720 }
-    ]
-  },
-
-  freeland: {
-    id: 'freeland',
-    name: 'Freeland',
-    year: 1999,
-    duration: -1,  // Infinite
-    goalType: 'megalopolis',
-    goalValue: 500000,
-    description: 'Build a Megalopolis on this waterless land in the Midwest.',
-    startingFunds: 20000,
-    difficulty: 'easy',
-    mapType: 'freeland',
-    isBonus: true,
-    scheduledDisasters: []
-  }
-};
-
 // City classification by population
 const CITY_CLASSES = {
   VILLAGE: { name: 'Village', minPop: 0 },
@@ -547,3 +674,30 @@ const CITY_CLASSES = {
   METROPOLIS: { name: 'Metropolis', minPop: 100000 },
   MEGALOPOLIS: { name: 'Megalopolis', minPop: 500000 }
 };
+
+// Buildings a growing city needs (classic SimCity demand caps)
+// Once the population reaches the threshold, demand for the zone type can't
+// rise above 0 until a building of the given type exists. alert is the
+// ticker message shown while it's missing (the stadium has none: citizens
+// already demand one when the city reaches City class).
+const DEMAND_CAPS = {
+  residential: { type: TILE_TYPES.STADIUM, population: CITY_CLASSES.CITY.minPop },
+  commercial: { type: TILE_TYPES.AIRPORT, population: 5000, alert: 'Commerce Needs an Airport' },
+  industrial: { type: TILE_TYPES.SEAPORT, population: CITY_CLASSES.TOWN.minPop, alert: 'Industry Needs a Seaport' }
+};
+
+// Scenario goal types
+// Each measures one city value that has to end up above (at least) or below
+// the goal's value. City class goals have a fixed value; 'and' and 'or' goals
+// combine a list of sub-goals instead of measuring anything themselves.
+const SCENARIO_GOAL_TYPES = {
+  population: { label: 'Population', target: 'above' },
+  metropolis: { label: 'Population', target: 'above', value: CITY_CLASSES.METROPOLIS.minPop, name: 'Metropolis status' },
+  megalopolis: { label: 'Population', target: 'above', value: CITY_CLASSES.MEGALOPOLIS.minPop, name: 'Megalopolis status' },
+  crime: { label: 'Crime', target: 'below', suffix: '%' },
+  traffic: { label: 'Traffic', target: 'below' },
+  pollution: { label: 'Pollution', target: 'below' },
+  landValue: { label: 'Land Value', target: 'above' },
+  funds: { label: 'Funds', target: 'above', prefix: '$' },
+  approval: { label: 'Approval', target: 'above', suffix: '%' }
+};
@@ -15,6 +15,8 @@ class Budget {
     this.fireExpense = 0;
     this.roadExpense = 0;
     this.railExpense = 0;
+    this.transitExpense = 0;
+    this.waterExpense = 0;
 
     // Funding levels (0-100%)
     this.policeFunding = 100;
@@ -77,13 +79,27 @@ class Budget {
     const powerPlants = city.getPowerPlants();
 
     // Road maintenance - uses difficulty-based cost per tile per year
-    // Easy: $0.7, Normal: $0.9, Hard: $1.2 per road tile per year
-    this.roadExpense = Math.floor(infra.roads * this.difficultySettings.roadMaintenanceCost * (this.transportFunding / 100) / 12);
+    // Easy: $0.7, Normal: $0.9, Hard: $1.2 per street tile per year; avenues
+    // and highways cost a multiple of that (ROAD_CLASSES maintenance)
+    const roadUnits = infra.roadClasses.reduce((sum, count, i) => sum + count * ROAD_CLASSES[i].maintenance, 0);
+    this.roadExpense = Math.floor(roadUnits * this.difficultySettings.roadMaintenanceCost * (this.transportFunding / 100) / 12);
 
     // Rail maintenance - uses difficulty-based cost (2x road cost)
     // Easy: $1.4, Normal: $1.8, Hard: $2.4 per rail tile per year
     this.railExpense = Math.floor(infra.rails * this.difficultySettings.railMaintenanceCost * (this.transportFunding / 100) / 12);
 
+    // Bus and subway operating costs
+    const transitCost = infra.busStops * MAINTENANCE_COSTS['bus-stop'] +
+      infra.subwayTunnels * MAINTENANCE_COSTS.subway +
+      infra.subwayStations * MAINTENANCE_COSTS['subway-station'];
+    this.transitExpense = Math.floor(transitCost * (this.transportFunding / 100) / 12);
+
+    // Water pumps, towers and pipes
+    const waterCost = infra.waterPumps * MAINTENANCE_COSTS['water-pump'] +
+      infra.waterTowers * MAINTENANCE_COSTS['water-tower'] +
+      infra.waterPipes * MAINTENANCE_COSTS['water-pipe'];
+    this.waterExpense = Math.floor(waterCost / 12);
+
     // Police maintenance
     const policeCount = services.filter(s => s.type === 'police').length;
     this.policeExpense = Math.floor(policeCount * MAINTENANCE_COSTS.police * (this.policeFunding / 100) / 12);
@@ -98,7 +114,8 @@ class Budget {
       powerExpense += MAINTENANCE_COSTS[plant.type] / 12;
     });
 
-    return this.roadExpense + this.railExpense + this.policeExpense + this.fireExpense + Math.floor(powerExpense);
+    return this.roadExpense + this.railExpense + this.transitExpense + this.waterExpense +
+      this.policeExpense + this.fireExpense + Math.floor(powerExpense);
   }
 
   // Process monthly budget
@@ -172,8 +189,12 @@ class Budget {
       fireExpense: this.fireExpense * 12,
       roadExpense: this.roadExpense * 12,
       railExpense: this.railExpense * 12,
-      totalExpenses: (this.policeExpense + this.fireExpense + this.roadExpense + this.railExpense) * 12,
-      projectedCashFlow: (this.taxIncome - this.policeExpense - this.fireExpense - this.roadExpense - this.railExpense) * 12
+      transitExpense: this.transitExpense * 12,
+      waterExpense: this.waterExpense * 12,
+      totalExpenses: (this.policeExpense + this.fireExpense + this.roadExpense + this.railExpense + this.transitExpense +
+        this.waterExpense) * 12,
+      projectedCashFlow: (this.taxIncome - this.policeExpense - this.fireExpense - this.roadExpense - this.railExpense -
+        this.transitExpense - this.waterExpense) * 12
     };
   }
 
@@ -186,6 +207,9 @@ class Budget {
       policeFunding: this.policeFunding,
       fireFunding: this.fireFunding,
       transportFunding: this.transportFunding,
+      yearlyIncome: this.yearlyIncome,
+      yearlyExpenses: this.yearlyExpenses,
+      lastYearCashFlow: this.lastYearCashFlow,
       history: this.history
     };
   }
@@ -4,81 +4,65 @@ class City {
   constructor(width = GAME_CONSTANTS.MAP_WIDTH, height = GAME_CONSTANTS.MAP_HEIGHT) {
     this.width = width;
     this.height = height;
-    this.tiles = [];
+    this.tileStore = null;      // Typed arrays holding every tile's data
+    this.tiles = [];            // Tile views over tileStore, indexed [y][x]
     this.buildings = new Map(); // Building ID -> building data
     this.nextBuildingId = 1;
 
+    // Change journal: indices of tiles whose layout (TILE_LAYOUT_FIELDS) changed
+    // since the simulation last took it (see takeChanges); a zone developing
+    // isn't a change
+    this.changedTiles = new Set();
+
+    // RNG used by the map generators (replaced by the simulation's own)
+    this.random = new Random();
+
+    // Returns the current month (year * 12 + month) for dating new power
+    // plants; provided by the simulation
+    this.getDate = null;
+
     this.initializeMap();
   }
 
   // Initialize empty map
   initializeMap() {
+    this.tileStore = new TileStore(this.width, this.height);
+    this.tileStore.onLayoutChange = (index) => this.changedTiles.add(index);
     this.tiles = [];
     for (let y = 0; y < this.height; y++) {
       const row = [];
       for (let x = 0; x < this.width; x++) {
-        row.push(new Tile(x, y));
+        row.push(new Tile(x, y, this.tileStore, this.tileStore.indexOf(x, y)));
       }
       this.tiles.push(row);
     }
   }
 
-  // Generate terrain (water, forests)
-  generateTerrain() {
-    // Generate water features using simple noise
-    this.generateWater();
-    // Generate forests
-    this.generateForests();
+  // How much bigger this map is than the default 120x120 (by side length)
+  getMapScale() {
+    return Math.min(this.width, this.height) / GAME_CONSTANTS.MAP_WIDTH;
   }
 
-  generateWater() {
-    // Create a river or lake
-    const riverX = Math.floor(this.width * 0.7);
-    const riverWidth = 4 + Math.floor(Math.random() * 3);
-
-    for (let y = 0; y < this.height; y++) {
-      const offset = Math.sin(y * 0.1) * 3;
-      const startX = Math.floor(riverX + offset);
-
-      for (let x = startX; x < startX + riverWidth && x < this.width; x++) {
-        if (x >= 0 && x < this.width) {
-          this.tiles[y][x].type = TILE_TYPES.WATER;
-        }
-      }
-    }
-
-    // Add a lake
-    const lakeX = Math.floor(this.width * 0.2);
-    const lakeY = Math.floor(this.height * 0.3);
-    const lakeRadius = 8;
-
-    for (let dy = -lakeRadius; dy <= lakeRadius; dy++) {
-      for (let dx = -lakeRadius; dx <= lakeRadius; dx++) {
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist <= lakeRadius + Math.random() * 2) {
-          const x = lakeX + dx;
-          const y = lakeY + dy;
-          if (this.isInBounds(x, y)) {
-            this.tiles[y][x].type = TILE_TYPES.WATER;
-          }
-        }
-      }
-    }
+  // Generate terrain (coast, river, lakes, forests) - see TerrainGenerator
+  // Without a seed the map comes from this city's RNG
+  generateTerrain(params = TERRAIN_DEFAULTS, seed = this.random.nextInt(0x100000000)) {
+    new TerrainGenerator(params, seed).generate(this);
   }
 
   generateForests() {
-    // Scatter forest clusters
-    const numClusters = 15;
+    // Scatter forest clusters (15 on a default-sized map)
+    const area = (this.width * this.height) / (GAME_CONSTANTS.MAP_WIDTH * GAME_CONSTANTS.MAP_HEIGHT);
+    const numClusters = Math.max(3, Math.round(15 * area));
 
     for (let i = 0; i < numClusters; i++) {
-      const cx = Math.floor(Math.random() * this.width);
-      const cy = Math.floor(Math.random() * this.height);
-      const radius = 3 + Math.floor(Math.random() * 5);
+      const cx = this.random.nextInt(this.width);
+      const cy = this.random.nextInt(this.height);
+      const radius = 3 + this.random.nextInt(5);
 
       for (let dy = -radius; dy <= radius; dy++) {
         for (let dx = -radius; dx <= radius; dx++) {
           const dist = Math.sqrt(dx * dx + dy * dy);
-          if (dist <= radius && Math.random() > 0.3) {
+          if (dist <= radius && this.random.next() > 0.3) {
             const x = cx + dx;
             const y = cy + dy;
             if (this.isInBounds(x, y)) {
@@ -93,353 +77,93 @@ class City {
     }
   }
 
-  // Generate scenario-specific map
-  generateScenarioMap(mapType) {
-    this.initializeMap();
-
-    switch (mapType) {
-      case 'island':
-        this.generateIslandMap();
-        break;
-      case 'sanFrancisco':
-        this.generateSanFranciscoMap();
-        break;
-      case 'bern':
-        this.generateBernMap();
-        break;
-      case 'detroit':
-        this.generateDetroitMap();
-        break;
-      case 'tokyo':
-        this.generateTokyoMap();
-        break;
-      case 'boston':
-        this.generateBostonMap();
-        break;
-      case 'rio':
-        this.generateRioMap();
-        break;
-      case 'lasVegas':
-        this.generateLasVegasMap();
-        break;
-      case 'freeland':
-        this.generateFreelandMap();
-        break;
-      default:
-        this.generateTerrain();
-    }
-  }
-
-  // Island map for practice scenario
-  generateIslandMap() {
-    // Fill with water
-    for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        this.tiles[y][x].type = TILE_TYPES.WATER;
-      }
-    }
-
-    // Create main island in center
-    const centerX = Math.floor(this.width / 2);
-    const centerY = Math.floor(this.height / 2);
-    const radiusX = 35;
-    const radiusY = 30;
-
-    for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        const dx = (x - centerX) / radiusX;
-        const dy = (y - centerY) / radiusY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < 1 + Math.sin(Math.atan2(dy, dx) * 5) * 0.15) {
-          this.tiles[y][x].type = TILE_TYPES.EMPTY;
-        }
-      }
-    }
-
-    // Add some forests
-    this.generateForests();
-
-    // Add a small starter city in center
-    this.placeStarterCity(centerX - 10, centerY - 10);
-  }
-
-  // San Francisco - coastal city with bay
-  generateSanFranciscoMap() {
-    // Ocean on west side, bay in center
-    for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < 15; x++) {
-        this.tiles[y][x].type = TILE_TYPES.WATER;
-      }
-    }
-
-    // Bay area
-    const bayX = 50, bayY = 50, bayRadius = 20;
-    for (let dy = -bayRadius; dy <= bayRadius; dy++) {
-      for (let dx = -bayRadius; dx <= bayRadius; dx++) {
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < bayRadius) {
-          const x = bayX + dx, y = bayY + dy;
-          if (this.isInBounds(x, y)) {
-            this.tiles[y][x].type = TILE_TYPES.WATER;
-          }
-        }
-      }
-    }
-
-    this.generateForests();
-    this.placeMediumCity(30, 30);
-  }
-
-  // Bern - landlocked with rivers, heavy traffic city
-  generateBernMap() {
-    // River through city
-    for (let y = 0; y < this.height; y++) {
-      const riverX = 60 + Math.sin(y * 0.08) * 8;
-      for (let x = Math.floor(riverX); x < Math.floor(riverX) + 4; x++) {
-        if (this.isInBounds(x, y)) {
-          this.tiles[y][x].type = TILE_TYPES.WATER;
-        }
-      }
-    }
-
-    this.generateForests();
-    // Dense city with lots of roads (traffic problem)
-    this.placeDenseCity(30, 30);
-  }
-
-  // Detroit - industrial city with crime issues
-  generateDetroitMap() {
-    // River on edge
-    for (let y = 0; y < this.height; y++) {
-      for (let x = this.width - 8; x < this.width; x++) {
-        this.tiles[y][x].type = TILE_TYPES.WATER;
-      }
-    }
-
-    this.generateForests();
-    // Industrial heavy city
-    this.placeIndustrialCity(20, 30);
-  }
-
-  // Tokyo - coastal city
-  generateTokyoMap() {
-    // Bay on south and east
-    for (let y = this.height - 20; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        if (y > this.height - 15 || x > this.width - 30) {
-          this.tiles[y][x].type = TILE_TYPES.WATER;
-        }
-      }
-    }
-
-    for (let y = 0; y < this.height; y++) {
-      for (let x = this.width - 15; x < this.width; x++) {
-        this.tiles[y][x].type = TILE_TYPES.WATER;
-      }
-    }
-
-    this.generateForests();
-    this.placeLargeCity(30, 30);
-  }
-
-  // Boston - coastal city with nuclear plants
-  generateBostonMap() {
-    // Harbor
-    for (let y = 0; y < 25; y++) {
-      for (let x = 0; x < this.width; x++) {
-        if (y < 15 || (x > 40 && x < 80)) {
-          this.tiles[y][x].type = TILE_TYPES.WATER;
-        }
-      }
-    }
-
-    this.generateForests();
-    this.placeNuclearCity(30, 40);
-  }
-
-  // Rio - coastal city prone to flooding
-  generateRioMap() {
-    // Ocean on east
-    for (let y = 0; y < this.height; y++) {
-      for (let x = this.width - 20; x < this.width; x++) {
-        this.tiles[y][x].type = TILE_TYPES.WATER;
-      }
-    }
-
-    // Beach areas (low land)
-    for (let y = 0; y < this.height; y++) {
-      for (let x = this.width - 30; x < this.width - 20; x++) {
-        if (Math.random() < 0.3) {
-          this.tiles[y][x].type = TILE_TYPES.WATER;
-        }
-      }
-    }
-
-    this.generateForests();
-    this.placeCoastalCity(25, 30);
+  // Check if coordinates are in bounds
+  isInBounds(x, y) {
+    return x >= 0 && x < this.width && y >= 0 && y < this.height;
   }
 
-  // Las Vegas - desert city
-  generateLasVegasMap() {
-    // No water - desert
-    this.generateForests(); // Sparse
-    this.placeLargeCity(40, 40);
+  // Get tile at coordinates
+  getTile(x, y) {
+    if (!this.isInBounds(x, y)) return null;
+    return this.tiles[y][x];
   }
 
-  // Freeland - completely flat, no water
-  generateFreelandMap() {
-    // Just forests scattered around
-    this.generateForests();
-    // No starter city - player builds from scratch
+  // Set tile type
+  setTile(x, y, type) {
+    if (!this.isInBounds(x, y)) return false;
+    this.tiles[y][x].type = type;
+    return true;
   }
 
-  // Place a small starter city
-  placeStarterCity(startX, startY) {
-    // Power plant
-    this.placeBuilding(startX, startY, 'coal-power');
+  // Place a road
+  placeRoad(x, y) {
+    const tile = this.getTile(x, y);
+    if (!tile) return false;
 
-    // Some roads
-    for (let i = 0; i < 15; i++) {
-      this.placeRoad(startX + 4 + i, startY + 2);
-      this.placeRoad(startX + 4 + i, startY + 8);
-    }
-    for (let i = 0; i < 7; i++) {
-      this.placeRoad(startX + 4, startY + 2 + i);
-      this.placeRoad(startX + 18, startY + 2 + i);
+    if (tile.canBuildOn() || tile.isPowerLine()) {
+      tile.type = TILE_TYPES.ROAD;
+      tile.roadClass = 0;
+      return true;
     }
-
-    // Zones
-    this.placeZone(startX + 6, startY + 3, 'residential');
-    this.placeZone(startX + 10, startY + 3, 'residential');
-    this.placeZone(startX + 14, startY + 3, 'commercial');
-    this.placeZone(startX + 6, startY + 5, 'industrial');
+    return this.placeTunnel('road', x, y, TILE_TYPES.ROAD) || this.placeBridge('road', x, y, TILE_TYPES.ROAD);
   }
 
-  // Place a medium-sized city
-  placeMediumCity(startX, startY) {
-    this.placeStarterCity(startX, startY);
-
-    // Add more zones
-    for (let i = 0; i < 3; i++) {
-      this.placeZone(startX + 6 + i * 4, startY + 12, 'residential');
-      this.placeZone(startX + 6 + i * 4, startY + 16, 'residential');
-    }
+  // Raise a road one class (street to avenue to highway) in place
+  upgradeRoad(x, y) {
+    const tile = this.getTile(x, y);
+    if (!tile || !this.canUpgradeRoad(tile)) return false;
 
-    // More roads
-    for (let i = 0; i < 20; i++) {
-      this.placeRoad(startX + 4 + i, startY + 11);
-      this.placeRoad(startX + 4 + i, startY + 15);
-      this.placeRoad(startX + 4 + i, startY + 19);
-    }
+    tile.roadClass++;
+    return true;
   }
 
-  // Place a dense city with traffic issues
-  placeDenseCity(startX, startY) {
-    this.placeMediumCity(startX, startY);
-
-    // Dense road network
-    for (let y = 0; y < 40; y += 4) {
-      for (let x = 0; x < 50; x++) {
-        if (this.isInBounds(startX + x, startY + y)) {
-          const tile = this.getTile(startX + x, startY + y);
-          if (tile && tile.isEmpty()) {
-            this.placeRoad(startX + x, startY + y);
-          }
-        }
-      }
-    }
-
-    // Rail system
-    for (let x = 0; x < 50; x += 8) {
-      for (let y = 0; y < 40; y++) {
-        if (this.isInBounds(startX + x, startY + y)) {
-          const tile = this.getTile(startX + x, startY + y);
-          if (tile && tile.isEmpty()) {
-            this.placeRail(startX + x, startY + y);
-          }
-        }
-      }
-    }
+  // Check if a tile is a road below the top class
+  canUpgradeRoad(tile) {
+    return tile.isRoad() && tile.roadClass < ROAD_CLASSES.length - 1;
   }
 
-  // Place industrial-heavy city
-  placeIndustrialCity(startX, startY) {
-    this.placeStarterCity(startX, startY);
-
-    // Lots of industrial zones
-    for (let i = 0; i < 4; i++) {
-      for (let j = 0; j < 3; j++) {
-        this.placeZone(startX + 25 + i * 4, startY + j * 4, 'industrial');
-      }
-    }
+  // Put a bus stop on a road
+  placeBusStop(x, y) {
+    const tile = this.getTile(x, y);
+    if (!tile || !this.canPlaceBusStop(tile)) return false;
 
-    // Few police stations (high crime)
-    this.placeBuilding(startX + 20, startY + 15, 'police');
+    tile.busStop = true;
+    return true;
   }
 
-  // Place large city
-  placeLargeCity(startX, startY) {
-    this.placeMediumCity(startX, startY);
-
-    // More residential
-    for (let i = 0; i < 5; i++) {
-      for (let j = 0; j < 4; j++) {
-        if (Math.random() > 0.3) {
-          this.placeZone(startX + i * 4, startY + 25 + j * 4, 'residential');
-        }
-      }
-    }
-
-    // Services
-    this.placeBuilding(startX + 25, startY + 5, 'police');
-    this.placeBuilding(startX + 25, startY + 10, 'fire');
+  // Check if a tile is a road (not a bridge or tunnel) without a bus stop yet
+  canPlaceBusStop(tile) {
+    return tile.isRoad() && !tile.bridge && !tile.tunnel && !tile.busStop;
   }
 
-  // Place city with nuclear power
-  placeNuclearCity(startX, startY) {
-    this.placeLargeCity(startX, startY);
+  // Dig a subway tunnel under a tile
+  // Tunnels go under anything but water and leave the surface as it is
+  placeSubway(x, y) {
+    const tile = this.getTile(x, y);
+    if (!tile || !this.canPlaceSubway(tile)) return false;
 
-    // Nuclear power plants
-    this.placeBuilding(startX + 40, startY + 10, 'nuclear-power');
-    this.placeBuilding(startX + 50, startY + 10, 'nuclear-power');
+    tile.subway = true;
+    return true;
   }
 
-  // Place coastal city
-  placeCoastalCity(startX, startY) {
-    this.placeMediumCity(startX, startY);
-
-    // Seaport
-    this.placeBuilding(startX + 30, startY + 5, 'seaport');
+  // Check if a tunnel can be dug under a tile
+  canPlaceSubway(tile) {
+    return !tile.isWater() && !tile.bridge && !tile.tunnel && !tile.subway;
   }
 
-  // Check if coordinates are in bounds
-  isInBounds(x, y) {
-    return x >= 0 && x < this.width && y >= 0 && y < this.height;
-  }
-
-  // Get tile at coordinates
-  getTile(x, y) {
-    if (!this.isInBounds(x, y)) return null;
-    return this.tiles[y][x];
-  }
+  // Lay a water pipe under a tile
+  // Like tunnels, pipes go under anything but water and leave the surface as it is
+  placeWaterPipe(x, y) {
+    const tile = this.getTile(x, y);
+    if (!tile || !this.canPlaceWaterPipe(tile)) return false;
 
-  // Set tile type
-  setTile(x, y, type) {
-    if (!this.isInBounds(x, y)) return false;
-    this.tiles[y][x].type = type;
+    tile.waterPipe = 1;
     return true;
   }
 
-  // Place a road
-  placeRoad(x, y) {
-    const tile = this.getTile(x, y);
-    if (!tile) return false;
-
-    if (tile.canBuildOn() || tile.isPowerLine()) {
-      tile.type = TILE_TYPES.ROAD;
-      return true;
-    }
-    return false;
+  // Check if a water pipe can be laid under a tile
+  canPlaceWaterPipe(tile) {
+    return !tile.isWater() && !tile.bridge && !tile.tunnel && tile.waterPipe === 0;
   }
 
   // Place a power line
@@ -455,14 +179,14 @@ class City {
       // Normal power line placement on empty/forest
       tile.type = TILE_TYPES.POWER_LINE;
       return true;
-    } else if (tile.isRoad() || tile.isRail()) {
+    } else if ((tile.isRoad() || tile.isRail()) && !tile.tunnel) {
       // Power line crosses over road/rail
       // Keep the road/rail type but mark as having power line crossover
       tile.powerLineCrossover = true;
       tile.powered = true; // Crossovers conduct power
       return true;
     }
-    return false;
+    return this.placeBridge('power-line', x, y, TILE_TYPES.POWER_LINE);
   }
 
   // Place a rail
@@ -474,9 +198,114 @@ class City {
       tile.type = TILE_TYPES.RAIL;
       return true;
     }
+    return this.placeTunnel('rail', x, y, TILE_TYPES.RAIL) || this.placeBridge('rail', x, y, TILE_TYPES.RAIL);
+  }
+
+  // Build a road, rail or power line out over water if a bridge can reach it
+  placeBridge(tool, x, y, type) {
+    if (!this.canBridge(tool, x, y)) return false;
+
+    const tile = this.getTile(x, y);
+    tile.type = type;
+    tile.bridge = true;
+    tile.roadClass = 0;
+    return true;
+  }
+
+  // Check if a road, rail or power line can be built over the water at (x, y)
+  // Bridges run in a straight line out from the same network on land, and
+  // span at most BRIDGE_MAX_SPAN tiles of water
+  canBridge(tool, x, y) {
+    if (!BRIDGE_COSTS[tool] || !this.getTile(x, y)?.isWater()) return false;
+
+    const directions = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+    for (const [dx, dy] of directions) {
+      for (let span = 1; span <= BRIDGE_MAX_SPAN; span++) {
+        const tile = this.getTile(x - dx * span, y - dy * span);
+        if (!tile || !this.isNetworkTile(tool, tile) || tile.tunnel) break;
+        if (!tile.bridge) return true; // Back on land
+      }
+    }
     return false;
   }
 
+  // Build a road or rail under the water at (x, y) if a tunnel can reach it
+  placeTunnel(tool, x, y, type) {
+    if (!this.canTunnel(tool, x, y)) return false;
+
+    const tile = this.getTile(x, y);
+    tile.type = type;
+    tile.tunnel = 1;
+    tile.roadClass = 0;
+    return true;
+  }
+
+  // Check if a road or rail can be tunnelled under the water at (x, y)
+  // Tunnels run in a straight line from an entrance on land, through any
+  // tunnel already dug, to land on the far side. They only go under crossings
+  // too long to bridge (see isTunnelCrossing).
+  canTunnel(tool, x, y) {
+    if (!TUNNEL_COSTS[tool] || !this.getTile(x, y)?.isWater()) return false;
+
+    const directions = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+    for (const [dx, dy] of directions) {
+      let behind = 1;
+      let tile = this.getTile(x - dx, y - dy);
+      while (tile?.tunnel && this.isNetworkTile(tool, tile)) {
+        behind++;
+        tile = this.getTile(x - dx * behind, y - dy * behind);
+      }
+      if (!tile || !this.isNetworkTile(tool, tile) || tile.bridge) continue;
+
+      if (this.isTunnelCrossing(behind - 1 + this.getWaterAhead(x, y, dx, dy))) return true;
+    }
+    return false;
+  }
+
+  // Count the water tiles from (x, y) onwards in a direction up to the land on
+  // the far side, or 0 if there is no land to come out on (the map edge or a bridge)
+  getWaterAhead(x, y, dx, dy) {
+    let count = 0;
+    let tile = this.getTile(x, y);
+    while (tile?.isWater()) {
+      count++;
+      tile = this.getTile(x + dx * count, y + dy * count);
+    }
+    return tile && !tile.bridge && !tile.tunnel ? count : 0;
+  }
+
+  // Check if a crossing of this many water tiles is tunnelled rather than bridged
+  isTunnelCrossing(length) {
+    return length > BRIDGE_MAX_SPAN && length <= TUNNEL_MAX_LENGTH;
+  }
+
+  // Check if a tile is part of the network a road, rail or power line tool builds
+  isNetworkTile(tool, tile) {
+    switch (tool) {
+      case 'road': return tile.isRoad();
+      case 'rail': return tile.isRail();
+      case 'power-line': return tile.isPowerLine() || tile.powerLineCrossover;
+      default: return false;
+    }
+  }
+
+  // Cost of using a tool at a location - bridges and tunnels cost more than
+  // building on land, and upgrading a road costs the difference between the two classes
+  getToolCost(tool, x, y) {
+    const tile = this.getTile(x, y);
+    if (tile?.isWater() && this.canTunnel(tool, x, y)) {
+      return TUNNEL_COSTS[tool];
+    }
+    if (BRIDGE_COSTS[tool] && tile?.isWater()) {
+      return BRIDGE_COSTS[tool];
+    }
+    if (tool === 'road-upgrade') {
+      if (!tile || !this.canUpgradeRoad(tile)) return 0;
+      return ROAD_CLASSES[tile.roadClass + 1].cost - ROAD_CLASSES[tile.roadClass].cost;
+    }
+    return TOOL_COSTS[tool] || 0;
+  }
+
   // Place a park
   placePark(x, y) {
     const tile = this.getTile(x, y);
@@ -552,11 +381,19 @@ class City {
     switch (buildingType) {
       case 'coal-power': tileType = TILE_TYPES.COAL_POWER; break;
       case 'nuclear-power': tileType = TILE_TYPES.NUCLEAR_POWER; break;
+      case 'gas-power': tileType = TILE_TYPES.GAS_POWER; break;
+      case 'oil-power': tileType = TILE_TYPES.OIL_POWER; break;
+      case 'hydro-power': tileType = TILE_TYPES.HYDRO_POWER; break;
+      case 'wind-power': tileType = TILE_TYPES.WIND_POWER; break;
+      case 'solar-power': tileType = TILE_TYPES.SOLAR_POWER; break;
       case 'police': tileType = TILE_TYPES.POLICE; break;
       case 'fire': tileType = TILE_TYPES.FIRE; break;
       case 'stadium': tileType = TILE_TYPES.STADIUM; break;
       case 'seaport': tileType = TILE_TYPES.SEAPORT; break;
       case 'airport': tileType = TILE_TYPES.AIRPORT; break;
+      case 'subway-station': tileType = TILE_TYPES.SUBWAY_STATION; break;
+      case 'water-pump': tileType = TILE_TYPES.WATER_PUMP; break;
+      case 'water-tower': tileType = TILE_TYPES.WATER_TOWER; break;
       default: return false;
     }
 
@@ -567,6 +404,8 @@ class City {
         const tile = this.getTile(startX + dx, startY + dy);
         tile.type = tileType;
         tile.buildingId = buildingId;
+        // Stations sit on the tunnel network they serve
+        if (tileType === TILE_TYPES.SUBWAY_STATION) tile.subway = true;
         if (dx === 0 && dy === 0) {
           tile.isMainTile = true;
           tile.buildingWidth = width;
@@ -576,7 +415,7 @@ class City {
     }
 
     // Power plants are automatically powered
-    if (buildingType === 'coal-power' || buildingType === 'nuclear-power') {
+    if (POWER_PLANT_TILES[buildingType] !== undefined) {
       for (let dy = 0; dy < height; dy++) {
         for (let dx = 0; dx < width; dx++) {
           const tile = this.getTile(startX + dx, startY + dy);
@@ -594,6 +433,11 @@ class City {
       height
     });
 
+    // Power plants age from the month they're built (see Simulation.updatePowerPlantAging)
+    if (POWER_PLANT_TILES[buildingType] !== undefined && this.getDate) {
+      this.buildings.get(buildingId).built = this.getDate();
+    }
+
     return true;
   }
 
@@ -604,7 +448,9 @@ class City {
 
     // If part of a building, remove entire building
     if (tile.buildingId) {
-      const building = this.buildings.get(tile.buildingId);
+      // Keep the id - clearing the footprint resets tile.buildingId
+      const buildingId = tile.buildingId;
+      const building = this.buildings.get(buildingId);
       if (building) {
         for (let dy = 0; dy < building.height; dy++) {
           for (let dx = 0; dx < building.width; dx++) {
@@ -612,8 +458,18 @@ class City {
             if (t) t.clear();
           }
         }
-        this.buildings.delete(tile.buildingId);
+        this.buildings.delete(buildingId);
+      } else {
+        tile.clear();
       }
+    } else if (tile.bridge || tile.tunnel) {
+      // Bridges fall into the water they crossed, and tunnels flood
+      tile.clear();
+      tile.type = TILE_TYPES.WATER;
+    } else if (tile.isEmpty()) {
+      // Nothing left on top, so dig up the tunnel and pipe underneath
+      tile.subway = false;
+      tile.waterPipe = 0;
     } else {
       tile.clear();
     }
@@ -621,20 +477,168 @@ class City {
     return true;
   }
 
-  // Get all power plants
+  // Check if a tool can be used at a location (ignores cost)
+  canUseTool(tool, x, y) {
+    const tile = this.getTile(x, y);
+    if (!tile) return false;
+
+    switch (tool) {
+      case 'bulldozer':
+        return tile.canBulldoze();
+
+      case 'road':
+        return tile.canBuildOn() || tile.isPowerLine() || this.canTunnel(tool, x, y) || this.canBridge(tool, x, y);
+
+      case 'power-line':
+        return tile.canBuildOn() || (tile.isRoad() && !tile.tunnel) || this.canBridge(tool, x, y);
+
+      case 'rail':
+        return tile.canBuildOn() || this.canTunnel(tool, x, y) || this.canBridge(tool, x, y);
+
+      case 'road-upgrade':
+        return this.canUpgradeRoad(tile);
+
+      case 'bus-stop':
+        return this.canPlaceBusStop(tile);
+
+      case 'subway':
+        return this.canPlaceSubway(tile);
+
+      case 'water-pipe':
+        return this.canPlaceWaterPipe(tile);
+
+      case 'park':
+        return tile.canBuildOn();
+
+      case 'residential':
+      case 'commercial':
+      case 'industrial': {
+        const size = GAME_CONSTANTS.ZONE_SIZE;
+        return this.canBuildArea(x, y, size, size);
+      }
+
+      case 'hydro-power': {
+        // Dams need running water beside them
+        const sizeInfo = GAME_CONSTANTS.BUILDING_SIZES[tool];
+        return this.canBuildArea(x, y, sizeInfo.width, sizeInfo.height) &&
+          this.areaTouchesWater(x, y, sizeInfo.width, sizeInfo.height);
+      }
+
+      case 'coal-power':
+      case 'nuclear-power':
+      case 'gas-power':
+      case 'oil-power':
+      case 'wind-power':
+      case 'solar-power':
+      case 'police':
+      case 'fire':
+      case 'stadium':
+      case 'seaport':
+      case 'airport':
+      case 'subway-station':
+      case 'water-pump':
+      case 'water-tower': {
+        const sizeInfo = GAME_CONSTANTS.BUILDING_SIZES[tool];
+        return !!sizeInfo && this.canBuildArea(x, y, sizeInfo.width, sizeInfo.height);
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  // Check if every tile in a rectangle can be built on
+  canBuildArea(x, y, width, height) {
+    for (let dy = 0; dy < height; dy++) {
+      for (let dx = 0; dx < width; dx++) {
+        const tile = this.getTile(x + dx, y + dy);
+        if (!tile || !tile.canBuildOn()) return false;
+      }
+    }
+    return true;
+  }
+
+  // Check if any tile bordering a rectangle (not its corners) is water
+  areaTouchesWater(x, y, width, height) {
+    for (let dx = 0; dx < width; dx++) {
+      if (this.getTile(x + dx, y - 1)?.isWater() || this.getTile(x + dx, y + height)?.isWater()) return true;
+    }
+    for (let dy = 0; dy < height; dy++) {
+      if (this.getTile(x - 1, y + dy)?.isWater() || this.getTile(x + width, y + dy)?.isWater()) return true;
+    }
+    return false;
+  }
+
+  // Apply a tool at a location, returns true if anything changed
+  useTool(tool, x, y) {
+    switch (tool) {
+      case 'bulldozer':
+        return this.bulldoze(x, y);
+
+      case 'road':
+        return this.placeRoad(x, y);
+
+      case 'power-line':
+        return this.placePowerLine(x, y);
+
+      case 'rail':
+        return this.placeRail(x, y);
+
+      case 'road-upgrade':
+        return this.upgradeRoad(x, y);
+
+      case 'bus-stop':
+        return this.placeBusStop(x, y);
+
+      case 'subway':
+        return this.placeSubway(x, y);
+
+      case 'water-pipe':
+        return this.placeWaterPipe(x, y);
+
+      case 'park':
+        return this.placePark(x, y);
+
+      case 'residential':
+      case 'commercial':
+      case 'industrial':
+        return this.placeZone(x, y, tool);
+
+      case 'coal-power':
+      case 'nuclear-power':
+      case 'gas-power':
+      case 'oil-power':
+      case 'hydro-power':
+      case 'wind-power':
+      case 'solar-power':
+      case 'police':
+      case 'fire':
+      case 'stadium':
+      case 'seaport':
+      case 'airport':
+      case 'subway-station':
+      case 'water-pump':
+      case 'water-tower':
+        return this.placeBuilding(x, y, tool);
+
+      default:
+        return false;
+    }
+  }
+
+  // Get all power plants, with their average output when new and the month
+  // they were built (year * 12 + month, see getDate)
   getPowerPlants() {
+    const tools = Object.keys(POWER_PLANT_TILES);
+    const types = Object.values(POWER_PLANT_TILES);
     const plants = [];
     for (let y = 0; y < this.height; y++) {
       for (let x = 0; x < this.width; x++) {
         const tile = this.tiles[y][x];
         if (tile.isPowerPlant() && tile.isMainTile) {
-          plants.push({
-            x,
-            y,
-            type: tile.type === TILE_TYPES.COAL_POWER ? 'coal-power' : 'nuclear-power',
-            output: tile.type === TILE_TYPES.COAL_POWER ?
-              POWER_OUTPUT['coal-power'] : POWER_OUTPUT['nuclear-power']
-          });
+          const type = tools[types.indexOf(tile.type)];
+          const building = this.buildings.get(tile.buildingId);
+          plants.push({ x, y, type, output: POWER_OUTPUT[type], built: building?.built });
         }
       }
     }
@@ -660,16 +664,25 @@ class City {
     return services;
   }
 
+  // Check if the city has a building of a tile type (looks for its main tile)
+  hasBuilding(tileType) {
+    const { type, flags, size } = this.tileStore;
+    for (let i = 0; i < size; i++) {
+      if (type[i] === tileType && (flags[i] & TILE_FLAGS.isMainTile)) return true;
+    }
+    return false;
+  }
+
   // Calculate total population (only from main tiles to avoid 9x counting)
   getTotalPopulation() {
+    const { type, flags, size } = this.tileStore;
+    const tilePopulation = this.tileStore.population;
     let population = 0;
-    for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        const tile = this.tiles[y][x];
-        // Only count population from main tiles of residential zones
-        if (tile.isMainTile && tile.isResidential()) {
-          population += tile.population;
-        }
+    for (let i = 0; i < size; i++) {
+      // Only count population from main tiles of residential zones
+      if ((flags[i] & TILE_FLAGS.isMainTile) &&
+          (type[i] === TILE_TYPES.ZONE_RESIDENTIAL || type[i] === TILE_TYPES.BUILDING_RESIDENTIAL)) {
+        population += tilePopulation[i];
       }
     }
     return population;
@@ -693,6 +706,45 @@ class City {
     return false;
   }
 
+  // NES residential transit check: starting from the tile north of the zone's
+  // top-left corner and going clockwise, take the first road or rail touching
+  // the zone, then follow the network in random directions (never straight
+  // back) until a tile next to a valid destination turns up. The destination
+  // must be at least one tile away from the starting tile. Returns a TRIP_RESULTS value.
+  tryTransitWalk(startX, startY, width, height) {
+    const edge = [];
+    for (let dx = 0; dx < width; dx++) edge.push([startX + dx, startY - 1]);
+    for (let dy = 0; dy < height; dy++) edge.push([startX + width, startY + dy]);
+    for (let dx = width - 1; dx >= 0; dx--) edge.push([startX + dx, startY + height]);
+    for (let dy = height - 1; dy >= 0; dy--) edge.push([startX - 1, startY + dy]);
+
+    const start = edge.find(([x, y]) => this.getTile(x, y)?.providesRoadAccess());
+    if (!start) return TRIP_RESULTS.NONE;
+
+    const directions = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+    let [x, y] = start;
+    let fromX = -1;
+    let fromY = -1;
+
+    for (let step = 0; step <= TRAFFIC_CONSTANTS.WALK_MAX_STEPS; step++) {
+      if (step > 0 && directions.some(([dx, dy]) =>
+        TRANSIT_DESTINATIONS.includes(this.getTile(x + dx, y + dy)?.type))) {
+        return TRIP_RESULTS.REACHED;
+      }
+
+      const moves = directions.filter(([dx, dy]) =>
+        !(x + dx === fromX && y + dy === fromY) && this.getTile(x + dx, y + dy)?.providesRoadAccess());
+      if (moves.length === 0) return TRIP_RESULTS.DEAD_END;
+
+      const [dx, dy] = moves[this.random.nextInt(moves.length)];
+      fromX = x;
+      fromY = y;
+      x += dx;
+      y += dy;
+    }
+    return TRIP_RESULTS.TOO_FAR;
+  }
+
   // Count zones by type
   countZones() {
     const counts = {
@@ -758,17 +810,43 @@ class City {
     let roads = 0;
     let rails = 0;
     let powerLines = 0;
+    let busStops = 0;
+    let subwayTunnels = 0;  // Tunnel tiles, stations included
+    let subwayStations = 0;
+    let waterPipes = 0;
+    let waterPumps = 0;
+    let waterTowers = 0;
+    const roadClasses = ROAD_CLASSES.map(() => 0); // Road tiles of each class
 
     for (let y = 0; y < this.height; y++) {
       for (let x = 0; x < this.width; x++) {
         const tile = this.tiles[y][x];
-        if (tile.isRoad()) roads++;
+        if (tile.isRoad()) {
+          roads++;
+          roadClasses[tile.roadClass]++;
+        }
         if (tile.isRail()) rails++;
         if (tile.isPowerLine()) powerLines++;
+        if (tile.busStop) busStops++;
+        if (tile.subway) subwayTunnels++;
+        if (tile.type === TILE_TYPES.SUBWAY_STATION) subwayStations++;
+        if (tile.waterPipe) waterPipes++;
+        if (tile.isMainTile && tile.type === TILE_TYPES.WATER_PUMP) waterPumps++;
+        if (tile.type === TILE_TYPES.WATER_TOWER) waterTowers++;
       }
     }
 
-    return { roads, rails, powerLines };
+    return {
+      roads, rails, powerLines, roadClasses, busStops, subwayTunnels, subwayStations,
+      waterPipes, waterPumps, waterTowers
+    };
+  }
+
+  // Take the tiles changed since the last call, emptying the journal
+  takeChanges() {
+    const changes = this.changedTiles;
+    this.changedTiles = new Set();
+    return changes;
   }
 
   // Serialize for save
@@ -776,7 +854,7 @@ class City {
     return {
       width: this.width,
       height: this.height,
-      tiles: this.tiles.map(row => row.map(tile => tile.serialize())),
+      tiles: this.tileStore.serialize(),
       buildings: Array.from(this.buildings.entries()),
       nextBuildingId: this.nextBuildingId
     };
@@ -785,7 +863,14 @@ class City {
   // Deserialize from save
   static deserialize(data) {
     const city = new City(data.width, data.height);
-    city.tiles = data.tiles.map(row => row.map(tileData => Tile.deserialize(tileData)));
+    if (Array.isArray(data.tiles)) {
+      // Older saves store every tile as an object
+      data.tiles.forEach((row, y) => row.forEach((tileData, x) => {
+        Object.assign(city.tiles[y][x], tileData);
+      }));
+    } else {
+      TileStore.deserialize(data.tiles, city.tileStore);
+    }
     city.buildings = new Map(data.buildings);
     city.nextBuildingId = data.nextBuildingId;
     return city;
@@ -0,0 +1,245 @@
+// CommandHistory.js - Undo/redo history for player tool actions
+// Each entry stores the tiles and buildings an action overwrote (and what it
+// left behind), plus the money spent, so it can be rolled back or replayed.
+// Entries whose tiles the simulation has since built on or destroyed are
+// dropped as it moves on (see expire).
+
+// Tile fields the simulation changes when it grows, burns or knocks down what's
+// on a tile. The rest (power, traffic, land value...) are worked out afresh
+// whatever undo puts back, so changes to them don't expire an entry
+const HISTORY_EXPIRY_FIELDS = ['type', 'buildingId', 'level'];
+
+class CommandHistory {
+  constructor(city, budget, maxEntries = 100) {
+    this.city = city;
+    this.budget = budget;
+    this.maxEntries = maxEntries;
+
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // Open group (e.g. a road dragged across several tiles)
+    this.currentGroup = null;
+  }
+
+  // Start grouping recorded actions into a single undo step
+  beginGroup(label) {
+    this.endGroup();
+    this.currentGroup = { label, cost: 0, steps: [] };
+  }
+
+  // Close the current group and push it if anything was recorded
+  endGroup() {
+    const group = this.currentGroup;
+    this.currentGroup = null;
+    if (group && group.steps.length > 0) {
+      this.push(group);
+    }
+  }
+
+  // Run a tool action and record it if it succeeds
+  // action() performs the change and returns true on success
+  execute(tool, x, y, cost, action) {
+    const area = this.getAffectedArea(tool, x, y);
+    const before = this.captureArea(area);
+
+    if (!action()) return false;
+
+    this.record(TOOL_NAMES[tool] || tool, cost, { before, after: this.captureArea(area) });
+    return true;
+  }
+
+  // Run a map editor terrain edit over the given tile indices and record it
+  // Only tile types change, so only those are kept (fills can cover the whole map)
+  executeTerrain(label, indices, action) {
+    const types = this.city.tileStore.type;
+    const before = { indices, types: Uint8Array.from(indices, i => types[i]) };
+
+    if (!action()) return false;
+
+    this.record(label, 0, { before, after: { indices, types: Uint8Array.from(indices, i => types[i]) } });
+    return true;
+  }
+
+  // Add a step to the open group, or push it as an entry of its own
+  record(label, cost, step) {
+    if (this.currentGroup) {
+      this.currentGroup.steps.push(step);
+      this.currentGroup.cost += cost;
+    } else {
+      this.push({ label, cost, steps: [step] });
+    }
+  }
+
+  // Push a finished entry; any new action invalidates the redo stack
+  push(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.maxEntries) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // Undo the most recent entry and refund its cost
+  undo() {
+    this.endGroup();
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    for (let i = entry.steps.length - 1; i >= 0; i--) {
+      const step = entry.steps[i];
+      this.restoreArea(step.after, step.before);
+    }
+    this.budget.addFunds(entry.cost);
+
+    this.redoStack.push(entry);
+    return entry;
+  }
+
+  // Re-apply the most recently undone entry (fails if it can't be afforded)
+  redo() {
+    this.endGroup();
+    const entry = this.redoStack[this.redoStack.length - 1];
+    if (!entry) return null;
+    if (!this.budget.spend(entry.cost)) return null;
+
+    this.redoStack.pop();
+    for (const step of entry.steps) {
+      this.restoreArea(step.before, step.after);
+    }
+
+    this.undoStack.push(entry);
+    return entry;
+  }
+
+  // Forget the actions whose tiles the simulation has changed since
+  // Called as the simulation moves on a month: undoing such an action would
+  // bring back (or wipe out) the simulation's work, so it goes, along with
+  // everything that would be undone or redone after it
+  expire() {
+    const covered = new Set();
+    const group = this.currentGroup;
+    if (group && !this.isCurrent(group.steps, 'after', covered)) {
+      group.steps = [];
+      group.cost = 0;
+      this.undoStack = [];
+    } else {
+      this.undoStack = this.keepCurrent(this.undoStack, 'after', covered);
+    }
+    this.redoStack = this.keepCurrent(this.redoStack, 'before');
+  }
+
+  // Keep the entries at the top of a stack down to the first one the simulation has changed
+  // side is the snapshot the tiles hold now: 'after' for undo, 'before' for redo
+  keepCurrent(stack, side, covered = new Set()) {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (!this.isCurrent(stack[i].steps, side, covered)) {
+        return stack.slice(i + 1);
+      }
+    }
+    return stack;
+  }
+
+  // Check that the tiles of some steps still match their side's snapshot
+  // Tiles in covered belong to a later action on the stack and are skipped;
+  // the steps' own tiles are added to it
+  isCurrent(steps, side, covered) {
+    const store = this.city.tileStore;
+    // The tiles hold the last step's 'after', or the first step's 'before'
+    const ordered = side === 'after' ? [...steps].reverse() : steps;
+
+    for (const step of ordered) {
+      const snapshot = step[side];
+      const matches = snapshot.types ?
+        (index, i) => store.type[index] === snapshot.types[i] :
+        (index, i) => HISTORY_EXPIRY_FIELDS.every(name => store[name][index] === snapshot.tiles.arrays[name][i]);
+
+      for (let i = 0; i < snapshot.indices.length; i++) {
+        const index = snapshot.indices[i];
+        if (covered.has(index)) continue;
+        if (!matches(index, i)) return false;
+      }
+      snapshot.indices.forEach(index => covered.add(index));
+    }
+    return true;
+  }
+
+  // Clear all history (new city, load, scenario)
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.currentGroup = null;
+  }
+
+  // Get the rectangle of tiles a tool can change when used at (x, y)
+  getAffectedArea(tool, x, y) {
+    if (tool === 'bulldozer') {
+      // Bulldozing any tile of a building clears the whole footprint
+      const tile = this.city.getTile(x, y);
+      const building = tile?.buildingId ? this.city.buildings.get(tile.buildingId) : null;
+      if (building) {
+        return { x: building.x, y: building.y, width: building.width, height: building.height };
+      }
+    } else if (['residential', 'commercial', 'industrial'].includes(tool)) {
+      const size = GAME_CONSTANTS.ZONE_SIZE;
+      return { x, y, width: size, height: size };
+    } else if (GAME_CONSTANTS.BUILDING_SIZES[tool]) {
+      const { width, height } = GAME_CONSTANTS.BUILDING_SIZES[tool];
+      return { x, y, width, height };
+    }
+    return { x, y, width: 1, height: 1 };
+  }
+
+  // Snapshot every field of the tiles in an area and the buildings they belong to
+  captureArea(area) {
+    const indices = [];
+    const buildings = new Map();
+
+    for (let dy = 0; dy < area.height; dy++) {
+      for (let dx = 0; dx < area.width; dx++) {
+        const tile = this.city.getTile(area.x + dx, area.y + dy);
+        if (!tile) continue;
+        indices.push(tile.index);
+
+        if (tile.buildingId && !buildings.has(tile.buildingId)) {
+          const building = this.city.buildings.get(tile.buildingId);
+          if (building) buildings.set(tile.buildingId, { ...building });
+        }
+      }
+    }
+
+    return { indices, tiles: this.city.tileStore.snapshotTiles(indices), buildings };
+  }
+
+  // Replace the 'from' state of an area with the 'to' snapshot
+  restoreArea(from, to) {
+    const store = this.city.tileStore;
+    if (to.types) {
+      to.indices.forEach((index, i) => { store.type[index] = to.types[i]; });
+    } else {
+      from.buildings.forEach((building, id) => {
+        if (!to.buildings.has(id)) {
+          this.city.buildings.delete(id);
+        }
+      });
+      to.buildings.forEach((building, id) => {
+        this.city.buildings.set(id, { ...building });
+      });
+      store.load(to.tiles);
+    }
+
+    // The arrays were written directly, so report the area to the layout
+    // journal for the simulation to reconnect
+    if (store.onLayoutChange) {
+      to.indices.forEach(index => store.onLayoutChange(index));
+    }
+  }
+}
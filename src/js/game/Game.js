@@ -2,7 +2,10 @@
 
 class Game {
   constructor() {
-    // Core game objects
+    // Runs the simulation (in a worker when available)
+    this.client = null;
+
+    // Read-only replicas of the simulation's state, owned by the client
     this.city = null;
     this.budget = null;
     this.simulation = null;
@@ -15,12 +18,15 @@ class Game {
     this.statusBar = null;
     this.alertSystem = null;
     this.tileInfo = null;
+    this.mapEditorPanel = null;
 
     // Game state
     this.currentTool = 'pointer';
     this.autoBulldoze = false;
     this.autoBudget = true;
     this.disastersDisabled = false;
+    this.editorMode = false; // Editing a map instead of running a city
+    this.scenarios = new ScenarioLibrary(); // Re-read when the scenario dialog opens
 
     // Input state
     this.isDragging = false;
@@ -35,16 +41,15 @@ class Game {
 
   // Initialize the game
   init() {
-    // Create city
-    this.city = new City();
-    this.city.generateTerrain();
-
-    // Create budget
-    this.budget = new Budget();
-
-    // Create simulation
-    this.simulation = new Simulation(this.city, this.budget);
-    this.simulation.onTick = (data) => this.onSimulationTick(data);
+    // Create the simulation client and start a city
+    this.client = new SimulationClient();
+    this.client.onTick = (data) => this.onSimulationTick(data);
+    this.client.onUpdate = () => this.onSimulationUpdate();
+    this.client.onScenarioWin = () => this.onScenarioWin();
+    this.client.onScenarioLose = () => this.onScenarioLose();
+    this.client.onRedoFailed = () => alert('Not enough funds to redo this action.');
+    this.client.newCity(DIFFICULTY.EASY, GAME_CONSTANTS.MAP_WIDTH, GAME_CONSTANTS.MAP_HEIGHT);
+    this.attachClientState();
 
     // Create renderer
     this.renderer = new Renderer(this.canvas, this.city);
@@ -60,6 +65,7 @@ class Game {
     this.statusBar = new StatusBar(this);
     this.alertSystem = new AlertSystem(this);
     this.tileInfo = new TileInfo(this);
+    this.mapEditorPanel = new MapEditorPanel(this);
 
     // Setup input handling
     this.setupInputHandlers();
@@ -72,10 +78,11 @@ class Game {
     this.minimap.start();
 
     // Start simulation
-    this.simulation.start();
+    this.client.start();
 
     // Initial UI update
     this.updateUI();
+    this.updateEditMenu();
 
     // Center camera on map
     this.renderer.centerOn(
@@ -91,6 +98,20 @@ class Game {
     this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
     this.canvas.addEventListener('mouseup', (e) => this.onMouseUp(e));
     this.canvas.addEventListener('mouseleave', (e) => this.onMouseLeave(e));
+
+    // Undo/redo shortcuts
+    document.addEventListener('keydown', (e) => {
+      if (e.target.tagName === 'INPUT' || !(e.ctrlKey || e.metaKey)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        this.redo();
+      }
+    });
   }
 
   // Setup window control buttons
@@ -138,6 +159,23 @@ class Game {
       this.tileInfo.hide();
     }
 
+    // Group everything placed during this drag into one undo step
+    this.client.beginGroup(TOOL_NAMES[this.toolbar.getCurrentTool()]);
+
+    // Map editor terrain: brushes and fills paint now, shapes when the drag ends
+    if (this.mapEditorPanel.isTerrainTool(this.toolbar.getCurrentTool())) {
+      if (!this.mapEditorPanel.isShapeDrag()) {
+        this.editTerrain(tilePos.x, tilePos.y);
+      }
+      return;
+    }
+
+    // Lines and rectangles are applied when the drag ends
+    if (this.isStrokeTool(this.toolbar.getCurrentTool())) {
+      this.updatePreview(tilePos.x, tilePos.y);
+      return;
+    }
+
     // Perform tool action
     this.useTool(tilePos.x, tilePos.y);
   }
@@ -153,22 +191,40 @@ class Game {
     // Update preview
     this.updatePreview(tilePos.x, tilePos.y);
 
-    // If dragging, continue placing (for roads, power lines, etc.)
-    if (this.isDragging && this.toolbar.isInfraTool()) {
+    // Map editor brushes keep painting while dragging
+    if (this.isDragging && this.mapEditorPanel.isTerrainTool(this.toolbar.getCurrentTool()) &&
+        this.mapEditorPanel.shape === 'brush') {
       if (tilePos.x !== this.lastPlacedX || tilePos.y !== this.lastPlacedY) {
-        this.useTool(tilePos.x, tilePos.y);
+        this.editTerrain(tilePos.x, tilePos.y);
       }
     }
   }
 
   // Handle mouse up
   onMouseUp(e) {
+    // Map editor rectangles and ovals are drawn when the drag ends
+    if (this.isDragging && this.mapEditorPanel.isTerrainTool(this.toolbar.getCurrentTool()) &&
+        this.mapEditorPanel.isShapeDrag()) {
+      const rect = this.canvas.getBoundingClientRect();
+      const tilePos = this.renderer.getTileAt(e.clientX - rect.left, e.clientY - rect.top);
+      this.editTerrain(tilePos.x, tilePos.y);
+    }
+
+    // Lines and rectangles go down in one go when the mouse is released
+    if (this.isDragging && this.isStrokeTool(this.toolbar.getCurrentTool())) {
+      const rect = this.canvas.getBoundingClientRect();
+      const tilePos = this.renderer.getTileAt(e.clientX - rect.left, e.clientY - rect.top);
+      this.applyStroke(tilePos.x, tilePos.y);
+    }
+
     this.isDragging = false;
+    this.client.endGroup();
   }
 
   // Handle mouse leave
   onMouseLeave(e) {
     this.isDragging = false;
+    this.client.endGroup();
     this.renderer.clearPreview();
   }
 
@@ -181,149 +237,96 @@ class Game {
       return;
     }
 
+    // Map editor strokes highlight the tiles they would paint (fills only
+    // outline the cursor; flooding the map on every mouse move is too slow)
+    if (this.mapEditorPanel.isTerrainTool(tool)) {
+      const fromStart = this.isDragging && this.mapEditorPanel.isShapeDrag();
+      const stroke = this.mapEditorPanel.getStroke(tool,
+        fromStart ? this.dragStartX : x, fromStart ? this.dragStartY : y, x, y);
+      const tiles = stroke.shape === 'fill' ? [] : new MapEditor(this.city).getTiles(stroke);
+      this.renderer.setPreview(tool, x, y, this.editorMode, tiles);
+      return;
+    }
+
+    // Lines and rectangles show every placement from the drag start, and what they cost
+    if (this.isStrokeTool(tool)) {
+      const stroke = this.getToolStroke(tool, x, y);
+      const { placements, cost } = new ToolStroke(this.city).preview(stroke, this.editorMode);
+      this.renderer.setStrokePreview(tool, x, y, placements, cost, this.budget.canAfford(cost));
+      return;
+    }
+
     const valid = this.canPlaceTool(tool, x, y);
     this.renderer.setPreview(tool, x, y, valid);
   }
 
-  // Check if tool can be placed at location
-  canPlaceTool(tool, x, y) {
-    const cost = TOOL_COSTS[tool] || 0;
-    if (!this.budget.canAfford(cost)) return false;
-
-    const tile = this.city.getTile(x, y);
-    if (!tile) return false;
-
-    switch (tool) {
-      case 'bulldozer':
-        return tile.canBulldoze();
-
-      case 'road':
-        return tile.canBuildOn() || tile.isPowerLine();
-
-      case 'power-line':
-        return tile.canBuildOn() || tile.isRoad();
-
-      case 'rail':
-      case 'park':
-        return tile.canBuildOn();
-
-      case 'residential':
-      case 'commercial':
-      case 'industrial':
-        return this.canPlaceZone(x, y);
-
-      case 'coal-power':
-      case 'nuclear-power':
-      case 'police':
-      case 'fire':
-      case 'stadium':
-      case 'seaport':
-      case 'airport':
-        return this.canPlaceBuilding(x, y, tool);
-
-      default:
-        return false;
-    }
+  // Check if a tool is dragged out as a line or rectangle
+  isStrokeTool(tool) {
+    return ToolStroke.isLineTool(tool) || ToolStroke.isAreaTool(tool);
   }
 
-  // Check if zone can be placed
-  canPlaceZone(x, y) {
-    const size = GAME_CONSTANTS.ZONE_SIZE;
-    for (let dy = 0; dy < size; dy++) {
-      for (let dx = 0; dx < size; dx++) {
-        const tile = this.city.getTile(x + dx, y + dy);
-        if (!tile || !tile.canBuildOn()) return false;
-      }
-    }
-    return true;
+  // Build the stroke from the drag start (or just the tile under the cursor) to (x, y)
+  getToolStroke(tool, x, y) {
+    return this.isDragging ?
+      { tool, x0: this.dragStartX, y0: this.dragStartY, x1: x, y1: y } :
+      { tool, x0: x, y0: y, x1: x, y1: y };
   }
 
-  // Check if building can be placed
-  canPlaceBuilding(x, y, buildingType) {
-    const sizeInfo = GAME_CONSTANTS.BUILDING_SIZES[buildingType];
-    if (!sizeInfo) return false;
+  // Check if tool can be placed at location (tools are free in the map editor)
+  canPlaceTool(tool, x, y) {
+    const cost = this.editorMode ? 0 : this.city.getToolCost(tool, x, y);
+    if (!this.budget.canAfford(cost)) return false;
+    if (!this.isToolAvailable(tool)) return false;
 
-    for (let dy = 0; dy < sizeInfo.height; dy++) {
-      for (let dx = 0; dx < sizeInfo.width; dx++) {
-        const tile = this.city.getTile(x + dx, y + dy);
-        if (!tile || !tile.canBuildOn()) return false;
-      }
-    }
-    return true;
+    return this.city.canUseTool(tool, x, y);
   }
 
   // Use current tool at location
+  // The simulation re-checks placement and cost before applying it
   useTool(x, y) {
     const tool = this.toolbar.getCurrentTool();
     if (tool === 'pointer') return;
 
-    const cost = TOOL_COSTS[tool] || 0;
-
     if (!this.canPlaceTool(tool, x, y)) return;
 
-    let success = false;
-
-    switch (tool) {
-      case 'bulldozer':
-        success = this.city.bulldoze(x, y);
-        break;
-
-      case 'road':
-        success = this.city.placeRoad(x, y);
-        break;
-
-      case 'power-line':
-        success = this.city.placePowerLine(x, y);
-        break;
-
-      case 'rail':
-        success = this.city.placeRail(x, y);
-        break;
-
-      case 'park':
-        success = this.city.placePark(x, y);
-        break;
-
-      case 'residential':
-        success = this.city.placeZone(x, y, 'residential');
-        break;
-
-      case 'commercial':
-        success = this.city.placeZone(x, y, 'commercial');
-        break;
-
-      case 'industrial':
-        success = this.city.placeZone(x, y, 'industrial');
-        break;
+    this.client.useTool(tool, x, y);
+    this.lastPlacedX = x;
+    this.lastPlacedY = y;
+  }
 
-      case 'coal-power':
-      case 'nuclear-power':
-      case 'police':
-      case 'fire':
-      case 'stadium':
-      case 'seaport':
-      case 'airport':
-        success = this.city.placeBuilding(x, y, tool);
-        break;
-    }
+  // Apply the current tool along the dragged line or over the dragged rectangle
+  // The simulation re-checks placement and cost of each tile
+  applyStroke(x, y) {
+    const tool = this.toolbar.getCurrentTool();
+    this.client.applyStroke(this.getToolStroke(tool, x, y));
+    this.lastPlacedX = x;
+    this.lastPlacedY = y;
+  }
 
-    if (success) {
-      this.budget.spend(cost);
-      this.lastPlacedX = x;
-      this.lastPlacedY = y;
-      this.updateUI();
-    }
+  // Paint terrain with the map editor stroke from the drag start to (x, y)
+  editTerrain(x, y) {
+    const tool = this.toolbar.getCurrentTool();
+    this.client.editTerrain(this.mapEditorPanel.getStroke(tool, this.dragStartX, this.dragStartY, x, y));
+    this.lastPlacedX = x;
+    this.lastPlacedY = y;
   }
 
   // Called when simulation ticks
   onSimulationTick(data) {
     this.updateUI();
+    this.updateEditMenu();
     // Check for alert conditions every 6 months (not every tick for performance)
     if (this.alertSystem && data.month % 6 === 0) {
       this.alertSystem.checkAlerts();
     }
   }
 
+  // Called when a tool, undo or other command changed the city
+  onSimulationUpdate() {
+    this.updateUI();
+    this.updateEditMenu();
+  }
+
   // Update all UI elements
   updateUI() {
     this.statusBar.update({
@@ -333,30 +336,43 @@ class Game {
       demand: this.simulation.getDemandIndicators(),
       scenario: this.simulation.getScenarioProgress()
     });
+    this.toolbar.updateAvailability(tool => this.isToolAvailable(tool));
+  }
+
+  // Check if a tool can be used in the current year (everything can in the map editor)
+  isToolAvailable(tool) {
+    return this.editorMode || this.simulation.isToolAvailable(tool);
   }
 
   // Tool change callback
   onToolChange(tool) {
     this.currentTool = tool;
+    if (this.mapEditorPanel) {
+      this.mapEditorPanel.updateTool(tool);
+    }
+    // Pipes are laid underground, so show them while laying them
+    if (tool === 'water-pipe' && !this.renderer.undergroundView) {
+      this.toggleUndergroundView();
+    }
   }
 
   // Set simulation speed
   setSpeed(speed) {
     switch (speed) {
       case 'pause':
-        this.simulation.pause();
+        this.client.pause();
         break;
       case 'normal':
-        this.simulation.setSpeed(GAME_CONSTANTS.SPEED_NORMAL);
-        this.simulation.start();
+        this.client.setSpeed(GAME_CONSTANTS.SPEED_NORMAL);
+        this.client.start();
         break;
       case 'fast':
-        this.simulation.setSpeed(GAME_CONSTANTS.SPEED_FAST);
-        this.simulation.start();
+        this.client.setSpeed(GAME_CONSTANTS.SPEED_FAST);
+        this.client.start();
         break;
       case 'ultra':
-        this.simulation.setSpeed(GAME_CONSTANTS.SPEED_ULTRA);
-        this.simulation.start();
+        this.client.setSpeed(GAME_CONSTANTS.SPEED_ULTRA);
+        this.client.start();
         break;
     }
   }
@@ -371,6 +387,12 @@ class Game {
     }
   }
 
+  // Switch between the surface and the underground view
+  toggleUndergroundView() {
+    this.renderer.setUndergroundView(!this.renderer.undergroundView);
+    this.menuBar.updateCheckmark('underground-view', this.renderer.undergroundView);
+  }
+
   // Toggle minimap visibility
   toggleMinimap() {
     const minimapWindow = document.getElementById('minimap-window');
@@ -385,22 +407,19 @@ class Game {
     this.showDifficultyDialog();
   }
 
-  // Start a new city with the selected difficulty
-  startNewCity(difficulty) {
-    this.simulation.pause();
-    this.city = new City();
-    this.city.generateTerrain();
-    this.budget = new Budget(difficulty);
-    this.simulation = new Simulation(this.city, this.budget);
-    this.simulation.onTick = (data) => this.onSimulationTick(data);
-    this.renderer.city = this.city;
-    this.renderer.simulation = this.simulation;
-    this.minimap.city = this.city;
+  // Start a new city with the selected difficulty, map size (in tiles) and terrain,
+  // or on a map editor map (which brings its own size and terrain)
+  // Passing a seed reproduces the same map and simulation rolls
+  startNewCity(difficulty, width = GAME_CONSTANTS.MAP_WIDTH, height = GAME_CONSTANTS.MAP_HEIGHT,
+    seed = Random.generateSeed(), terrain = TERRAIN_DEFAULTS, map = null, rules = RULES.CLASSIC) {
+    this.client.newCity(difficulty, width, height, seed, terrain, map, rules);
+    this.attachClientState();
+    this.setEditorMode(false);
     // Reset alert system for new city
     if (this.alertSystem) {
       this.alertSystem.reset();
     }
-    this.simulation.start();
+    this.client.start();
     this.updateUI();
     this.updateWindowTitle(null); // Reset title
     this.renderer.centerOn(
@@ -409,97 +428,268 @@ class Game {
     );
   }
 
-  // Show difficulty selection dialog
-  showDifficultyDialog() {
+  // Show the New City dialog: map size, terrain, difficulty and a map preview
+  // A map editor map, if given, is used instead of generated terrain
+  showDifficultyDialog(map = null) {
     // Remove existing dialog if any
     const existing = document.getElementById('difficulty-dialog');
     if (existing) existing.remove();
 
+    const { MIN_MAP_SIZE, MAX_MAP_SIZE } = GAME_CONSTANTS;
+    const sizeOptions = Object.entries(MAP_SIZES).map(([id, size]) => `
+      <option value="${id}" ${id === 'medium' ? 'selected' : ''}>
+        ${size.name} (${size.width} x ${size.height})
+      </option>
+    `).join('');
+    const coastOptions = COASTLINE_SIDES.map(side => `
+      <option value="${side}" ${side === TERRAIN_DEFAULTS.coastline ? 'selected' : ''}>
+        ${side.charAt(0).toUpperCase() + side.slice(1)}
+      </option>
+    `).join('');
+
     const dialog = document.createElement('div');
     dialog.id = 'difficulty-dialog';
     dialog.className = 'win95-dialog';
     dialog.innerHTML = `
       <div class="win95-title-bar" style="-webkit-app-region: no-drag;">
-        <div class="win95-title-bar-text">Select Difficulty</div>
+        <div class="win95-title-bar-text">New City</div>
         <div class="win95-title-bar-controls">
           <button class="win95-title-btn win95-title-btn-close" id="difficulty-close-btn">X</button>
         </div>
       </div>
-      <div class="win95-dialog-content" style="padding: 20px; min-width: 300px;">
-        <div style="text-align: center; margin-bottom: 15px; font-weight: bold;">
-          Choose your difficulty level:
-        </div>
+      <div class="win95-dialog-content" style="padding: 15px; display: flex; gap: 15px;">
+        <div style="width: 280px;">
+          <div class="win95-groupbox" style="margin-top: 0;">
+            <div style="display: flex; align-items: center; gap: 8px;">
+              <label for="map-size-select" style="font-weight: bold;">Map Size:</label>
+              <select id="map-size-select" class="win95-input" style="flex: 1;">
+                ${sizeOptions}
+                <option value="custom">Custom...</option>
+              </select>
+            </div>
+            <div id="map-size-custom" style="display: none; margin-top: 8px; align-items: center; gap: 6px;">
+              <input type="number" id="map-width-input" class="win95-input" style="width: 60px;"
+                min="${MIN_MAP_SIZE}" max="${MAX_MAP_SIZE}" value="${GAME_CONSTANTS.MAP_WIDTH}">
+              x
+              <input type="number" id="map-height-input" class="win95-input" style="width: 60px;"
+                min="${MIN_MAP_SIZE}" max="${MAX_MAP_SIZE}" value="${GAME_CONSTANTS.MAP_HEIGHT}">
+              <span style="font-size: 11px; color: #666;">(${MIN_MAP_SIZE}-${MAX_MAP_SIZE} tiles)</span>
+            </div>
+          </div>
 
-        <div class="difficulty-option" data-difficulty="easy" style="
-          padding: 12px;
-          margin: 8px 0;
-          background: #C0C0C0;
-          border: 2px solid;
-          border-color: #FFFFFF #808080 #808080 #FFFFFF;
-          cursor: pointer;
-        ">
-          <div style="font-weight: bold; color: #008000;">Easy</div>
-          <div style="font-size: 11px; margin-top: 4px;">
-            Starting Funds: $20,000<br>
-            Full tax income, boosted industry<br>
-            Rare disasters (planes/ships only)
+          <div class="win95-groupbox" style="font-size: 11px;">
+            <div style="font-weight: bold; margin-bottom: 6px;">Terrain:</div>
+            <div style="display: grid; grid-template-columns: 70px 1fr; align-items: center; gap: 6px;">
+              <label for="terrain-water">Water:</label>
+              <input type="range" id="terrain-water" class="win95-slider" min="0" max="50"
+                value="${Math.round(TERRAIN_DEFAULTS.waterCoverage * 100)}">
+              <label for="terrain-coast">Coastline:</label>
+              <select id="terrain-coast" class="win95-input">${coastOptions}</select>
+              <label for="terrain-lakes">Lakes:</label>
+              <input type="number" id="terrain-lakes" class="win95-input" style="width: 50px;"
+                min="0" max="5" value="${TERRAIN_DEFAULTS.lakeCount}">
+              <label for="terrain-forests">Forests:</label>
+              <input type="range" id="terrain-forests" class="win95-slider" min="0" max="100"
+                value="${Math.round(TERRAIN_DEFAULTS.forestDensity * 100)}">
+            </div>
+            <label class="win95-checkbox" style="margin-top: 6px;">
+              <input type="checkbox" id="terrain-river" ${TERRAIN_DEFAULTS.river ? 'checked' : ''}>
+              River
+            </label>
           </div>
-        </div>
 
-        <div class="difficulty-option" data-difficulty="normal" style="
-          padding: 12px;
-          margin: 8px 0;
-          background: #C0C0C0;
-          border: 2px solid;
-          border-color: #FFFFFF #808080 #808080 #FFFFFF;
-          cursor: pointer;
-        ">
-          <div style="font-weight: bold; color: #000080;">Normal</div>
-          <div style="font-size: 11px; margin-top: 4px;">
-            Starting Funds: $10,000<br>
-            85.7% tax income, slight industry boost<br>
-            Occasional disasters (all types)
+          <div class="win95-groupbox" style="font-size: 11px;">
+            <label class="win95-checkbox">
+              <input type="checkbox" id="modern-rules">
+              Modern rules
+            </label>
+            <div style="margin-top: 4px; color: #666;">Busy roads pollute and lower nearby land value</div>
+          </div>
+
+          <div style="margin: 12px 0 4px; font-weight: bold;">Difficulty:</div>
+
+          <div class="difficulty-option" data-difficulty="easy" style="
+            padding: 8px;
+            margin: 6px 0;
+            background: #C0C0C0;
+            border: 2px solid;
+            border-color: #FFFFFF #808080 #808080 #FFFFFF;
+            cursor: pointer;
+          ">
+            <div style="font-weight: bold; color: #008000;">Easy</div>
+            <div style="font-size: 11px; margin-top: 4px;">
+              Starting Funds: $20,000<br>
+              Full tax income, boosted industry<br>
+              Rare disasters (planes/ships only)
+            </div>
           </div>
-        </div>
 
-        <div class="difficulty-option" data-difficulty="hard" style="
-          padding: 12px;
-          margin: 8px 0;
-          background: #C0C0C0;
-          border: 2px solid;
-          border-color: #FFFFFF #808080 #808080 #FFFFFF;
-          cursor: pointer;
-        ">
-          <div style="font-weight: bold; color: #800000;">Hard</div>
-          <div style="font-size: 11px; margin-top: 4px;">
-            Starting Funds: $5,000<br>
-            57.1% tax income, reduced industry<br>
-            Frequent disasters (including meltdowns!)
+          <div class="difficulty-option" data-difficulty="normal" style="
+            padding: 8px;
+            margin: 6px 0;
+            background: #C0C0C0;
+            border: 2px solid;
+            border-color: #FFFFFF #808080 #808080 #FFFFFF;
+            cursor: pointer;
+          ">
+            <div style="font-weight: bold; color: #000080;">Normal</div>
+            <div style="font-size: 11px; margin-top: 4px;">
+              Starting Funds: $10,000<br>
+              85.7% tax income, slight industry boost<br>
+              Occasional disasters (all types)
+            </div>
+          </div>
+
+          <div class="difficulty-option" data-difficulty="hard" style="
+            padding: 8px;
+            margin: 6px 0;
+            background: #C0C0C0;
+            border: 2px solid;
+            border-color: #FFFFFF #808080 #808080 #FFFFFF;
+            cursor: pointer;
+          ">
+            <div style="font-weight: bold; color: #800000;">Hard</div>
+            <div style="font-size: 11px; margin-top: 4px;">
+              Starting Funds: $5,000<br>
+              57.1% tax income, reduced industry<br>
+              Frequent disasters (including meltdowns!)
+            </div>
           </div>
         </div>
 
-        <div style="margin-top: 15px; text-align: center;">
-          <button class="win95-button" id="difficulty-cancel-btn" style="padding: 4px 20px;">Cancel</button>
+        <div style="display: flex; flex-direction: column; align-items: center; gap: 8px;">
+          <div style="font-weight: bold;">Preview</div>
+          <canvas id="terrain-preview" width="200" height="200" style="
+            border: 2px solid;
+            border-color: #808080 #FFFFFF #FFFFFF #808080;
+            background: #000;
+          "></canvas>
+          <div style="display: flex; align-items: center; gap: 6px; font-size: 11px;">
+            <label for="terrain-seed">Seed:</label>
+            <input type="number" id="terrain-seed" class="win95-input" style="width: 100px;" min="0">
+          </div>
+          <button class="win95-button" id="terrain-regenerate-btn" style="padding: 4px 12px;">Regenerate</button>
+          <button class="win95-button" id="terrain-map-btn" style="padding: 4px 12px;">Load Map...</button>
+
+          <div style="margin-top: auto; display: flex; gap: 8px;">
+            <button class="win95-button" id="difficulty-accept-btn" style="padding: 4px 20px;">Accept</button>
+            <button class="win95-button" id="difficulty-cancel-btn" style="padding: 4px 20px;">Cancel</button>
+          </div>
         </div>
       </div>
     `;
     document.body.appendChild(dialog);
 
+    // Show the width/height fields only for a custom size
+    const sizeSelect = dialog.querySelector('#map-size-select');
+    const customSize = dialog.querySelector('#map-size-custom');
+    sizeSelect.addEventListener('change', () => {
+      customSize.style.display = sizeSelect.value === 'custom' ? 'flex' : 'none';
+    });
+
+    // Get the chosen map size, clamping custom sizes to the allowed range
+    const getMapSize = () => {
+      if (sizeSelect.value !== 'custom') {
+        return MAP_SIZES[sizeSelect.value];
+      }
+      const clampSize = (input) => {
+        const value = parseInt(input.value, 10) || GAME_CONSTANTS.MAP_WIDTH;
+        return Math.max(MIN_MAP_SIZE, Math.min(MAX_MAP_SIZE, value));
+      };
+      return {
+        width: clampSize(dialog.querySelector('#map-width-input')),
+        height: clampSize(dialog.querySelector('#map-height-input'))
+      };
+    };
+
+    // Get the terrain parameters from the Terrain group
+    const getTerrain = () => TerrainGenerator.normalizeParams({
+      waterCoverage: dialog.querySelector('#terrain-water').value / 100,
+      river: dialog.querySelector('#terrain-river').checked,
+      coastline: dialog.querySelector('#terrain-coast').value,
+      lakeCount: parseInt(dialog.querySelector('#terrain-lakes').value, 10),
+      forestDensity: dialog.querySelector('#terrain-forests').value / 100
+    });
+
+    // Preview the candidate map on a minimap with no camera. The worker
+    // builds the same map from the same seed and parameters on Accept.
+    const seedInput = dialog.querySelector('#terrain-seed');
+    seedInput.value = Random.generateSeed();
+    const getSeed = () => (parseInt(seedInput.value, 10) || 0) >>> 0;
+
+    // Loading a map replaces the size and terrain settings
+    let customMap = map;
+    const generatedOnly = dialog.querySelectorAll(
+      '#map-size-select, #map-width-input, #map-height-input, #terrain-water, #terrain-river, ' +
+      '#terrain-coast, #terrain-lakes, #terrain-forests, #terrain-seed, #terrain-regenerate-btn'
+    );
+    const mapButton = dialog.querySelector('#terrain-map-btn');
+
+    let preview = null;
+    const updatePreview = () => {
+      generatedOnly.forEach(input => { input.disabled = !!customMap; });
+      mapButton.textContent = customMap ? 'Use Generated Map' : 'Load Map...';
+
+      let city;
+      if (customMap) {
+        city = City.deserialize(customMap.city);
+      } else {
+        const { width, height } = getMapSize();
+        city = new City(width, height);
+        city.generateTerrain(getTerrain(), getSeed());
+      }
+
+      if (preview) {
+        preview.setCity(city);
+      } else {
+        preview = new Minimap(dialog.querySelector('#terrain-preview'), city, null);
+      }
+      preview.render();
+    };
+
+    dialog.querySelectorAll('select, input').forEach(input => {
+      input.addEventListener('change', updatePreview);
+    });
+    dialog.querySelector('#terrain-regenerate-btn').addEventListener('click', () => {
+      seedInput.value = Random.generateSeed();
+      updatePreview();
+    });
+    mapButton.addEventListener('click', async () => {
+      customMap = customMap ? null : await this.readMapFile();
+      updatePreview();
+    });
+    updatePreview();
+
+    // Difficulty options act as radio buttons
+    let difficulty = DIFFICULTY.EASY;
+    const options = dialog.querySelectorAll('.difficulty-option');
+    const styleOption = (option, pressed) => {
+      option.style.borderColor = pressed ? '#808080 #FFFFFF #FFFFFF #808080' : '#FFFFFF #808080 #808080 #FFFFFF';
+      option.style.background = pressed ? '#D0D0D0' : '#C0C0C0';
+    };
+    const selectDifficulty = (value) => {
+      difficulty = value;
+      options.forEach(option => styleOption(option, option.dataset.difficulty === value));
+    };
+
     // Add hover effects
-    dialog.querySelectorAll('.difficulty-option').forEach(option => {
-      option.addEventListener('mouseenter', () => {
-        option.style.borderColor = '#808080 #FFFFFF #FFFFFF #808080';
-        option.style.background = '#D0D0D0';
-      });
+    options.forEach(option => {
+      option.addEventListener('mouseenter', () => styleOption(option, true));
       option.addEventListener('mouseleave', () => {
-        option.style.borderColor = '#FFFFFF #808080 #808080 #FFFFFF';
-        option.style.background = '#C0C0C0';
-      });
-      option.addEventListener('click', () => {
-        const difficulty = option.dataset.difficulty;
-        dialog.remove();
-        this.startNewCity(difficulty);
+        styleOption(option, option.dataset.difficulty === difficulty);
       });
+      option.addEventListener('click', () => selectDifficulty(option.dataset.difficulty));
+    });
+    selectDifficulty(difficulty);
+
+    // Accept button - build the previewed map for real
+    dialog.querySelector('#difficulty-accept-btn').addEventListener('click', () => {
+      const { width, height } = getMapSize();
+      const terrain = getTerrain();
+      const seed = getSeed();
+      const rules = dialog.querySelector('#modern-rules').checked ? RULES.MODERN : RULES.CLASSIC;
+      dialog.remove();
+      this.startNewCity(difficulty, width, height, seed, terrain, customMap, rules);
     });
 
     // Close button
@@ -513,14 +703,27 @@ class Game {
     });
   }
 
+  // Read the scenario files again so new or edited ones show up
+  async loadScenarios() {
+    const files = await window.electronAPI?.listScenarios() || [];
+    this.scenarios = new ScenarioLibrary();
+    this.scenarios.addFiles(files);
+    this.scenarios.errors.forEach(error => console.warn('Skipped scenario file', error));
+  }
+
+  // Escape text from scenario files before putting it in dialog HTML
+  escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+  }
+
   // Show scenario selection dialog
-  showScenarioDialog() {
+  async showScenarioDialog() {
     // Remove existing dialog if any
     const existing = document.getElementById('scenario-dialog');
     if (existing) existing.remove();
 
-    const scenarios = SCENARIOS;
-    const scenarioList = Object.values(scenarios);
+    await this.loadScenarios();
+    const scenarioList = this.scenarios.list();
 
     // Separate main scenarios from bonus
     const mainScenarios = scenarioList.filter(s => !s.isBonus);
@@ -549,6 +752,14 @@ class Game {
         <div style="font-weight: bold; margin: 15px 0 8px 0; color: #800080;">Bonus Scenarios</div>
         <div id="bonus-scenarios"></div>
 
+        <div id="scenario-errors" style="display: none; margin-top: 10px; font-size: 10px; color: #800000;"></div>
+
+        <div style="margin-top: 15px; display: flex; align-items: center; gap: 8px; font-size: 11px;">
+          <span style="font-weight: bold;">Map:</span>
+          <span id="scenario-map-name" style="flex: 1;">Scenario map</span>
+          <button class="win95-button" id="scenario-map-btn">Load Map...</button>
+        </div>
+
         <div style="margin-top: 15px; text-align: center;">
           <button class="win95-button" id="scenario-cancel-btn" style="padding: 4px 20px;">Cancel</button>
         </div>
@@ -559,21 +770,7 @@ class Game {
     // Helper to create scenario option HTML
     const createScenarioOption = (scenario) => {
       const durationText = scenario.duration === -1 ? 'Unlimited' : `${scenario.duration} years`;
-      let goalText = '';
-      switch (scenario.goalType) {
-        case 'population':
-          goalText = `Population: ${scenario.goalValue.toLocaleString()}`;
-          break;
-        case 'crime':
-          goalText = `Crime below ${scenario.goalValue}%`;
-          break;
-        case 'metropolis':
-          goalText = 'Reach Metropolis status';
-          break;
-        case 'megalopolis':
-          goalText = 'Reach Megalopolis status';
-          break;
-      }
+      const goalText = this.escapeHtml(ScenarioLibrary.describeGoal(scenario.goal));
 
       const option = document.createElement('div');
       option.className = 'scenario-option';
@@ -588,11 +785,11 @@ class Game {
       `;
       option.innerHTML = `
         <div style="display: flex; justify-content: space-between; align-items: center;">
-          <div style="font-weight: bold;">${scenario.name}</div>
+          <div style="font-weight: bold;">${this.escapeHtml(scenario.name)}</div>
           <div style="font-size: 10px; color: #666;">${scenario.year}</div>
         </div>
         <div style="font-size: 11px; margin-top: 4px; color: #333;">
-          ${scenario.description}
+          ${this.escapeHtml(scenario.description)}
         </div>
         <div style="display: flex; justify-content: space-between; margin-top: 6px; font-size: 10px; color: #444;">
           <span>Duration: ${durationText}</span>
@@ -616,6 +813,14 @@ class Game {
       bonusContainer.appendChild(option);
     });
 
+    // List scenario files that could not be loaded
+    if (this.scenarios.errors.length > 0) {
+      const errors = dialog.querySelector('#scenario-errors');
+      errors.style.display = 'block';
+      errors.innerHTML = 'Skipped scenario files:<br>' +
+        this.scenarios.errors.map(error => this.escapeHtml(error)).join('<br>');
+    }
+
     // Add hover and click events
     dialog.querySelectorAll('.scenario-option').forEach(option => {
       option.addEventListener('mouseenter', () => {
@@ -629,10 +834,19 @@ class Game {
       option.addEventListener('click', () => {
         const scenarioId = option.dataset.scenario;
         dialog.remove();
-        this.startScenario(scenarioId);
+        this.startScenario(scenarioId, scenarioMap);
       });
     });
 
+    // Optionally play the scenario on a map editor map
+    let scenarioMap = null;
+    const mapButton = dialog.querySelector('#scenario-map-btn');
+    mapButton.addEventListener('click', async () => {
+      scenarioMap = scenarioMap ? null : await this.readMapFile();
+      dialog.querySelector('#scenario-map-name').textContent = scenarioMap ? 'Custom map' : 'Scenario map';
+      mapButton.textContent = scenarioMap ? 'Use Scenario Map' : 'Load Map...';
+    });
+
     // Close button
     dialog.querySelector('#scenario-close-btn').addEventListener('click', () => {
       dialog.remove();
@@ -644,35 +858,24 @@ class Game {
     });
   }
 
-  // Start a scenario
-  startScenario(scenarioId) {
-    const scenario = SCENARIOS[scenarioId];
+  // Start a scenario, on its own map or on a map editor map
+  async startScenario(scenarioId, map = null) {
+    const scenario = this.scenarios.get(scenarioId);
     if (!scenario) {
       alert('Unknown scenario: ' + scenarioId);
       return;
     }
 
-    this.simulation.pause();
-
-    // Create new city with scenario map
-    this.city = new City();
-    this.city.generateScenarioMap(scenario.mapType);
-
-    // Create budget with scenario settings
-    this.budget = new Budget(scenario.difficulty);
-    this.budget.funds = scenario.startingFunds;
+    // Scenarios drawn in the map editor keep their map in a file of their own
+    if (!map && scenario.map.path) {
+      map = await this.loadMapFile(scenario.map.path);
+      if (!map) return;
+    }
 
-    // Create simulation with scenario
-    this.simulation = new Simulation(this.city, this.budget);
-    this.simulation.setScenario(scenario);
-    this.simulation.onTick = (data) => this.onSimulationTick(data);
-    this.simulation.onScenarioWin = () => this.onScenarioWin();
-    this.simulation.onScenarioLose = () => this.onScenarioLose();
-
-    // Update references
-    this.renderer.city = this.city;
-    this.renderer.simulation = this.simulation;
-    this.minimap.city = this.city;
+    // Create new city with scenario map and settings
+    this.client.startScenario(scenario, undefined, map);
+    this.attachClientState();
+    this.setEditorMode(false);
 
     // Reset alert system for scenario
     if (this.alertSystem) {
@@ -680,7 +883,7 @@ class Game {
     }
 
     // Start simulation
-    this.simulation.start();
+    this.client.start();
     this.updateUI();
     this.updateWindowTitle(null);
 
@@ -700,38 +903,24 @@ class Game {
     if (existing) existing.remove();
 
     const durationText = scenario.duration === -1 ? 'Unlimited time' : `${scenario.duration} years`;
-    let goalText = '';
-    switch (scenario.goalType) {
-      case 'population':
-        goalText = `Reach a population of ${scenario.goalValue.toLocaleString()}`;
-        break;
-      case 'crime':
-        goalText = `Lower crime rate below ${scenario.goalValue}%`;
-        break;
-      case 'metropolis':
-        goalText = 'Grow your city to Metropolis status';
-        break;
-      case 'megalopolis':
-        goalText = 'Build a Megalopolis with 500,000+ population';
-        break;
-    }
+    const goalText = this.escapeHtml(ScenarioLibrary.describeGoal(scenario.goal));
 
     const dialog = document.createElement('div');
     dialog.id = 'scenario-start-dialog';
     dialog.className = 'win95-dialog';
     dialog.innerHTML = `
       <div class="win95-title-bar" style="-webkit-app-region: no-drag;">
-        <div class="win95-title-bar-text">${scenario.name}</div>
+        <div class="win95-title-bar-text">${this.escapeHtml(scenario.name)}</div>
         <div class="win95-title-bar-controls">
           <button class="win95-title-btn win95-title-btn-close" id="scenario-start-close">X</button>
         </div>
       </div>
-      <div class="win95-dialog-content" style="padding: 20px; min-width: 350px; text-align: center;">
+      <div class="win95-dialog-content" style="padding: 20px; min-width: 350px; max-width: 450px; text-align: center;">
         <div style="font-size: 16px; font-weight: bold; margin-bottom: 15px;">
-          ${scenario.name}
+          ${this.escapeHtml(scenario.name)}
         </div>
         <div style="font-size: 12px; margin-bottom: 10px; color: #333;">
-          ${scenario.description}
+          ${this.escapeHtml(scenario.intro)}
         </div>
         <div style="background: #FFF; border: 2px inset #808080; padding: 10px; margin: 15px 0;">
           <div style="font-weight: bold; margin-bottom: 5px;">Objective</div>
@@ -748,22 +937,22 @@ class Game {
     document.body.appendChild(dialog);
 
     // Pause the simulation until user starts
-    this.simulation.pause();
+    this.client.pause();
 
     dialog.querySelector('#scenario-start-close').addEventListener('click', () => {
       dialog.remove();
-      this.simulation.start();
+      this.client.start();
     });
 
     dialog.querySelector('#scenario-start-btn').addEventListener('click', () => {
       dialog.remove();
-      this.simulation.start();
+      this.client.start();
     });
   }
 
   // Called when scenario is won
   onScenarioWin() {
-    this.simulation.pause();
+    this.client.pause();
     const scenario = this.simulation.scenario;
 
     const dialog = document.createElement('div');
@@ -778,7 +967,7 @@ class Game {
           Congratulations!
         </div>
         <div style="font-size: 14px; margin-bottom: 10px;">
-          You have completed the <strong>${scenario.name}</strong> scenario!
+          You have completed the <strong>${this.escapeHtml(scenario.name)}</strong> scenario!
         </div>
         <div style="background: #C0FFC0; border: 2px inset #808080; padding: 15px; margin: 15px 0;">
           <div>Final Population: ${this.simulation.population.toLocaleString()}</div>
@@ -794,8 +983,8 @@ class Game {
 
     dialog.querySelector('#win-continue-btn').addEventListener('click', () => {
       dialog.remove();
-      this.simulation.scenario = null; // Clear scenario to continue in sandbox mode
-      this.simulation.start();
+      this.client.clearScenario(); // Continue in sandbox mode
+      this.client.start();
     });
 
     dialog.querySelector('#win-newgame-btn').addEventListener('click', () => {
@@ -806,7 +995,7 @@ class Game {
 
   // Called when scenario is lost (time ran out)
   onScenarioLose() {
-    this.simulation.pause();
+    this.client.pause();
     const scenario = this.simulation.scenario;
     const progress = this.simulation.getScenarioProgress();
 
@@ -822,10 +1011,10 @@ class Game {
           Scenario Failed
         </div>
         <div style="font-size: 14px; margin-bottom: 10px;">
-          Time has run out for the <strong>${scenario.name}</strong> scenario.
+          Time has run out for the <strong>${this.escapeHtml(scenario.name)}</strong> scenario.
         </div>
         <div style="background: #FFC0C0; border: 2px inset #808080; padding: 15px; margin: 15px 0;">
-          <div>Your Progress: ${progress.currentValue.toLocaleString()} / ${progress.targetValue.toLocaleString()}</div>
+          <div>Your Progress: ${this.escapeHtml(progress.goalText)}</div>
           <div style="margin-top: 5px;">
             <div style="background: #800000; height: 20px; position: relative;">
               <div style="background: #00AA00; height: 100%; width: ${Math.min(100, progress.percentage)}%;"></div>
@@ -856,12 +1045,13 @@ class Game {
 
   // Save city (quick save to current file, or Save As if no file)
   async saveCity() {
+    const { city, budget, simulation } = await this.client.getSaveData();
     const saveData = {
-      version: 1,
+      version: 2,
       timestamp: Date.now(),
-      city: this.city.serialize(),
-      budget: this.budget.serialize(),
-      simulation: this.simulation.serialize(),
+      city,
+      budget,
+      simulation,
       alertSystem: this.alertSystem?.serialize()
     };
 
@@ -903,19 +1093,14 @@ class Game {
     try {
       const saveData = JSON.parse(result.data);
 
-      this.simulation.pause();
-      this.city = City.deserialize(saveData.city);
-      this.budget = Budget.deserialize(saveData.budget);
-      this.simulation = Simulation.deserialize(saveData.simulation, this.city, this.budget);
-      this.simulation.onTick = (data) => this.onSimulationTick(data);
-      this.renderer.city = this.city;
-      this.renderer.simulation = this.simulation;
-      this.minimap.city = this.city;
+      this.client.load(saveData);
+      this.attachClientState();
+      this.setEditorMode(false);
       // Restore alert system state
       if (this.alertSystem && saveData.alertSystem) {
         this.alertSystem.deserialize(saveData.alertSystem);
       }
-      this.simulation.start();
+      this.client.start();
       this.updateUI();
       this.updateWindowTitle(filePath);
       this.showSaveNotification('City loaded!');
@@ -932,12 +1117,13 @@ class Game {
       return; // User cancelled
     }
 
+    const { city, budget, simulation } = await this.client.getSaveData();
     const saveData = {
-      version: 1,
+      version: 2,
       timestamp: Date.now(),
-      city: this.city.serialize(),
-      budget: this.budget.serialize(),
-      simulation: this.simulation.serialize(),
+      city,
+      budget,
+      simulation,
       alertSystem: this.alertSystem?.serialize()
     };
 
@@ -952,6 +1138,178 @@ class Game {
     }
   }
 
+  // Show the Map Editor dialog: start a blank or generated map, or open one
+  showMapEditorDialog() {
+    const existing = document.getElementById('map-editor-dialog');
+    if (existing) existing.remove();
+
+    const sizeOptions = Object.entries(MAP_SIZES).map(([id, size]) => `
+      <option value="${id}" ${id === 'medium' ? 'selected' : ''}>
+        ${size.name} (${size.width} x ${size.height})
+      </option>
+    `).join('');
+
+    const dialog = document.createElement('div');
+    dialog.id = 'map-editor-dialog';
+    dialog.className = 'win95-dialog';
+    dialog.innerHTML = `
+      <div class="win95-title-bar" style="-webkit-app-region: no-drag;">
+        <div class="win95-title-bar-text">Map Editor</div>
+        <div class="win95-title-bar-controls">
+          <button class="win95-title-btn win95-title-btn-close" id="map-editor-close-btn">X</button>
+        </div>
+      </div>
+      <div class="win95-dialog-content" style="padding: 20px; min-width: 280px;">
+        <div style="display: flex; align-items: center; gap: 8px;">
+          <label for="map-editor-size" style="font-weight: bold;">Map Size:</label>
+          <select id="map-editor-size" class="win95-input" style="flex: 1;">${sizeOptions}</select>
+        </div>
+        <div class="win95-groupbox">
+          <label class="win95-checkbox">
+            <input type="radio" name="map-editor-start" value="blank" checked> Blank map
+          </label>
+          <label class="win95-checkbox" style="margin-top: 6px;">
+            <input type="radio" name="map-editor-start" value="generated"> Generated terrain
+          </label>
+        </div>
+        <div style="margin-top: 15px; text-align: center;">
+          <button class="win95-button" id="map-editor-create-btn" style="padding: 4px 16px;">Create</button>
+          <button class="win95-button" id="map-editor-open-btn" style="padding: 4px 16px;">Open Map...</button>
+          <button class="win95-button" id="map-editor-cancel-btn" style="padding: 4px 16px;">Cancel</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(dialog);
+
+    dialog.querySelector('#map-editor-create-btn').addEventListener('click', () => {
+      const { width, height } = MAP_SIZES[dialog.querySelector('#map-editor-size').value];
+      const generated = dialog.querySelector('input[name="map-editor-start"]:checked').value === 'generated';
+      dialog.remove();
+      this.startMapEditor(width, height, generated ? TERRAIN_DEFAULTS : null);
+    });
+
+    dialog.querySelector('#map-editor-open-btn').addEventListener('click', () => {
+      dialog.remove();
+      this.openMap();
+    });
+
+    dialog.querySelector('#map-editor-close-btn').addEventListener('click', () => {
+      dialog.remove();
+    });
+
+    dialog.querySelector('#map-editor-cancel-btn').addEventListener('click', () => {
+      dialog.remove();
+    });
+  }
+
+  // Open the map editor on a blank map, or generated terrain if given
+  startMapEditor(width, height, terrain = null, seed = Random.generateSeed()) {
+    this.client.newMap(width, height, seed, terrain);
+    this.enterMapEditor();
+  }
+
+  // Switch the UI to the map the client just opened for editing
+  // The simulation is never started while editing
+  enterMapEditor() {
+    this.attachClientState();
+    this.setEditorMode(true);
+    if (this.alertSystem) {
+      this.alertSystem.reset();
+    }
+    this.updateUI();
+    this.updateWindowTitle(null);
+    this.renderer.centerOn(
+      Math.floor(this.city.width / 2),
+      Math.floor(this.city.height / 2)
+    );
+  }
+
+  // Show or hide the map editor palette
+  setEditorMode(enabled) {
+    this.editorMode = enabled;
+    this.mapEditorPanel.setVisible(enabled);
+
+    if (!enabled && this.mapEditorPanel.isTerrainTool(this.toolbar.getCurrentTool())) {
+      this.toolbar.selectTool('pointer');
+    }
+  }
+
+  // Ask for a map file and read it, returns the map data or null
+  // City saves work too - their map is used as it was saved
+  async readMapFile() {
+    const filePath = await window.electronAPI?.showOpenDialog('map');
+
+    if (!filePath) {
+      return null; // User cancelled
+    }
+
+    return this.loadMapFile(filePath);
+  }
+
+  // Read and check a map file, returns null after telling the user if it fails
+  async loadMapFile(filePath) {
+    const result = await window.electronAPI?.loadFile(filePath);
+
+    if (!result?.success) {
+      alert('Failed to load map: ' + (result?.error || 'Unknown error'));
+      return null;
+    }
+
+    try {
+      const map = JSON.parse(result.data);
+      if (!map.city?.tiles) {
+        throw new Error('Not a map file');
+      }
+      return map;
+    } catch (e) {
+      alert('Failed to load map: ' + e.message);
+      return null;
+    }
+  }
+
+  // Open a map file in the map editor
+  async openMap() {
+    const map = await this.readMapFile();
+    if (!map) return;
+
+    this.client.openMap(map);
+    this.enterMapEditor();
+  }
+
+  // Get the map being edited in map file format
+  async getMapData() {
+    const { city } = await this.client.getSaveData();
+    return {
+      version: 1,
+      type: 'map',
+      timestamp: Date.now(),
+      city
+    };
+  }
+
+  // Save the map being edited to a map file
+  async saveMap() {
+    const filePath = await window.electronAPI?.showSaveDialog('map');
+
+    if (!filePath) {
+      return; // User cancelled
+    }
+
+    const jsonData = JSON.stringify(await this.getMapData(), null, 2);
+    const result = await window.electronAPI?.saveFile(filePath, jsonData);
+
+    if (result?.success) {
+      this.showSaveNotification('Map saved!');
+    } else {
+      alert('Failed to save map: ' + (result?.error || 'Unknown error'));
+    }
+  }
+
+  // Start a new city on the map being edited
+  async playMap() {
+    this.showDifficultyDialog(await this.getMapData());
+  }
+
   // Update window title with current file name
   updateWindowTitle(filePath) {
     if (filePath) {
@@ -1014,6 +1372,8 @@ Funds: $${summary.funds.toLocaleString()}
 Tax Rate: ${summary.taxRate}%
 Projected Annual Income: $${summary.taxIncome.toLocaleString()}
 Annual Expenses: $${summary.totalExpenses.toLocaleString()}
+  Public Transit: $${summary.transitExpense.toLocaleString()}
+  Water: $${summary.waterExpense.toLocaleString()}
 Projected Cash Flow: $${summary.projectedCashFlow.toLocaleString()}`);
   }
 
@@ -1023,7 +1383,7 @@ Projected Cash Flow: $${summary.projectedCashFlow.toLocaleString()}`);
     if (newRate !== null) {
       const rate = parseInt(newRate);
       if (!isNaN(rate) && rate >= 0 && rate <= 20) {
-        this.budget.setTaxRate(rate);
+        this.client.setTaxRate(rate);
       }
     }
   }
@@ -1035,29 +1395,7 @@ Projected Cash Flow: $${summary.projectedCashFlow.toLocaleString()}`);
       return;
     }
 
-    switch (type) {
-      case 'fire':
-        this.simulation.triggerFireDisaster();
-        break;
-      case 'flood':
-        this.simulation.triggerFloodDisaster();
-        break;
-      case 'tornado':
-        this.simulation.triggerTornadoDisaster();
-        break;
-      case 'earthquake':
-        this.simulation.triggerEarthquakeDisaster();
-        break;
-      case 'monster':
-        this.simulation.triggerMonsterDisaster();
-        break;
-      case 'plane':
-        this.simulation.triggerPlaneCrashDisaster();
-        break;
-      case 'ufo':
-        this.simulation.triggerUFODisaster();
-        break;
-    }
+    this.client.triggerDisaster(type);
   }
 
   // Show graphs window
@@ -1188,6 +1526,99 @@ Projected Cash Flow: $${summary.projectedCashFlow.toLocaleString()}`);
     });
   }
 
+  // Show the power grid report
+  showPowerReport() {
+    this.showPowerReportDialog();
+  }
+
+  // Create and show power grid report dialog
+  // One section per grid with a plant: its plants, how many zones it powers
+  // and whether its supply covers its demand. Grids with zones but no plant
+  // follow, one line each, then the plants still to come.
+  showPowerReportDialog() {
+    // Remove existing dialog if any
+    const existing = document.getElementById('power-dialog');
+    if (existing) existing.remove();
+
+    const grids = this.simulation.powerGrids || [];
+    const stats = this.simulation.stats;
+
+    // Output and how long the plant has left; wind farms make a different amount each month
+    const describePlant = (plant) => {
+      const yearsLeft = this.simulation.getPlantYearsLeft(plant);
+      const wind = plant.type === 'wind-power' ?
+        `, ${Math.round(WIND_OUTPUT_BY_MONTH[this.simulation.month] * 100)}% wind` : '';
+      const life = yearsLeft > 0 ? `${Math.ceil(yearsLeft)} years left` : '<b>shut down</b>';
+      return `${TOOL_NAMES[plant.type]} at ${plant.x}, ${plant.y} (${plant.output}${wind}, ${life})`;
+    };
+
+    const plantGrids = grids.filter(grid => grid.plants.length > 0);
+    const plantlessGrids = grids.filter(grid => grid.plants.length === 0);
+
+    const gridRows = plantGrids.map((grid, i) => {
+      const plants = grid.plants.map(describePlant).join('<br>');
+      return `
+        <div style="margin: 8px 0; padding: 6px; border: 2px inset #808080; background: ${grid.surplus >= 0 ? '#C0FFC0' : '#FFC0C0'};">
+          <div style="font-weight: bold;">Grid ${i + 1}</div>
+          <div style="font-size: 11px; margin: 4px 0;">${plants}</div>
+          <div style="display: flex; justify-content: space-between; font-size: 11px;">
+            <span>Supply: ${grid.supply.toLocaleString()}</span>
+            <span>Demand: ${grid.demand.toLocaleString()}</span>
+            <span>${grid.surplus >= 0 ? 'Surplus' : 'Shortfall'}: ${Math.abs(grid.surplus).toLocaleString()}</span>
+          </div>
+          <div style="font-size: 11px;">Zones powered: ${grid.poweredZones} of ${grid.zones}</div>
+        </div>
+      `;
+    }).join('');
+
+    const plantlessRows = plantlessGrids.map((grid, i) => `
+      <div style="font-size: 11px; margin: 2px 0;">
+        Grid ${plantGrids.length + i + 1} at ${grid.x}, ${grid.y}: ${grid.zones} zone${grid.zones === 1 ? '' : 's'},
+        ${grid.wired ? 'no power plant on it' : 'not wired to anything'}
+      </div>
+    `).join('');
+
+    const upcoming = Object.keys(POWER_PLANT_YEARS)
+      .filter(tool => !this.simulation.isToolAvailable(tool))
+      .map(tool => `${TOOL_NAMES[tool]} (${POWER_PLANT_YEARS[tool]})`);
+
+    const dialog = document.createElement('div');
+    dialog.id = 'power-dialog';
+    dialog.className = 'win95-dialog';
+    dialog.innerHTML = `
+      <div class="win95-title-bar" style="-webkit-app-region: no-drag;">
+        <div class="win95-title-bar-text">Power Grid Report</div>
+        <div class="win95-title-bar-controls">
+          <button class="win95-title-btn win95-title-btn-close" id="power-close-btn">X</button>
+        </div>
+      </div>
+      <div class="win95-dialog-content" style="padding: 15px; min-width: 350px; max-height: 400px; overflow-y: auto;">
+        <div style="display: flex; justify-content: space-between; font-weight: bold; border-bottom: 1px solid #808080; padding-bottom: 4px;">
+          <span>Produced: ${stats.totalPowerProduced.toLocaleString()}</span>
+          <span>Used: ${stats.totalPowerConsumed.toLocaleString()}</span>
+        </div>
+        ${gridRows || '<div style="margin: 8px 0;">No power plants.</div>'}
+        ${plantlessRows ? `
+          <div style="margin: 8px 0; padding: 6px; border: 2px inset #808080; background: #E0E0E0;">
+            <div style="font-weight: bold;">Without Power</div>
+            ${plantlessRows}
+          </div>
+        ` : ''}
+        <div style="margin-top: 10px; font-size: 11px; border-top: 1px solid #808080; padding-top: 8px;">
+          Zones in a brownout: ${stats.brownoutZones}<br>
+          Zones with no power plant: ${stats.unpoweredZones}
+          ${upcoming.length > 0 ? `<br>Coming later: ${upcoming.join(', ')}` : ''}
+        </div>
+      </div>
+    `;
+    document.body.appendChild(dialog);
+
+    // Add event listener for close button
+    dialog.querySelector('#power-close-btn').addEventListener('click', () => {
+      dialog.remove();
+    });
+  }
+
   // Create and show graphs dialog
   showGraphsDialog() {
     // Remove existing dialog if any
@@ -1313,8 +1744,36 @@ Projected Cash Flow: $${summary.projectedCashFlow.toLocaleString()}`);
     alert(`Total Population: ${this.simulation.population.toLocaleString()}`);
   }
 
-  // Undo (placeholder)
+  // Point the game, renderer and minimap at the client's current replicas
+  attachClientState() {
+    this.city = this.client.city;
+    this.budget = this.client.budget;
+    this.simulation = this.client.simulation;
+
+    if (this.renderer) {
+      this.renderer.setCity(this.city);
+      this.renderer.simulation = this.simulation;
+    }
+    if (this.minimap) {
+      this.minimap.setCity(this.city);
+    }
+    this.updateEditMenu();
+  }
+
+  // Undo the last tool action
   undo() {
-    alert('Undo - Coming soon!');
+    this.client.undo();
+  }
+
+  // Redo the last undone tool action
+  redo() {
+    this.client.redo();
+  }
+
+  // Enable/disable Undo and Redo menu items
+  updateEditMenu() {
+    if (!this.menuBar || !this.client) return;
+    this.menuBar.setItemEnabled('undo', this.client.canUndo);
+    this.menuBar.setItemEnabled('redo', this.client.canRedo);
   }
 }
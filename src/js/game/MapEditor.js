@@ -0,0 +1,145 @@
+// MapEditor.js - Terrain painting for the map editor
+// Works out which tiles a brush, fill or shape stroke covers and paints them
+// with water, forest or grass. Only natural terrain is painted over; roads,
+// zones and buildings have to be bulldozed first.
+
+class MapEditor {
+  constructor(city) {
+    this.city = city;
+  }
+
+  // Natural terrain that terrain tools may replace
+  static isPaintable(tile) {
+    return tile.isEmpty() || tile.isWater() || tile.isForest();
+  }
+
+  // Get the indices of the tiles a stroke would change
+  // stroke: { tool, shape, x0, y0, x1, y1, size } - (x0, y0) is where the drag
+  // started and (x1, y1) where it is now; brushes and fills use (x1, y1)
+  getTiles(stroke) {
+    const type = MAP_EDITOR_TERRAIN[stroke.tool];
+    if (type === undefined) return [];
+
+    let indices;
+    switch (stroke.shape) {
+      case 'brush':
+        indices = this.getBrushTiles(stroke.x1, stroke.y1, stroke.size);
+        break;
+      case 'fill':
+        indices = this.getFillTiles(stroke.x1, stroke.y1);
+        break;
+      case 'rectangle':
+        indices = this.getShapeTiles(stroke, () => true);
+        break;
+      case 'ellipse':
+        indices = this.getShapeTiles(stroke, (dx, dy) => dx * dx + dy * dy <= 1);
+        break;
+      default:
+        return [];
+    }
+
+    const types = this.city.tileStore.type;
+    return indices.filter(i => types[i] !== type && MapEditor.isPaintable(this.getTileAt(i)));
+  }
+
+  // Get the tile view for a store index
+  getTileAt(index) {
+    const { width } = this.city;
+    return this.city.tiles[Math.floor(index / width)][index % width];
+  }
+
+  // Round brush of the given diameter centred on (cx, cy)
+  getBrushTiles(cx, cy, size = 1) {
+    const radius = (size - 1) / 2;
+    const reach = Math.ceil(radius);
+    const indices = [];
+
+    for (let dy = -reach; dy <= reach; dy++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        if (dx * dx + dy * dy > radius * radius + radius) continue;
+        const x = cx + dx;
+        const y = cy + dy;
+        if (this.city.isInBounds(x, y)) {
+          indices.push(this.city.tileStore.indexOf(x, y));
+        }
+      }
+    }
+    return indices;
+  }
+
+  // Every paintable tile connected to (x, y) with the same terrain
+  getFillTiles(x, y) {
+    const city = this.city;
+    const start = city.getTile(x, y);
+    if (!start || !MapEditor.isPaintable(start)) return [];
+
+    const { width, height } = city;
+    const types = city.tileStore.type;
+    const target = types[start.index];
+    const visited = new Uint8Array(width * height);
+    const stack = [start.index];
+    const indices = [];
+    visited[start.index] = 1;
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      indices.push(index);
+
+      const tx = index % width;
+      const ty = Math.floor(index / width);
+      const neighbors = [
+        tx > 0 ? index - 1 : -1,
+        tx < width - 1 ? index + 1 : -1,
+        ty > 0 ? index - width : -1,
+        ty < height - 1 ? index + width : -1
+      ];
+      for (const next of neighbors) {
+        if (next >= 0 && !visited[next] && types[next] === target) {
+          visited[next] = 1;
+          stack.push(next);
+        }
+      }
+    }
+    return indices;
+  }
+
+  // Tiles of the rectangle between the stroke's corners that pass inside(dx, dy),
+  // where dx and dy run from -1 to 1 across the rectangle
+  getShapeTiles(stroke, inside) {
+    const left = Math.max(0, Math.min(stroke.x0, stroke.x1));
+    const right = Math.min(this.city.width - 1, Math.max(stroke.x0, stroke.x1));
+    const top = Math.max(0, Math.min(stroke.y0, stroke.y1));
+    const bottom = Math.min(this.city.height - 1, Math.max(stroke.y0, stroke.y1));
+
+    const cx = (Math.min(stroke.x0, stroke.x1) + Math.max(stroke.x0, stroke.x1)) / 2;
+    const cy = (Math.min(stroke.y0, stroke.y1) + Math.max(stroke.y0, stroke.y1)) / 2;
+    const rx = Math.abs(stroke.x1 - stroke.x0) / 2 + 0.5;
+    const ry = Math.abs(stroke.y1 - stroke.y0) / 2 + 0.5;
+
+    const indices = [];
+    for (let y = top; y <= bottom; y++) {
+      for (let x = left; x <= right; x++) {
+        if (inside((x - cx) / rx, (y - cy) / ry)) {
+          indices.push(this.city.tileStore.indexOf(x, y));
+        }
+      }
+    }
+    return indices;
+  }
+
+  // Paint the given tiles with a terrain tool, returns true if anything changed
+  paint(indices, tool) {
+    const type = MAP_EDITOR_TERRAIN[tool];
+    const { type: types, flags, waterPipe, tunnel } = this.city.tileStore;
+    for (const index of indices) {
+      types[index] = type;
+      tunnel[index] = 0;
+      // Flooding land floods any subway tunnel or water pipe under it
+      if (type === TILE_TYPES.WATER) {
+        flags[index] &= ~TILE_FLAGS.subway;
+        waterPipe[index] = 0;
+      }
+    }
+    return indices.length > 0;
+  }
+}
@@ -0,0 +1,49 @@
+// Random.js - Seedable pseudo-random number generator (mulberry32)
+// The simulation owns one instance so that a seed plus the player's actions
+// always reproduce the same city.
+
+class Random {
+  constructor(seed = Random.generateSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Pick a fresh seed when none is given
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  // Next float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  // Next integer in [0, max)
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  // True with the given probability
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  // Random element of an array
+  pick(array) {
+    return array[this.nextInt(array.length)];
+  }
+
+  // Get generator state for saving
+  getState() {
+    return this.state;
+  }
+
+  // Restore generator state from a save
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
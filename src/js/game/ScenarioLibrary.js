@@ -0,0 +1,140 @@
+// ScenarioLibrary.js - Scenarios loaded from JSON files
+// Every .json file in a scenarios folder describes one scenario: its start
+// year, funds, time limit, goal, scheduled disasters, intro text and map (a
+// ScenarioMap spec, or a map editor file next to the scenario). The built-in
+// scenarios live in src/scenarios; players can drop their own into the
+// scenarios folder in the app's user data folder. A file that fails to parse
+// or validate is skipped and listed in errors instead of breaking the rest.
+//
+// Goals are { "type": "traffic", "value": 30 } with a type from
+// SCENARIO_GOAL_TYPES, or { "type": "and" | "or", "goals": [...] } to combine them.
+
+// Disasters Simulation.triggerScheduledDisaster can start
+const SCENARIO_DISASTER_TYPES = ['earthquake', 'fire', 'flood', 'tornado', 'monster', 'meltdown', 'plane', 'ufo'];
+
+class ScenarioLibrary {
+  constructor() {
+    this.scenarios = new Map();
+    this.errors = [];
+  }
+
+  // Add scenario files ({ path, text }); a later file replaces an earlier one
+  // with the same id, so user scenarios can override the built-in ones
+  addFiles(files) {
+    for (const file of files) {
+      try {
+        const scenario = ScenarioLibrary.parse(file.text, file.path);
+        this.scenarios.set(scenario.id, scenario);
+      } catch (e) {
+        this.errors.push(`${file.path}: ${e.message}`);
+      }
+    }
+  }
+
+  get(id) {
+    return this.scenarios.get(id) || null;
+  }
+
+  // All scenarios, main ones before bonus ones, each in their file's order
+  list() {
+    return [...this.scenarios.values()].sort((a, b) =>
+      (a.isBonus - b.isBonus) || (a.order - b.order) || a.name.localeCompare(b.name)
+    );
+  }
+
+  // Parse and validate one scenario file, filling in defaults
+  static parse(text, filePath = '') {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object') {
+      throw new Error('Scenario file must contain an object');
+    }
+
+    const fileName = filePath.split(/[\\/]/).pop().replace(/\.json$/i, '');
+    const scenario = {
+      id: String(data.id || fileName),
+      name: data.name,
+      order: Number(data.order) || 0,
+      year: data.year,
+      duration: data.duration ?? -1,
+      difficulty: data.difficulty || DIFFICULTY.EASY,
+      startingFunds: data.startingFunds ?? DIFFICULTY_SETTINGS[data.difficulty || DIFFICULTY.EASY]?.startingFunds,
+      isBonus: Boolean(data.isBonus),
+      description: data.description || '',
+      intro: data.intro || data.description || '',
+      goal: data.goal,
+      scheduledDisasters: data.scheduledDisasters || [],
+      map: { ...data.map }
+    };
+
+    if (!scenario.id) throw new Error('Missing id');
+    if (typeof scenario.name !== 'string' || !scenario.name) throw new Error('Missing name');
+    if (!Number.isInteger(scenario.year)) throw new Error('year must be a whole number');
+    if (typeof scenario.duration !== 'number') throw new Error('duration must be a number of years, or -1');
+    if (!DIFFICULTY_SETTINGS[scenario.difficulty]) throw new Error(`Unknown difficulty: ${scenario.difficulty}`);
+    if (typeof scenario.startingFunds !== 'number') throw new Error('startingFunds must be a number');
+
+    ScenarioLibrary.validateGoal(scenario.goal);
+
+    if (!Array.isArray(scenario.scheduledDisasters)) throw new Error('scheduledDisasters must be a list');
+    for (const disaster of scenario.scheduledDisasters) {
+      if (!SCENARIO_DISASTER_TYPES.includes(disaster?.type)) {
+        throw new Error(`Unknown disaster: ${disaster?.type}`);
+      }
+      if (!Number.isInteger(disaster.month) || disaster.month < 0) {
+        throw new Error('Disaster month must be a whole number from 0');
+      }
+    }
+
+    const { width, height } = scenario.map;
+    const { MIN_MAP_SIZE, MAX_MAP_SIZE } = GAME_CONSTANTS;
+    if ([width, height].some(n => n !== undefined && !(n >= MIN_MAP_SIZE && n <= MAX_MAP_SIZE))) {
+      throw new Error(`Map sides must be ${MIN_MAP_SIZE}-${MAX_MAP_SIZE} tiles`);
+    }
+
+    // Map editor files are looked up next to the scenario file
+    if (scenario.map.file) {
+      scenario.map.path = filePath.replace(/[^\\/]*$/, '') + scenario.map.file;
+    }
+
+    return scenario;
+  }
+
+  // Check a goal and any sub-goals it combines
+  static validateGoal(goal, path = 'goal') {
+    if (!goal || typeof goal !== 'object') throw new Error(`Missing ${path}`);
+
+    if (goal.type === 'and' || goal.type === 'or') {
+      if (!Array.isArray(goal.goals) || goal.goals.length === 0) {
+        throw new Error(`${path}.goals must be a list of goals`);
+      }
+      goal.goals.forEach((subGoal, i) => ScenarioLibrary.validateGoal(subGoal, `${path}.goals[${i}]`));
+      return;
+    }
+
+    const goalType = SCENARIO_GOAL_TYPES[goal.type];
+    if (!goalType) {
+      const types = [...Object.keys(SCENARIO_GOAL_TYPES), 'and', 'or'];
+      throw new Error(`${path}.type must be one of ${types.join(', ')}`);
+    }
+    if (goalType.value === undefined && typeof goal.value !== 'number') {
+      throw new Error(`${path}.value must be a number`);
+    }
+  }
+
+  // Describe a goal for the scenario dialogs, e.g. "Traffic below 30 and Funds at least $50,000"
+  static describeGoal(goal) {
+    if (goal.type === 'and' || goal.type === 'or') {
+      const parts = goal.goals.map(subGoal => {
+        const text = ScenarioLibrary.describeGoal(subGoal);
+        return subGoal.type === 'and' || subGoal.type === 'or' ? `(${text})` : text;
+      });
+      return parts.join(` ${goal.type} `);
+    }
+
+    const goalType = SCENARIO_GOAL_TYPES[goal.type];
+    if (goalType.name) return goalType.name;
+
+    const value = `${goalType.prefix || ''}${goal.value.toLocaleString()}${goalType.suffix || ''}`;
+    return `${goalType.label} ${goalType.target === 'below' ? 'below' : 'at least'} ${value}`;
+  }
+}
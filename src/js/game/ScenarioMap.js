@@ -0,0 +1,152 @@
+// ScenarioMap.js - Builds a scenario's starting map from its JSON description
+// A map spec gives the size, optional TerrainGenerator parameters, terrain
+// shapes drawn in order, whether to scatter forests, and the roads, zones and
+// buildings of the starting city. Scenarios can instead point at a map editor
+// file (spec.file), which the game loads and passes in as map data.
+//
+// {
+//   "width": 120, "height": 120,
+//   "terrain": { "coastline": "east" },           TERRAIN_DEFAULTS-style, optional
+//   "features": [
+//     { "terrain": "water", "shape": "all" },
+//     { "terrain": "water", "shape": "rect", "x": 0, "y": 0, "width": 15, "height": 120, "density": 1 },
+//     { "terrain": "water", "shape": "circle", "x": 50, "y": 50, "radius": 20 },
+//     { "terrain": "grass", "shape": "ellipse", "x": 60, "y": 60, "rx": 35, "ry": 30, "wobble": 0.15, "lobes": 5 },
+//     { "terrain": "water", "shape": "river", "x": 60, "width": 4, "amplitude": 8, "frequency": 0.08 }
+//   ],
+//   "forests": true,
+//   "structures": [
+//     { "tool": "road", "x": 34, "y": 32, "width": 15, "height": 1 },
+//     { "tool": "coal-power", "x": 30, "y": 30 }
+//   ]
+// }
+
+// Terrain names used by map specs and the tile type each one draws
+const SCENARIO_MAP_TERRAIN = {
+  water: TILE_TYPES.WATER,
+  forest: TILE_TYPES.FOREST,
+  grass: TILE_TYPES.EMPTY
+};
+
+class ScenarioMap {
+  constructor(spec = {}) {
+    this.spec = spec;
+  }
+
+  // Create an empty city of the spec's size
+  createCity() {
+    return new City(
+      this.spec.width || GAME_CONSTANTS.MAP_WIDTH,
+      this.spec.height || GAME_CONSTANTS.MAP_HEIGHT
+    );
+  }
+
+  // Draw the map onto an empty city (random details use the city's RNG)
+  build(city) {
+    const spec = this.spec;
+
+    if (spec.terrain) {
+      city.generateTerrain(spec.terrain, spec.seed);
+    }
+    for (const feature of spec.features || []) {
+      this.drawFeature(city, feature);
+    }
+    if (spec.forests) {
+      city.generateForests();
+    }
+    for (const structure of spec.structures || []) {
+      this.placeStructure(city, structure);
+    }
+  }
+
+  // Draw one terrain shape
+  drawFeature(city, feature) {
+    const type = SCENARIO_MAP_TERRAIN[feature.terrain];
+    if (type === undefined) return;
+
+    const density = feature.density ?? 1;
+    const paint = (x, y) => {
+      if (city.isInBounds(x, y) && (density >= 1 || city.random.next() < density)) {
+        city.tiles[y][x].type = type;
+      }
+    };
+
+    switch (feature.shape) {
+      case 'all':
+        this.forEachInRect(0, 0, city.width, city.height, paint);
+        break;
+
+      case 'rect':
+        this.forEachInRect(feature.x, feature.y, feature.width, feature.height, paint);
+        break;
+
+      case 'circle': {
+        const r = feature.radius;
+        this.forEachInRect(feature.x - r, feature.y - r, r * 2 + 1, r * 2 + 1, (x, y) => {
+          const dx = x - feature.x;
+          const dy = y - feature.y;
+          if (Math.sqrt(dx * dx + dy * dy) < r) paint(x, y);
+        });
+        break;
+      }
+
+      case 'ellipse': {
+        // A wobble bends the edge in and out 'lobes' times around the ellipse
+        const wobble = feature.wobble || 0;
+        const lobes = feature.lobes || 0;
+        const reachX = Math.ceil(feature.rx * (1 + wobble));
+        const reachY = Math.ceil(feature.ry * (1 + wobble));
+        this.forEachInRect(feature.x - reachX, feature.y - reachY, reachX * 2 + 1, reachY * 2 + 1, (x, y) => {
+          const dx = (x - feature.x) / feature.rx;
+          const dy = (y - feature.y) / feature.ry;
+          if (Math.sqrt(dx * dx + dy * dy) < 1 + Math.sin(Math.atan2(dy, dx) * lobes) * wobble) {
+            paint(x, y);
+          }
+        });
+        break;
+      }
+
+      case 'river': {
+        // Runs top to bottom around column x, or left to right around row y
+        const vertical = feature.x !== undefined;
+        const length = vertical ? city.height : city.width;
+        for (let t = 0; t < length; t++) {
+          const start = Math.floor((vertical ? feature.x : feature.y) +
+            Math.sin(t * (feature.frequency || 0)) * (feature.amplitude || 0));
+          for (let c = start; c < start + feature.width; c++) {
+            if (vertical) {
+              paint(c, t);
+            } else {
+              paint(t, c);
+            }
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  // Call fn(x, y) for every tile of a rectangle
+  forEachInRect(left, top, width, height, fn) {
+    for (let y = top; y < top + height; y++) {
+      for (let x = left; x < left + width; x++) {
+        fn(x, y);
+      }
+    }
+  }
+
+  // Place a road, zone or building, or a run of them over a rectangle
+  // Rectangles of zones and buildings step by the structure's footprint
+  placeStructure(city, structure) {
+    const { tool, x, y, width = 1, height = 1 } = structure;
+    const size = GAME_CONSTANTS.BUILDING_SIZES[tool] ||
+      (['residential', 'commercial', 'industrial'].includes(tool) ?
+        { width: GAME_CONSTANTS.ZONE_SIZE, height: GAME_CONSTANTS.ZONE_SIZE } : { width: 1, height: 1 });
+
+    for (let ty = y; ty < y + height; ty += size.height) {
+      for (let tx = x; tx < x + width; tx += size.width) {
+        city.useTool(tool, tx, ty);
+      }
+    }
+  }
+}
@@ -1,20 +1,46 @@
 // Simulation.js - City simulation engine
 
 class Simulation {
-  constructor(city, budget) {
+  constructor(city, budget, seed = Random.generateSeed()) {
     this.city = city;
     this.budget = budget;
 
+    // Seeded RNG shared with the city so every roll is reproducible
+    this.random = new Random(seed);
+    this.city.random = this.random;
+    this.city.getDate = () => this.year * 12 + this.month;
+
+    // Routes commuter trips and lays down road traffic
+    this.tripGenerator = new TripGenerator(city, this.random);
+
     this.year = GAME_CONSTANTS.STARTING_YEAR;
     this.month = GAME_CONSTANTS.STARTING_MONTH;
 
     this.population = 0;
 
+    // Rule set (RULES) - modern rules make busy roads pollute and lower land value
+    this.rules = RULES.CLASSIC;
+
+    // Zones past WATER_CONSTANTS.GROWTH_LEVELS need water to grow. Scenario maps
+    // and saves from before the water system have no pumps, so they don't.
+    this.waterRequired = true;
+
+    // Saves from before POWER_PLANT_YEARS could build nuclear plants in any
+    // year, and still can (so an old plant can always be replaced)
+    this.nuclearAlwaysAvailable = false;
+
     // R/C/I demand (-1 to 2, where positive means demand)
     this.residentialDemand = DEMAND_FACTORS.BASE_RESIDENTIAL;
     this.commercialDemand = DEMAND_FACTORS.BASE_COMMERCIAL;
     this.industrialDemand = DEMAND_FACTORS.BASE_INDUSTRIAL;
 
+    // Zone types held back by a missing stadium, airport or seaport (DEMAND_CAPS)
+    this.demandCapped = { residential: false, commercial: false, industrial: false };
+    this.powerGrids = [];  // Grids with a plant or a zone, from updatePowerGrid
+    this.waterNetworks = [];  // Joined-up pipes, pumps and towers, from updateWaterNetworks
+    this.unpipedZones = [];   // Zone buildings no network reaches
+    this.layoutOutdated = true;  // Power, road access and water networks need working out from scratch (updateLayout)
+
     // Simulation state
     this.isPaused = false;
     this.speed = GAME_CONSTANTS.SPEED_NORMAL;
@@ -28,16 +54,35 @@ class Simulation {
     this.scenarioComplete = false;
     this.scenarioFailed = false;
     this.triggeredDisasters = new Set();  // Track which scheduled disasters have fired
+    // The quarterly stats (crime, traffic, pollution...) have been worked out
+    // for a city with people in it; until then they read 0
+    this.statsMeasured = false;
 
     // Statistics
     this.stats = {
       totalPowerProduced: 0,
       totalPowerConsumed: 0,
+      brownoutZones: 0,     // Zones shed by grids short of power
+      unpoweredZones: 0,    // Zones on no grid with a plant
+      waterProduced: 0,     // Pumped this month
+      waterConsumed: 0,
+      waterStored: 0,       // Held in towers
+      waterShortageZones: 0, // Zones on a network that ran short
+      dryZones: 0,          // Zones no water reaches
+      thirstyZones: 0,      // Zones held back from growing by a lack of water
       unemploymentRate: 0,
       crimeRate: 0,
       pollutionLevel: 0,
       averageTraffic: 0,
-      averageLandValue: 0
+      averageLandValue: 0,
+      trips: 0,             // Residential zones that tried to commute
+      railTrips: 0,         // ...and rode rail for part of the way
+      transitTrips: 0,      // ...and rode rail, bus or subway
+      busRiders: 0,         // Commuters riding the bus
+      subwayRiders: 0,      // Commuters riding the subway
+      failedTrips: 0,       // ...and found no job zone in reach
+      averageCommute: 0,    // Travel cost of the successful trips
+      congestion: 0         // % of road tiles at or over capacity
     };
 
     // Voter complaints (0-100%, below 20% is good)
@@ -55,6 +100,7 @@ class Simulation {
   // Set up scenario mode
   setScenario(scenario) {
     this.scenario = scenario;
+    this.waterRequired = false;
     this.year = scenario.year;
     this.month = 0;
     this.scenarioStartYear = scenario.year;
@@ -98,61 +144,143 @@ class Simulation {
   // Check if scenario goal is met
   checkScenarioGoal() {
     if (!this.scenario) return false;
+    return this.isGoalMet(this.scenario.goal);
+  }
 
-    switch (this.scenario.goalType) {
+  // Current value a goal type measures
+  getGoalMeasure(type) {
+    switch (type) {
       case 'population':
-        return this.population >= this.scenario.goalValue;
-
       case 'metropolis':
-        return this.population >= CITY_CLASSES.METROPOLIS.minPop;
-
       case 'megalopolis':
-        return this.population >= CITY_CLASSES.MEGALOPOLIS.minPop;
-
+        return this.population;
       case 'crime':
-        // Crime must be BELOW the goal value
-        return this.stats.crimeRate < this.scenario.goalValue;
-
+        return this.stats.crimeRate;
+      case 'traffic':
+        return this.stats.averageTraffic;
+      case 'pollution':
+        return this.stats.pollutionLevel;
+      case 'landValue':
+        return this.stats.averageLandValue;
+      case 'funds':
+        return this.budget.funds;
+      case 'approval':
+        return this.getApprovalRating();
       default:
-        return false;
+        return 0;
+    }
+  }
+
+  // Value a simple goal has to reach (city class goals have their own)
+  getGoalTarget(goal) {
+    return SCENARIO_GOAL_TYPES[goal.type].value ?? goal.value;
+  }
+
+  // Check a goal; 'and' goals need every sub-goal met, 'or' goals any one
+  isGoalMet(goal) {
+    switch (goal.type) {
+      case 'and':
+        return goal.goals.every(subGoal => this.isGoalMet(subGoal));
+      case 'or':
+        return goal.goals.some(subGoal => this.isGoalMet(subGoal));
+    }
+
+    const goalType = SCENARIO_GOAL_TYPES[goal.type];
+    if (!goalType) return false;
+
+    const measure = this.getGoalMeasure(goal.type);
+    const target = this.getGoalTarget(goal);
+    // Below goals must be strictly below the value, in a city that has people
+    // and has had its stats measured (an empty city has no crime to speak of)
+    if (goalType.target === 'below') {
+      return this.canMeetBelowGoals() && measure < target;
+    }
+    return measure >= target;
+  }
+
+  // Check the city can be scored on below goals yet (see isGoalMet)
+  canMeetBelowGoals() {
+    return this.statsMeasured && this.population > 0;
+  }
+
+  // Progress toward a goal from 0 to 100
+  // An 'and' goal is as far along as its furthest-behind sub-goal, an 'or'
+  // goal as far as its best one
+  getGoalProgress(goal) {
+    switch (goal.type) {
+      case 'and':
+        return Math.min(...goal.goals.map(subGoal => this.getGoalProgress(subGoal)));
+      case 'or':
+        return Math.max(...goal.goals.map(subGoal => this.getGoalProgress(subGoal)));
+    }
+
+    if (this.isGoalMet(goal)) return 100;
+
+    const goalType = SCENARIO_GOAL_TYPES[goal.type];
+    if (!goalType) return 0;
+    if (goalType.target === 'below' && !this.canMeetBelowGoals()) return 0;
+
+    const measure = Math.max(0, this.getGoalMeasure(goal.type));
+    const target = this.getGoalTarget(goal);
+    const ratio = goalType.target === 'below' ? target / measure : measure / target;
+    return Math.max(0, Math.min(99, ratio * 100));
+  }
+
+  // Describe where a goal stands, e.g. "Traffic: 42 (goal: below 30)"
+  describeGoalStatus(goal) {
+    if (goal.type === 'and' || goal.type === 'or') {
+      return goal.goals.map(subGoal => {
+        const text = this.describeGoalStatus(subGoal);
+        return subGoal.type === 'and' || subGoal.type === 'or' ? `(${text})` : text;
+      }).join(` ${goal.type} `);
+    }
+
+    const goalType = SCENARIO_GOAL_TYPES[goal.type];
+    const format = (value) => `${goalType.prefix || ''}${Math.round(value).toLocaleString()}${goalType.suffix || ''}`;
+    const measure = format(this.getGoalMeasure(goal.type));
+    const target = format(this.getGoalTarget(goal));
+
+    if (goalType.target === 'below') {
+      return `${goalType.label}: ${measure} (goal: below ${target})`;
     }
+    return `${goalType.label}: ${measure} / ${target}`;
+  }
+
+  // Flatten a goal into its simple goals with their current state
+  getGoalStatuses(goal) {
+    if (goal.type === 'and' || goal.type === 'or') {
+      return goal.goals.flatMap(subGoal => this.getGoalStatuses(subGoal));
+    }
+    return [{
+      type: goal.type,
+      text: this.describeGoalStatus(goal),
+      met: this.isGoalMet(goal),
+      progress: Math.round(this.getGoalProgress(goal))
+    }];
   }
 
   // Get scenario progress info
   getScenarioProgress() {
     if (!this.scenario) return null;
+    const goal = this.scenario.goal;
 
     const maxMonths = this.scenario.duration > 0 ? this.scenario.duration * 12 : -1;
     const remainingMonths = maxMonths > 0 ? maxMonths - this.scenarioMonthsElapsed : -1;
 
-    let progress = 0;
-    let goalText = '';
-    let currentValue = 0;
-    let targetValue = this.scenario.goalValue;
-
-    switch (this.scenario.goalType) {
-      case 'population':
-      case 'metropolis':
-      case 'megalopolis':
-        currentValue = this.population;
-        progress = Math.min(100, (this.population / this.scenario.goalValue) * 100);
-        goalText = `Population: ${this.population.toLocaleString()} / ${this.scenario.goalValue.toLocaleString()}`;
-        break;
-      case 'crime':
-        currentValue = Math.round(this.stats.crimeRate);
-        progress = Math.max(0, 100 - this.stats.crimeRate);
-        goalText = `Crime Rate: ${Math.round(this.stats.crimeRate)}% (Goal: below ${this.scenario.goalValue}%)`;
-        break;
-    }
+    const progress = this.getGoalProgress(goal);
+    const goals = this.getGoalStatuses(goal);
+    const simple = SCENARIO_GOAL_TYPES[goal.type] !== undefined;
 
     return {
       name: this.scenario.name,
       description: this.scenario.description,
       progress: Math.round(progress),
       percentage: Math.round(progress),
-      currentValue,
-      targetValue,
-      goalText,
+      // Only simple goals have a single value to compare
+      currentValue: simple ? Math.round(this.getGoalMeasure(goal.type)) : null,
+      targetValue: simple ? this.getGoalTarget(goal) : null,
+      goalText: this.describeGoalStatus(goal),
+      goals,
       monthsElapsed: this.scenarioMonthsElapsed,
       monthsRemaining: remainingMonths,
       yearsRemaining: remainingMonths > 0 ? Math.ceil(remainingMonths / 12) : -1,
@@ -260,8 +388,9 @@ class Simulation {
     }
 
     // Run core simulation steps every tick
-    this.updatePowerGrid();
-    this.updateRoadAccess();
+    this.updatePowerPlantAging();
+    this.updateLayout();
+    this.updateWaterSupply();
     this.updateZoneDevelopment();
     this.updateDisasters();
 
@@ -274,6 +403,7 @@ class Simulation {
       this.updateServices();
       this.updateTransportDeterioration();
       this.calculateVoterComplaints();
+      if (!this.statsMeasured) this.statsMeasured = this.city.getTotalPopulation() > 0;
     }
 
     // Update demand every tick (fast calculation)
@@ -304,121 +434,516 @@ class Simulation {
     }
   }
 
-  // Update power grid - flood fill from power plants
+  // Output of a power plant this month
+  // Worn plants make less, and nothing once they shut down; wind farms make
+  // more in the windy months and less in the still ones
+  getPlantOutput(plant) {
+    if (this.getPlantYearsLeft(plant) <= 0) return 0;
+
+    let output = POWER_OUTPUT[plant.type] * (1 - this.getPlantWear(plant) * (1 - POWER_PLANT_AGING.WORN_OUTPUT));
+    if (plant.type === 'wind-power') output *= WIND_OUTPUT_BY_MONTH[this.month];
+    return Math.round(output);
+  }
+
+  // Years a power plant has been running (a plant the simulation hasn't dated yet is new)
+  getPlantAge(plant) {
+    if (plant.built === undefined) return 0;
+    return (this.year * 12 + this.month - plant.built) / 12;
+  }
+
+  // Years until a power plant shuts down (0 or less once it has)
+  getPlantYearsLeft(plant) {
+    return POWER_PLANT_LIFESPANS[plant.type] - this.getPlantAge(plant);
+  }
+
+  // How worn out a power plant is, from 0 until POWER_PLANT_AGING.WEAR_START
+  // of its lifespan to 1 at the end of it
+  getPlantWear(plant) {
+    const lifespan = POWER_PLANT_LIFESPANS[plant.type];
+    const wearYears = lifespan * (1 - POWER_PLANT_AGING.WEAR_START);
+    return Math.min(1, Math.max(0, (this.getPlantAge(plant) - (lifespan - wearYears)) / wearYears));
+  }
+
+  // Date undated power plants and roll for worn ones catching fire or melting down
+  // Plants are dated when built, but those on a scenario map or in an old save
+  // are dated the first month they're simulated. A plant without a building
+  // record (very old saves) is left undated and never ages.
+  updatePowerPlantAging() {
+    const difficultySettings = this.budget.difficultySettings;
+
+    for (const plant of this.city.getPowerPlants()) {
+      if (plant.built === undefined) {
+        const building = this.city.buildings.get(this.city.getTile(plant.x, plant.y).buildingId);
+        if (building) building.built = this.year * 12 + this.month;
+        continue;
+      }
+
+      // Shut-down plants sit idle, so only running ones that are wearing out are at risk
+      const wear = this.getPlantWear(plant);
+      if (wear === 0 || this.getPlantYearsLeft(plant) <= 0) continue;
+
+      if (plant.type === 'nuclear-power' && difficultySettings.nuclearMeltdownEnabled &&
+          this.random.next() < POWER_PLANT_AGING.MELTDOWN_CHANCE * wear) {
+        this.triggerNuclearMeltdown(plant);
+      } else if (this.random.next() < POWER_PLANT_AGING.FIRE_CHANCE * wear) {
+        const size = GAME_CONSTANTS.BUILDING_SIZES[plant.type];
+        this.startFire(plant.x + this.random.nextInt(size.width), plant.y + this.random.nextInt(size.height));
+      }
+    }
+  }
+
+  // Check if a tool can be used yet - newer power plants only become
+  // available in the year they were invented (POWER_PLANT_YEARS)
+  isToolAvailable(tool) {
+    if (tool === 'nuclear-power' && this.nuclearAlwaysAvailable) return true;
+    const year = POWER_PLANT_YEARS[tool];
+    return year === undefined || this.year >= year;
+  }
+
+  // Update the power grids
+  // Everything that carries power is split into connected grids, each with
+  // its own plants (supply) and zones (demand, one unit per zone tile). A grid
+  // whose zones need more than its plants produce sheds whole zones, those
+  // furthest from a plant first (ties go to the later tile), so the same city
+  // always browns out the same way. A grid without a plant is UNPOWERED if
+  // it's nothing but zones and buildings, and DISCONNECTED once a line, road
+  // or rail is part of it. Each grid with a plant or a zone is reported in
+  // this.powerGrids, and every tile's outcome is kept in its powerState.
   updatePowerGrid() {
-    // Reset all power status
-    for (let y = 0; y < this.city.height; y++) {
-      for (let x = 0; x < this.city.width; x++) {
-        const tile = this.city.tiles[y][x];
-        if (!tile.isPowerPlant()) {
-          tile.powered = false;
-        }
+    const store = this.city.tileStore;
+    const { width, height } = this.city;
+    const { size, powerGrid, powerState, flags } = store;
+    const tileAt = (index) => this.city.tiles[Math.floor(index / width)][index % width];
+
+    // Mark what carries power and number the connected grids
+    const conducts = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+      const tile = tileAt(i);
+      conducts[i] = tile.conductsPower() || tile.isPowerPlant() ? 1 : 0;
+      flags[i] &= ~TILE_FLAGS.powered;
+    }
+    powerGrid.fill(0);
+    powerState.fill(POWER_STATES.NONE);
+
+    const queue = new Int32Array(size);
+    const forEachNeighbor = (index, fn) => {
+      const x = index % width;
+      if (x > 0) fn(index - 1);
+      if (x < width - 1) fn(index + 1);
+      if (index >= width) fn(index - width);
+      if (index < width * (height - 1)) fn(index + width);
+    };
+
+    const grids = [null]; // Indexed by grid id
+    for (let start = 0; start < size; start++) {
+      if (!conducts[start] || powerGrid[start]) continue;
+
+      const id = grids.length;
+      grids.push({ id, start, plants: [], supply: 0, demand: 0, served: 0, zones: 0, poweredZones: 0, otherTiles: 0 });
+      powerGrid[start] = id;
+      queue[0] = start;
+      for (let head = 0, tail = 1; head < tail; head++) {
+        forEachNeighbor(queue[head], (next) => {
+          if (conducts[next] && !powerGrid[next]) {
+            powerGrid[next] = id;
+            queue[tail++] = next;
+          }
+        });
       }
     }
 
-    // Get power plants
+    // Plants supply their grid
     const plants = this.city.getPowerPlants();
     let totalPower = 0;
-    plants.forEach(p => totalPower += p.output);
-
+    for (const plant of plants) {
+      plant.output = this.getPlantOutput(plant);
+      const grid = grids[powerGrid[plant.y * width + plant.x]];
+      grid.plants.push(plant);
+      grid.supply += plant.output;
+      totalPower += plant.output;
+    }
     this.stats.totalPowerProduced = totalPower;
 
-    // Flood fill from each power plant
-    let powerConsumed = 0;
-    const visited = new Set();
+    // Distance of every tile from the nearest plant on its grid
+    const distance = new Int32Array(size).fill(-1);
+    let tail = 0;
+    for (let i = 0; i < size; i++) {
+      if (tileAt(i).isPowerPlant()) {
+        distance[i] = 0;
+        queue[tail++] = i;
+      }
+    }
+    for (let head = 0; head < tail; head++) {
+      const index = queue[head];
+      forEachNeighbor(index, (next) => {
+        if (conducts[next] && distance[next] < 0) {
+          distance[next] = distance[index] + 1;
+          queue[tail++] = next;
+        }
+      });
+    }
 
-    const queue = [];
+    // Gather each zone's demand and how close it gets to a plant
+    const zones = new Map(); // buildingId -> { grid, main, tiles, distance }
+    for (let i = 0; i < size; i++) {
+      const grid = grids[powerGrid[i]];
+      if (!grid) continue;
 
-    // Start from power plants
-    plants.forEach(plant => {
-      const building = this.city.buildings.get(
-        this.city.getTile(plant.x, plant.y).buildingId
-      );
-      if (building) {
-        for (let dy = 0; dy < building.height; dy++) {
-          for (let dx = 0; dx < building.width; dx++) {
-            queue.push({ x: plant.x + dx, y: plant.y + dy });
-          }
-        }
+      const id = store.buildingId[i];
+      if (!id) {
+        grid.otherTiles++;
+        continue;
       }
-    });
 
-    // BFS to spread power
-    while (queue.length > 0 && powerConsumed < totalPower) {
-      const { x, y } = queue.shift();
-      const key = `${x},${y}`;
+      const tile = tileAt(i);
+      if (!tile.isZone() && !tile.isBuilding()) continue;
 
-      if (visited.has(key)) continue;
-      visited.add(key);
+      let zone = zones.get(id);
+      if (!zone) {
+        zone = { grid, main: i, tiles: [], distance: Infinity };
+        zones.set(id, zone);
+        grid.zones++;
+      }
+      zone.tiles.push(i);
+      if (tile.isMainTile) zone.main = i;
+      if (distance[i] >= 0) zone.distance = Math.min(zone.distance, distance[i]);
+      grid.demand++;
+    }
+
+    // Power the closest zones first while each grid's supply lasts
+    const order = [...zones.values()].sort((a, b) =>
+      (a.grid.id - b.grid.id) || (a.distance - b.distance) || (a.main - b.main));
+    const zoneState = new Map();
+    for (const zone of order) {
+      const { grid } = zone;
+      let state;
+      if (grid.plants.length > 0) {
+        if (grid.served + zone.tiles.length <= grid.supply) {
+          grid.served += zone.tiles.length;
+          grid.poweredZones++;
+          state = POWER_STATES.POWERED;
+        } else {
+          state = POWER_STATES.BROWNOUT;
+        }
+      } else {
+        state = grid.otherTiles === 0 ? POWER_STATES.UNPOWERED : POWER_STATES.DISCONNECTED;
+      }
+      for (const index of zone.tiles) zoneState.set(index, state);
+    }
 
-      const tile = this.city.getTile(x, y);
-      if (!tile) continue;
+    // Record every tile's outcome
+    let consumed = 0;
+    let brownoutZones = 0;
+    let unpoweredZones = 0;
+    for (let i = 0; i < size; i++) {
+      const grid = grids[powerGrid[i]];
+      if (!grid) continue;
 
-      // Power this tile if it conducts power
-      if (tile.conductsPower() || tile.isPowerPlant()) {
-        if (!tile.powered) {
-          tile.powered = true;
+      let state = zoneState.get(i);
+      if (state === undefined) {
+        state = grid.plants.length > 0 ? POWER_STATES.POWERED :
+          grid.otherTiles === 0 ? POWER_STATES.UNPOWERED : POWER_STATES.DISCONNECTED;
+      }
+      powerState[i] = state;
+      if (state === POWER_STATES.POWERED) flags[i] |= TILE_FLAGS.powered;
+    }
+    for (const zone of zones.values()) {
+      const state = zoneState.get(zone.main);
+      if (state === POWER_STATES.POWERED) consumed += zone.tiles.length;
+      else if (state === POWER_STATES.BROWNOUT) brownoutZones++;
+      else unpoweredZones++;
+    }
+
+    this.stats.totalPowerConsumed = consumed;
+    this.stats.brownoutZones = brownoutZones;
+    this.stats.unpoweredZones = unpoweredZones;
+
+    // Report the grids that have a plant or a zone, each found by its first
+    // tile; wired says a line, road or rail is part of it
+    this.powerGrids = grids.slice(1).filter(grid => grid.plants.length > 0 || grid.zones > 0).map(grid => ({
+      id: grid.id,
+      x: grid.start % width,
+      y: Math.floor(grid.start / width),
+      wired: grid.otherTiles > 0,
+      plants: grid.plants,
+      supply: grid.supply,
+      demand: grid.demand,
+      zones: grid.zones,
+      poweredZones: grid.poweredZones,
+      surplus: grid.supply - grid.demand
+    }));
+  }
 
-          // Zones consume power
-          if (tile.isZone() || tile.isBuilding()) {
-            powerConsumed++;
-          }
+  // Work out power, road access and water networks again where the city has changed
+  // They only depend on what is built where, so a month in which nothing was
+  // built, bulldozed or destroyed skips them; City's change journal says what
+  // moved. A new or loaded simulation starts with everything out of date.
+  // Power is also rebalanced when a plant's output changes (wind farms).
+  // Transit walks only go by the journal: their results are saved with the
+  // tiles, so a loaded city walks exactly as it would have without the save.
+  updateLayout() {
+    const changes = this.city.takeChanges();
+
+    if (this.layoutOutdated) {
+      this.layoutOutdated = false;
+      this.updatePowerGrid();
+      this.updateRoadAccess();
+      this.updateWaterNetworks();
+    } else if (changes.size > 0) {
+      this.updatePowerGrid();
+      this.updateRoadAccess(changes);
+      this.updateWaterNetworks();
+    } else if (this.powerGrids.some(grid => grid.plants.some(plant => plant.output !== this.getPlantOutput(plant)))) {
+      this.updatePowerGrid();
+    }
+
+    this.updateTransitWalks(changes);
+  }
+
+  // Update road access for zones
+  // With changes (tile indices), only zones on or next to a changed tile are
+  // checked again; without, every zone is
+  updateRoadAccess(changes = null) {
+    const { width } = this.city;
+    let buildingIds = this.city.buildings.keys();
+
+    if (changes) {
+      const { buildingId } = this.city.tileStore;
+      buildingIds = new Set();
+      for (const index of changes) {
+        const x = index % width;
+        const neighbors = [index, index - width, index + width];
+        if (x > 0) neighbors.push(index - 1);
+        if (x < width - 1) neighbors.push(index + 1);
+        for (const next of neighbors) {
+          if (buildingId[next]) buildingIds.add(buildingId[next]);
         }
+      }
+    }
 
-        // Check adjacent tiles
-        const neighbors = [
-          { x: x - 1, y },
-          { x: x + 1, y },
-          { x, y: y - 1 },
-          { x, y: y + 1 }
-        ];
+    for (const id of buildingIds) {
+      const building = this.city.buildings.get(id);
+      const mainTile = building && this.city.getTile(building.x, building.y);
+      if (!mainTile || (!mainTile.isZone() && !mainTile.isBuilding())) continue;
 
-        neighbors.forEach(n => {
-          const nKey = `${n.x},${n.y}`;
-          if (!visited.has(nKey)) {
-            const nTile = this.city.getTile(n.x, n.y);
-            if (nTile && (nTile.conductsPower() || nTile.isPowerPlant())) {
-              queue.push(n);
-            }
-          }
-        });
+      // Use zone-aware road access check, then share it with the whole zone
+      const hasAccess = this.city.zoneHasRoadAccess(building.x, building.y, building.width, building.height);
+      for (let dy = 0; dy < building.height; dy++) {
+        for (let dx = 0; dx < building.width; dx++) {
+          this.city.tiles[building.y + dy][building.x + dx].roadAccess = hasAccess;
+        }
+      }
+    }
+  }
+
+  // Residents also need their transit walk to reach somewhere
+  // The walk is random, so a zone whose last walk didn't reach a destination
+  // takes it again every month. One whose walk did only walks again when
+  // something within walking distance of it changed (changes, tile indices),
+  // or when no changes are given.
+  updateTransitWalks(changes = null) {
+    const { width } = this.city;
+    const reach = TRAFFIC_CONSTANTS.WALK_MAX_STEPS + 2; // Furthest tile a walk can look at
+
+    // Changed tiles by reach-sized cell, so a zone only checks the cells around it
+    let changedCells = null;
+    if (changes) {
+      changedCells = new Set();
+      for (const index of changes) {
+        changedCells.add(`${Math.floor(index % width / reach)},${Math.floor(index / width / reach)}`);
       }
     }
+    const nearChange = ({ x, y, width: w, height: h }) => {
+      for (let cy = Math.floor((y - reach) / reach); cy <= Math.floor((y + h + reach) / reach); cy++) {
+        for (let cx = Math.floor((x - reach) / reach); cx <= Math.floor((x + w + reach) / reach); cx++) {
+          if (changedCells.has(`${cx},${cy}`)) return true;
+        }
+      }
+      return false;
+    };
 
-    this.stats.totalPowerConsumed = powerConsumed;
+    for (const building of this.city.buildings.values()) {
+      const tile = this.city.getTile(building.x, building.y);
+      if (!tile || !tile.isResidential()) continue;
+      if (changedCells && tile.lastTrip === TRIP_RESULTS.REACHED && !nearChange(building)) continue;
+
+      tile.lastTrip = tile.roadAccess ?
+        this.city.tryTransitWalk(building.x, building.y, building.width, building.height) : TRIP_RESULTS.NONE;
+    }
   }
 
-  // Update road access for zones (check zone edges, not just main tile)
-  updateRoadAccess() {
-    // First pass: check road access for main tiles using zone-aware check
-    for (let y = 0; y < this.city.height; y++) {
-      for (let x = 0; x < this.city.width; x++) {
-        const tile = this.city.tiles[y][x];
+  // Find the water networks: pipes, pumps and towers joined up, each with the
+  // pumps and towers on it and the zones it reaches. A zone is reached through
+  // a network tile under it or beside it; one that touches several networks
+  // draws from the first found.
+  updateWaterNetworks() {
+    const store = this.city.tileStore;
+    const { width, height } = this.city;
+    const { size, waterState } = store;
+    const tileAt = (index) => this.city.tiles[Math.floor(index / width)][index % width];
+
+    const network = new Int32Array(size); // Network id of each tile (0 = none)
+    const carries = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+      carries[i] = tileAt(i).carriesWater() ? 1 : 0;
+    }
+    waterState.fill(WATER_STATES.NONE);
+
+    const queue = new Int32Array(size);
+    const networks = [null]; // Indexed by network id
+    for (let start = 0; start < size; start++) {
+      if (!carries[start] || network[start]) continue;
+
+      const id = networks.length;
+      const tiles = [start];
+      networks.push({ id, tiles, pumps: [], towers: [], zones: [] });
+      network[start] = id;
+      queue[0] = start;
+      for (let head = 0, tail = 1; head < tail; head++) {
+        const index = queue[head];
+        const x = index % width;
+        const neighbors = [];
+        if (x > 0) neighbors.push(index - 1);
+        if (x < width - 1) neighbors.push(index + 1);
+        if (index >= width) neighbors.push(index - width);
+        if (index < width * (height - 1)) neighbors.push(index + width);
+        for (const next of neighbors) {
+          if (carries[next] && !network[next]) {
+            network[next] = id;
+            queue[tail++] = next;
+            tiles.push(next);
+          }
+        }
+      }
+    }
 
-        if (tile.isMainTile && (tile.isZone() || tile.isBuilding())) {
-          // Use zone-aware road access check
-          const hasAccess = this.city.zoneHasRoadAccess(x, y, tile.buildingWidth, tile.buildingHeight);
-          tile.roadAccess = hasAccess;
+    // Networks reached from a rectangle's tiles or the tiles bordering it
+    const networkAround = (building) => {
+      const { x, y, width: w, height: h } = building;
+      for (let ty = y - 1; ty <= y + h; ty++) {
+        for (let tx = x - 1; tx <= x + w; tx++) {
+          const corner = (tx < x || tx >= x + w) && (ty < y || ty >= y + h);
+          if (corner || !this.city.isInBounds(tx, ty)) continue;
+          const id = network[ty * width + tx];
+          if (id) return networks[id];
         }
       }
+      return null;
+    };
+
+    this.unpipedZones = [];
+    for (const building of this.city.buildings.values()) {
+      const mainTile = this.city.getTile(building.x, building.y);
+      if (!mainTile) continue;
+
+      if (building.type === 'water-pump') {
+        const nearWater = this.city.areaTouchesWater(building.x, building.y, building.width, building.height);
+        networks[network[building.y * width + building.x]].pumps.push({ building, nearWater });
+      } else if (building.type === 'water-tower') {
+        networks[network[building.y * width + building.x]].towers.push(building);
+      } else if (mainTile.isZone() || mainTile.isBuilding()) {
+        const reached = networkAround(building);
+        if (reached) reached.zones.push(building);
+        else this.unpipedZones.push(building);
+      }
     }
 
-    // Second pass: propagate road access from main tile to all zone tiles
-    for (let y = 0; y < this.city.height; y++) {
-      for (let x = 0; x < this.city.width; x++) {
-        const tile = this.city.tiles[y][x];
+    this.waterNetworks = networks.slice(1);
+  }
 
-        if (!tile.isMainTile && tile.buildingId) {
-          const building = this.city.buildings.get(tile.buildingId);
-          if (building) {
-            const mainTile = this.city.getTile(building.x, building.y);
-            if (mainTile) {
-              tile.roadAccess = mainTile.roadAccess;
-            }
-          }
+  // Share each water network's water out for the month
+  // Pumps with power pump their output. Zones, oldest first, take a unit per
+  // tile from the pumps and then from the towers, and whatever is left tops
+  // the towers up. A zone that can't get its whole share goes short.
+  updateWaterSupply() {
+    const { width } = this.city;
+    const { waterState } = this.city.tileStore;
+    const { PUMP_OUTPUT, PUMP_WATER_BONUS, TOWER_CAPACITY } = WATER_CONSTANTS;
+    const setZoneState = (building, state) => {
+      for (let dy = 0; dy < building.height; dy++) {
+        for (let dx = 0; dx < building.width; dx++) {
+          waterState[(building.y + dy) * width + building.x + dx] = state;
+        }
+      }
+    };
+
+    let produced = 0;
+    let consumed = 0;
+    let stored = 0;
+    let shortageZones = 0;
+    let dryZones = 0;
+
+    for (const network of this.waterNetworks) {
+      let supply = 0;
+      for (const pump of network.pumps) {
+        if (!this.city.getTile(pump.building.x, pump.building.y).powered) continue;
+        supply += PUMP_OUTPUT * (pump.nearWater ? PUMP_WATER_BONUS : 1);
+      }
+      const reserve = network.towers.reduce((sum, tower) => sum + (tower.stored || 0), 0);
+      const available = supply + reserve;
+
+      // Work out who gets water before marking anything, so zones sitting on
+      // the pipes end up showing their own state rather than the network's
+      let left = available;
+      const served = network.zones.map(zone => {
+        const need = zone.width * zone.height;
+        if (need > left) return false;
+        left -= need;
+        return true;
+      });
+      const short = served.includes(false);
+
+      const state = available === 0 ? WATER_STATES.DRY :
+        short ? WATER_STATES.SHORTAGE : WATER_STATES.SUPPLIED;
+      for (const index of network.tiles) waterState[index] = state;
+
+      network.zones.forEach((zone, i) => {
+        if (served[i]) {
+          setZoneState(zone, WATER_STATES.SUPPLIED);
+        } else if (available > 0) {
+          shortageZones++;
+          setZoneState(zone, WATER_STATES.SHORTAGE);
+        } else {
+          dryZones++;
+          setZoneState(zone, WATER_STATES.DRY);
         }
+      });
+
+      produced += supply;
+      consumed += available - left;
+
+      for (const tower of network.towers) {
+        tower.stored = Math.min(left, TOWER_CAPACITY);
+        left -= tower.stored;
+        stored += tower.stored;
       }
     }
+
+    for (const zone of this.unpipedZones) {
+      dryZones++;
+      setZoneState(zone, WATER_STATES.DRY);
+    }
+
+    let thirstyZones = 0;
+    for (const zone of this.waterNetworks.flatMap(network => network.zones).concat(this.unpipedZones)) {
+      const mainTile = this.city.getTile(zone.x, zone.y);
+      if (mainTile.isBuilding() && !this.hasWaterToGrow(mainTile)) thirstyZones++;
+    }
+
+    this.stats.waterProduced = produced;
+    this.stats.waterConsumed = consumed;
+    this.stats.waterStored = stored;
+    this.stats.waterShortageZones = shortageZones;
+    this.stats.dryZones = dryZones;
+    this.stats.thirstyZones = thirstyZones;
+  }
+
+  // Check a zone has the water it needs to grow past its level
+  // Zones below WATER_CONSTANTS.GROWTH_LEVELS grow without it, as do all
+  // zones in a city that doesn't need water (see waterRequired)
+  hasWaterToGrow(tile) {
+    return !this.waterRequired || tile.level < WATER_CONSTANTS.GROWTH_LEVELS[tile.zoneType] ||
+      tile.waterState === WATER_STATES.SUPPLIED;
   }
 
   // Update zone development
@@ -432,13 +957,14 @@ class Simulation {
         if (!tile.isMainTile || !tile.zoneType) continue;
 
         // Check development conditions
-        const canDevelop = tile.powered && tile.roadAccess;
+        // Residents also need transit that gets them somewhere
+        const canDevelop = tile.powered && tile.roadAccess && this.hasTransit(tile);
 
         if (tile.isZone()) {
           // Undeveloped zone - try to develop
           if (canDevelop) {
             const demand = this.getDemandForZone(tile.zoneType);
-            if (demand > 0 && Math.random() < demand * 0.1) {
+            if (demand > 0 && this.random.next() < demand * 0.1) {
               this.developZone(x, y, tile.zoneType);
             }
           }
@@ -448,7 +974,7 @@ class Simulation {
             const demand = this.getDemandForZone(tile.zoneType);
             const growthChance = this.calculateGrowthChance(tile, demand);
 
-            if (Math.random() < growthChance) {
+            if (this.random.next() < growthChance) {
               // Check if zone can grow (land value limits for commercial, TOP requirements)
               if (this.canZoneGrow(tile, x, y)) {
                 this.increaseZoneDensity(x, y);
@@ -456,7 +982,12 @@ class Simulation {
             }
           } else if (!tile.powered) {
             // Depopulate unpowered zones
-            if (Math.random() < 0.1) {
+            if (this.random.next() < 0.1) {
+              this.decreaseZoneDensity(x, y);
+            }
+          } else if (tile.roadAccess && !this.hasTransit(tile)) {
+            // Residents move out of zones they can't commute from
+            if (this.random.next() < TRAFFIC_CONSTANTS.FAILED_TRIP_DECLINE) {
               this.decreaseZoneDensity(x, y);
             }
           }
@@ -465,6 +996,13 @@ class Simulation {
     }
   }
 
+  // Check a zone's trips work out: a residential zone needs its last transit
+  // walk to have reached a destination and its commute to have found a job zone
+  hasTransit(tile) {
+    if (!tile.isResidential()) return true;
+    return tile.lastTrip === TRIP_RESULTS.REACHED && !tile.tripFailed;
+  }
+
   // Calculate growth chance based on zone type, demand, and land value
   calculateGrowthChance(tile, demand) {
     if (demand <= 0) return 0;
@@ -476,6 +1014,7 @@ class Simulation {
       const effectiveLandValue = tile.getEffectiveLandValue();
       const landValueBonus = effectiveLandValue / 255 * 0.05; // Up to +5% from land value
       baseChance += landValueBonus;
+      baseChance *= this.getCommuteFactor(tile);
     } else if (tile.isCommercial()) {
       // Commercial: Growth based on demand only, land value affects SIZE limit
       // (handled in canZoneGrow)
@@ -488,10 +1027,22 @@ class Simulation {
     return Math.min(0.2, baseChance); // Cap at 20% per tick
   }
 
+  // Growth multiplier for a residential zone's commute: long or congested
+  // trips slow growth, down to a quarter at the longest trip allowed
+  getCommuteFactor(tile) {
+    const { COMMUTE_FREE_COST, MAX_TRIP_COST } = TRAFFIC_CONSTANTS;
+    if (tile.commute <= COMMUTE_FREE_COST) return 1;
+    const excess = (tile.commute - COMMUTE_FREE_COST) / (MAX_TRIP_COST - COMMUTE_FREE_COST);
+    return Math.max(0.25, 1 - excess * 0.75);
+  }
+
   // Check if a zone can grow to the next level
   canZoneGrow(tile, x, y) {
     if (tile.isMaxLevel()) return false;
 
+    // Bigger zones need water to keep growing
+    if (!this.hasWaterToGrow(tile)) return false;
+
     const nextLevel = tile.level + 1;
     const maxLevel = tile.getMaxLevel();
 
@@ -575,7 +1126,7 @@ class Simulation {
           // Only main tile tracks population/jobs and class
           if (tile.isMainTile) {
             tile.updateStats();
-            tile.updateZoneClass(); // Set initial class based on land value
+            tile.updateZoneClass(this.random); // Set initial class based on land value
           }
         }
       }
@@ -599,7 +1150,7 @@ class Simulation {
           // Only main tile tracks population/jobs and class
           if (tile.isMainTile) {
             tile.updateStats();
-            tile.updateZoneClass(); // Update class when level changes
+            tile.updateZoneClass(this.random); // Update class when level changes
           }
         }
       }
@@ -620,7 +1171,7 @@ class Simulation {
           // Only main tile tracks population/jobs and class
           if (tile.isMainTile) {
             tile.updateStats();
-            tile.updateZoneClass(); // Update class when level changes
+            tile.updateZoneClass(this.random); // Update class when level changes
           }
         }
       }
@@ -690,63 +1241,43 @@ class Simulation {
     this.commercialDemand -= taxPenalty;
     this.industrialDemand -= taxPenalty * 0.5; // Industry less affected by taxes
 
+    // Past a population threshold each zone type stops growing without its
+    // building: residents want a stadium, commerce an airport, industry a seaport
+    for (const [zoneType, cap] of Object.entries(DEMAND_CAPS)) {
+      this.demandCapped[zoneType] = this.population >= cap.population && !this.city.hasBuilding(cap.type);
+    }
+    if (this.demandCapped.residential) this.residentialDemand = Math.min(0, this.residentialDemand);
+    if (this.demandCapped.commercial) this.commercialDemand = Math.min(0, this.commercialDemand);
+    if (this.demandCapped.industrial) this.industrialDemand = Math.min(0, this.industrialDemand);
+
     // Clamp demands to valid range
     this.residentialDemand = Math.min(DEMAND_FACTORS.MAX_DEMAND, Math.max(DEMAND_FACTORS.MIN_DEMAND, this.residentialDemand));
     this.commercialDemand = Math.min(DEMAND_FACTORS.MAX_DEMAND, Math.max(DEMAND_FACTORS.MIN_DEMAND, this.commercialDemand));
     this.industrialDemand = Math.min(DEMAND_FACTORS.MAX_DEMAND, Math.max(DEMAND_FACTORS.MIN_DEMAND, this.industrialDemand));
   }
 
-  // Update traffic on roads based on nearby zones
-  // Optimized: only check immediate neighbors, accumulate in single pass
+  // Update traffic by routing commuter trips over the road and rail network
   updateTraffic() {
-    const width = this.city.width;
-    const height = this.city.height;
-
-    // Reset traffic in single pass while collecting zone data
-    const zones = [];
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const tile = this.city.tiles[y][x];
-        tile.traffic = 0;
-
-        // Collect developed zones
-        if (tile.isMainTile && tile.isBuilding()) {
-          let trafficGenerated = 0;
-          if (tile.isResidential()) {
-            trafficGenerated = tile.level * 10;
-          } else if (tile.isCommercial()) {
-            trafficGenerated = tile.level * 20;
-          } else if (tile.isIndustrial()) {
-            trafficGenerated = tile.level * 30;
-          }
-          if (trafficGenerated > 0) {
-            zones.push({ x, y, traffic: trafficGenerated });
-          }
-        }
-      }
-    }
-
-    // Apply traffic from zones to nearby roads (reduced radius of 3 for performance)
-    for (const zone of zones) {
-      const { x, y, traffic } = zone;
-      // Check a smaller 7x7 area (radius 3) instead of 11x11
-      for (let dy = -3; dy <= 3; dy++) {
-        const ny = y + dy;
-        if (ny < 0 || ny >= height) continue;
-        for (let dx = -3; dx <= 3; dx++) {
-          const nx = x + dx;
-          if (nx < 0 || nx >= width) continue;
-          const dist = Math.abs(dx) + Math.abs(dy);
-          if (dist > 0 && dist <= 3) {
-            const roadTile = this.city.tiles[ny][nx];
-            if (roadTile.isRoad()) {
-              const amount = Math.floor(traffic * (1 - dist / 4));
-              roadTile.traffic = Math.min(255, roadTile.traffic + amount);
-            }
-          }
-        }
+    const result = this.tripGenerator.run();
+    this.stats.trips = result.trips;
+    this.stats.railTrips = result.railTrips;
+    this.stats.transitTrips = result.transitTrips;
+    this.stats.busRiders = result.busRiders;
+    this.stats.subwayRiders = result.subwayRiders;
+    this.stats.failedTrips = result.failedTrips;
+    this.stats.averageCommute = result.averageCommute;
+
+    // Share of roads carrying more than they can handle
+    const { type, traffic, roadClass, size } = this.city.tileStore;
+    let roads = 0;
+    let congested = 0;
+    for (let i = 0; i < size; i++) {
+      if (type[i] === TILE_TYPES.ROAD) {
+        roads++;
+        if (traffic[i] >= ROAD_CLASSES[roadClass[i]].capacity) congested++;
       }
     }
+    this.stats.congestion = roads > 0 ? (congested / roads) * 100 : 0;
   }
 
   // Update pollution using NES SimCity 2x2 grid diffusion system
@@ -760,6 +1291,7 @@ class Simulation {
     const gridWidth = Math.ceil(width / 2);
     const gridHeight = Math.ceil(height / 2);
     let pollutionGrid = new Array(gridHeight).fill(0).map(() => new Array(gridWidth).fill(0));
+    const trafficPollutes = this.rules === RULES.MODERN;
 
     // Phase 1: Add pollution sources to 2x2 grid
     for (let y = 0; y < height; y++) {
@@ -780,9 +1312,14 @@ class Simulation {
           pollutionValue = POLLUTION_VALUES.INDUSTRIAL;
         }
 
-        // Coal power plant - each tile contributes
+        // Coal, oil and gas power plants - each tile contributes
+        // (nuclear, hydro, wind and solar plants are clean)
         if (tile.type === TILE_TYPES.COAL_POWER) {
           pollutionValue = POLLUTION_VALUES.COAL_POWER;
+        } else if (tile.type === TILE_TYPES.OIL_POWER) {
+          pollutionValue = POLLUTION_VALUES.OIL_POWER;
+        } else if (tile.type === TILE_TYPES.GAS_POWER) {
+          pollutionValue = POLLUTION_VALUES.GAS_POWER;
         }
 
         // Seaport - each tile contributes
@@ -795,6 +1332,15 @@ class Simulation {
           pollutionValue = POLLUTION_VALUES.AIRPORT;
         }
 
+        // Busy roads (modern rules only)
+        if (trafficPollutes && tile.isRoad()) {
+          if (tile.traffic >= TRAFFIC_EFFECTS.HEAVY_TRAFFIC) {
+            pollutionValue = POLLUTION_VALUES.TRAFFIC_HEAVY;
+          } else if (tile.traffic >= TRAFFIC_EFFECTS.LIGHT_TRAFFIC) {
+            pollutionValue = POLLUTION_VALUES.TRAFFIC_LIGHT;
+          }
+        }
+
         // Active fire
         if (tile.isBurning()) {
           pollutionValue = POLLUTION_VALUES.FIRE;
@@ -816,24 +1362,23 @@ class Simulation {
     }
 
     // Phase 3: Map 2x2 grid back to tiles
+    const { type, pollution } = this.city.tileStore;
     for (let y = 0; y < height; y++) {
+      const row = pollutionGrid[Math.floor(y / 2)];
       for (let x = 0; x < width; x++) {
-        const gridX = Math.floor(x / 2);
-        const gridY = Math.floor(y / 2);
-        this.city.tiles[y][x].pollution = Math.floor(pollutionGrid[gridY][gridX]);
+        pollution[y * width + x] = Math.floor(row[Math.floor(x / 2)]);
       }
     }
 
     // Calculate average pollution for stats
     let totalPollution = 0;
     let buildingCount = 0;
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const tile = this.city.tiles[y][x];
-        if (tile.isBuilding()) {
-          totalPollution += tile.pollution;
-          buildingCount++;
-        }
+    for (let i = 0; i < width * height; i++) {
+      if (type[i] === TILE_TYPES.BUILDING_RESIDENTIAL ||
+          type[i] === TILE_TYPES.BUILDING_COMMERCIAL ||
+          type[i] === TILE_TYPES.BUILDING_INDUSTRIAL) {
+        totalPollution += pollution[i];
+        buildingCount++;
       }
     }
     this.stats.pollutionLevel = buildingCount > 0 ? totalPollution / buildingCount : 0;
@@ -876,6 +1421,7 @@ class Simulation {
   // Update land values based on NES SimCity mechanics
   // Land value is boosted by: Water, Forest, Parks, City Center proximity
   // Pollution reduces EFFECTIVE land value (for class calculation) but not stored value
+  // Under modern rules, busy roads lower the land value around them
   updateLandValues() {
     // First, find the city center (weighted average of all developed zones)
     let centerX = this.city.width / 2;
@@ -909,25 +1455,37 @@ class Simulation {
       Math.pow(this.city.width / 2, 2) + Math.pow(this.city.height / 2, 2)
     );
 
+    // Service buildings (police/fire stations) raise nearby land value
+    const services = this.city.getServiceBuildings();
+
+    // Scan terrain straight from the tile store - this runs 81 times per tile
+    const { width, height } = this.city;
+    const types = this.city.tileStore.type;
+    const trafficPenalty = this.rules === RULES.MODERN ? this.getTrafficLandValuePenalty() : null;
+
     // Calculate land values for each tile
-    for (let y = 0; y < this.city.height; y++) {
-      for (let x = 0; x < this.city.width; x++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
         const tile = this.city.tiles[y][x];
         let value = 30; // Base land value
 
         // Check nearby tiles for terrain features (within radius 4)
         for (let dy = -4; dy <= 4; dy++) {
+          const ny = y + dy;
+          if (ny < 0 || ny >= height) continue;
+
           for (let dx = -4; dx <= 4; dx++) {
+            const nx = x + dx;
+            if (nx < 0 || nx >= width) continue;
+
             const dist = Math.sqrt(dx * dx + dy * dy);
             if (dist > 4) continue;
 
-            const nearbyTile = this.city.getTile(x + dx, y + dy);
-            if (!nearbyTile) continue;
-
+            const nearbyType = types[ny * width + nx];
             const distFactor = 1 - (dist / 5); // Falloff with distance
 
             // Water boost (highest)
-            if (nearbyTile.isWater()) {
+            if (nearbyType === TILE_TYPES.WATER) {
               if (dist <= 1) {
                 value += LAND_VALUE_BOOSTS.WATER; // Direct adjacency
               } else {
@@ -936,7 +1494,7 @@ class Simulation {
             }
 
             // Forest boost
-            if (nearbyTile.isForest()) {
+            if (nearbyType === TILE_TYPES.FOREST) {
               if (dist <= 1) {
                 value += LAND_VALUE_BOOSTS.FOREST;
               } else {
@@ -945,7 +1503,7 @@ class Simulation {
             }
 
             // Park boost (very valuable)
-            if (nearbyTile.isPark()) {
+            if (nearbyType === TILE_TYPES.PARK) {
               if (dist <= 1) {
                 value += LAND_VALUE_BOOSTS.PARK;
               } else {
@@ -964,7 +1522,6 @@ class Simulation {
         value += Math.max(0, centerBoost);
 
         // Services boost (police/fire stations indicate good neighborhood)
-        const services = this.city.getServiceBuildings();
         services.forEach(service => {
           const dist = Math.sqrt((x - service.x) ** 2 + (y - service.y) ** 2);
           if (dist < service.radius) {
@@ -972,15 +1529,45 @@ class Simulation {
           }
         });
 
+        if (trafficPenalty) {
+          value -= trafficPenalty[y * width + x];
+        }
+
         // Store the raw land value (pollution is factored in during class calculation)
         tile.landValue = Math.max(0, Math.min(255, Math.floor(value)));
 
         // Update zone class if this is a zone
         if (tile.isMainTile && (tile.isBuilding() || tile.isZone())) {
-          tile.updateZoneClass();
+          tile.updateZoneClass(this.random);
+        }
+      }
+    }
+  }
+
+  // Land value each tile loses to the noise and fumes of busy roads nearby,
+  // fading out with distance (TRAFFIC_EFFECTS)
+  getTrafficLandValuePenalty() {
+    const { width, height } = this.city;
+    const { type, traffic, size } = this.city.tileStore;
+    const { LIGHT_TRAFFIC, HEAVY_TRAFFIC, LAND_VALUE_RADIUS, LAND_VALUE_LIGHT, LAND_VALUE_HEAVY } = TRAFFIC_EFFECTS;
+    const penalty = new Float32Array(size);
+
+    for (let i = 0; i < size; i++) {
+      if (type[i] !== TILE_TYPES.ROAD || traffic[i] < LIGHT_TRAFFIC) continue;
+
+      const amount = traffic[i] >= HEAVY_TRAFFIC ? LAND_VALUE_HEAVY : LAND_VALUE_LIGHT;
+      const rx = i % width;
+      const ry = Math.floor(i / width);
+      for (let y = Math.max(0, ry - LAND_VALUE_RADIUS); y <= Math.min(height - 1, ry + LAND_VALUE_RADIUS); y++) {
+        for (let x = Math.max(0, rx - LAND_VALUE_RADIUS); x <= Math.min(width - 1, rx + LAND_VALUE_RADIUS); x++) {
+          const dist = Math.sqrt((x - rx) ** 2 + (y - ry) ** 2);
+          if (dist <= LAND_VALUE_RADIUS) {
+            penalty[y * width + x] += amount * (1 - dist / (LAND_VALUE_RADIUS + 1));
+          }
         }
       }
     }
+    return penalty;
   }
 
   // Update service effects (crime, fire risk)
@@ -1083,7 +1670,9 @@ class Simulation {
         if (this.hasPowerLineCrossover(x, y)) continue;
 
         // Roll for deterioration
-        if (Math.random() < actualChance) {
+        if (this.random.next() < actualChance) {
+          if (this.collapseBridge(x, y) || this.floodTunnel(x, y)) continue;
+
           // Road/rail deteriorates to rubble
           tile.type = TILE_TYPES.RUBBLE;
           tile.clear();
@@ -1188,9 +1777,13 @@ class Simulation {
       this.voterComplaints.taxes = Math.min(100, 40 + (taxRate - COMPLAINT_THRESHOLDS.TAX_HIGH) * 10);
     }
 
-    // 6. TRAFFIC - based on average traffic on roads
+    // 6. TRAFFIC - based on average traffic on roads, congested roads and
+    // residents who can't get to work at all
+    const failedShare = this.stats.trips > 0 ? this.stats.failedTrips / this.stats.trips : 0;
     this.voterComplaints.traffic = Math.min(100, Math.round(
-      (this.stats.averageTraffic / COMPLAINT_THRESHOLDS.TRAFFIC_ACCEPTABLE) * 20
+      (this.stats.averageTraffic / COMPLAINT_THRESHOLDS.TRAFFIC_ACCEPTABLE) * 20 +
+      this.stats.congestion * COMPLAINT_THRESHOLDS.TRAFFIC_CONGESTION_WEIGHT +
+      failedShare * COMPLAINT_THRESHOLDS.TRAFFIC_FAILED_TRIP_WEIGHT
     ));
 
     // 7. UNEMPLOYMENT - jobs vs population ratio
@@ -1259,6 +1852,22 @@ class Simulation {
     return true;
   }
 
+  // Knock down a bridge tile, dropping it into the water
+  // Returns false if the tile isn't a bridge
+  collapseBridge(x, y) {
+    const tile = this.city.getTile(x, y);
+    if (!tile || !tile.bridge) return false;
+    return this.city.bulldoze(x, y);
+  }
+
+  // Let the water into a neglected tunnel tile, leaving open water
+  // Returns false if the tile isn't a tunnel
+  floodTunnel(x, y) {
+    const tile = this.city.getTile(x, y);
+    if (!tile || !tile.tunnel) return false;
+    return this.city.bulldoze(x, y);
+  }
+
   // Trigger fire disaster at random location
   triggerFireDisaster() {
     // Find a random developed area to start fire
@@ -1273,7 +1882,7 @@ class Simulation {
     }
 
     if (candidates.length > 0) {
-      const target = candidates[Math.floor(Math.random() * candidates.length)];
+      const target = this.random.pick(candidates);
       this.startFire(target.x, target.y);
       return true;
     }
@@ -1283,12 +1892,12 @@ class Simulation {
   // Trigger plane crash disaster - plane flies across map and crashes
   triggerPlaneCrashDisaster() {
     // Plane starts from a random edge and flies to crash at a random location
-    const edge = Math.floor(Math.random() * 4);
+    const edge = this.random.nextInt(4);
     let x, y, dx, dy;
 
     // Pick a random crash target (prefer developed areas)
-    let targetX = Math.floor(Math.random() * this.city.width);
-    let targetY = Math.floor(Math.random() * this.city.height);
+    let targetX = this.random.nextInt(this.city.width);
+    let targetY = this.random.nextInt(this.city.height);
 
     // Try to find a developed area to crash into
     const candidates = [];
@@ -1301,7 +1910,7 @@ class Simulation {
       }
     }
     if (candidates.length > 0) {
-      const target = candidates[Math.floor(Math.random() * candidates.length)];
+      const target = this.random.pick(candidates);
       targetX = target.x;
       targetY = target.y;
     }
@@ -1309,20 +1918,20 @@ class Simulation {
     // Start from edge, heading toward target
     switch (edge) {
       case 0: // Top
-        x = Math.floor(Math.random() * this.city.width);
+        x = this.random.nextInt(this.city.width);
         y = -5;
         break;
       case 1: // Right
         x = this.city.width + 5;
-        y = Math.floor(Math.random() * this.city.height);
+        y = this.random.nextInt(this.city.height);
         break;
       case 2: // Bottom
-        x = Math.floor(Math.random() * this.city.width);
+        x = this.random.nextInt(this.city.width);
         y = this.city.height + 5;
         break;
       case 3: // Left
         x = -5;
-        y = Math.floor(Math.random() * this.city.height);
+        y = this.random.nextInt(this.city.height);
         break;
     }
 
@@ -1379,10 +1988,12 @@ class Simulation {
         const ty = crashY + offset.dy;
         const tile = this.city.getTile(tx, ty);
 
-        if (tile && !tile.isWater() && !tile.isEmpty()) {
+        // Tunnels run under the water, out of reach of a crash
+        if (tile && !tile.isWater() && !tile.isEmpty() && !tile.tunnel) {
+          if (this.collapseBridge(tx, ty)) continue;
           this.city.bulldoze(tx, ty);
           // 50% chance to start fire, 50% just rubble
-          if (Math.random() < 0.5 && tile.isFlammable()) {
+          if (this.random.next() < 0.5 && tile.isFlammable()) {
             this.startFire(tx, ty);
           } else {
             tile.type = TILE_TYPES.RUBBLE;
@@ -1401,42 +2012,42 @@ class Simulation {
   // Trigger UFO attack disaster - multiple UFOs attack the city
   triggerUFODisaster() {
     // Spawn 3-5 UFOs from different directions
-    const numUFOs = 3 + Math.floor(Math.random() * 3);
+    const numUFOs = 3 + this.random.nextInt(3);
 
     for (let i = 0; i < numUFOs; i++) {
-      const edge = Math.floor(Math.random() * 4);
+      const edge = this.random.nextInt(4);
       let x, y, dx, dy;
 
       switch (edge) {
         case 0: // Top
-          x = Math.floor(Math.random() * this.city.width);
+          x = this.random.nextInt(this.city.width);
           y = -5;
-          dx = (Math.random() - 0.5) * 2;
-          dy = 1 + Math.random();
+          dx = (this.random.next() - 0.5) * 2;
+          dy = 1 + this.random.next();
           break;
         case 1: // Right
           x = this.city.width + 5;
-          y = Math.floor(Math.random() * this.city.height);
-          dx = -(1 + Math.random());
-          dy = (Math.random() - 0.5) * 2;
+          y = this.random.nextInt(this.city.height);
+          dx = -(1 + this.random.next());
+          dy = (this.random.next() - 0.5) * 2;
           break;
         case 2: // Bottom
-          x = Math.floor(Math.random() * this.city.width);
+          x = this.random.nextInt(this.city.width);
           y = this.city.height + 5;
-          dx = (Math.random() - 0.5) * 2;
-          dy = -(1 + Math.random());
+          dx = (this.random.next() - 0.5) * 2;
+          dy = -(1 + this.random.next());
           break;
         case 3: // Left
           x = -5;
-          y = Math.floor(Math.random() * this.city.height);
-          dx = 1 + Math.random();
-          dy = (Math.random() - 0.5) * 2;
+          y = this.random.nextInt(this.city.height);
+          dx = 1 + this.random.next();
+          dy = (this.random.next() - 0.5) * 2;
           break;
       }
 
       this.activeDisasters.ufos.push({
         x, y, dx, dy,
-        lifetime: 40 + Math.floor(Math.random() * 30),
+        lifetime: 40 + this.random.nextInt(30),
         attackCooldown: 0
       });
     }
@@ -1452,9 +2063,9 @@ class Simulation {
       ufo.y += ufo.dy;
 
       // Occasionally change direction (erratic movement)
-      if (Math.random() < 0.1) {
-        ufo.dx += (Math.random() - 0.5) * 0.5;
-        ufo.dy += (Math.random() - 0.5) * 0.5;
+      if (this.random.next() < 0.1) {
+        ufo.dx += (this.random.next() - 0.5) * 0.5;
+        ufo.dy += (this.random.next() - 0.5) * 0.5;
         // Clamp speed
         ufo.dx = Math.max(-2, Math.min(2, ufo.dx));
         ufo.dy = Math.max(-2, Math.min(2, ufo.dy));
@@ -1480,10 +2091,11 @@ class Simulation {
             const ty = attackY + dy;
             const tile = this.city.getTile(tx, ty);
 
-            if (tile && !tile.isWater() && !tile.isEmpty() && Math.random() < 0.4) {
+            if (tile && !tile.isWater() && !tile.isEmpty() && !tile.tunnel && this.random.next() < 0.4) {
+              if (this.collapseBridge(tx, ty)) continue;
               this.city.bulldoze(tx, ty);
               // UFOs mostly cause fires (70%) or rubble (30%)
-              if (Math.random() < 0.7) {
+              if (this.random.next() < 0.7) {
                 this.startFire(tx, ty);
               } else {
                 tile.type = TILE_TYPES.RUBBLE;
@@ -1491,7 +2103,7 @@ class Simulation {
             }
           }
         }
-        ufo.attackCooldown = 3 + Math.floor(Math.random() * 3); // Attack every 3-6 ticks
+        ufo.attackCooldown = 3 + this.random.nextInt(3); // Attack every 3-6 ticks
       }
 
       // Decrease lifetime
@@ -1520,12 +2132,12 @@ class Simulation {
       const fireProtection = tile.fireRisk < 10;
 
       // Fire spreads to adjacent tiles
-      if (fire.age < 20 && Math.random() < (fireProtection ? 0.05 : 0.2)) {
+      if (fire.age < 20 && this.random.next() < (fireProtection ? 0.05 : 0.2)) {
         const dirs = [
           { dx: -1, dy: 0 }, { dx: 1, dy: 0 },
           { dx: 0, dy: -1 }, { dx: 0, dy: 1 }
         ];
-        const dir = dirs[Math.floor(Math.random() * dirs.length)];
+        const dir = this.random.pick(dirs);
         const nx = fire.x + dir.dx;
         const ny = fire.y + dir.dy;
         const neighbor = this.city.getTile(nx, ny);
@@ -1548,28 +2160,28 @@ class Simulation {
   // Trigger monster disaster
   triggerMonsterDisaster() {
     // Monster appears from map edge
-    const edge = Math.floor(Math.random() * 4);
+    const edge = this.random.nextInt(4);
     let x, y, dx, dy;
 
     switch (edge) {
       case 0: // Top
-        x = Math.floor(Math.random() * this.city.width);
+        x = this.random.nextInt(this.city.width);
         y = 0;
         dx = 0; dy = 1;
         break;
       case 1: // Right
         x = this.city.width - 1;
-        y = Math.floor(Math.random() * this.city.height);
+        y = this.random.nextInt(this.city.height);
         dx = -1; dy = 0;
         break;
       case 2: // Bottom
-        x = Math.floor(Math.random() * this.city.width);
+        x = this.random.nextInt(this.city.width);
         y = this.city.height - 1;
         dx = 0; dy = -1;
         break;
       case 3: // Left
         x = 0;
-        y = Math.floor(Math.random() * this.city.height);
+        y = this.random.nextInt(this.city.height);
         dx = 1; dy = 0;
         break;
     }
@@ -1584,10 +2196,14 @@ class Simulation {
 
     // Destroy current tile - monster either demolishes to rubble OR starts a fire
     const tile = this.city.getTile(monster.x, monster.y);
-    if (tile && !tile.isWater() && !tile.isEmpty() && !tile.isRubble()) {
+    if (this.collapseBridge(monster.x, monster.y)) {
+      // Bridges can't take the monster's weight
+    } else if (tile?.tunnel) {
+      // Tunnels run under the water, out of the monster's reach
+    } else if (tile && !tile.isWater() && !tile.isEmpty() && !tile.isRubble()) {
       this.city.bulldoze(monster.x, monster.y);
       // 40% chance to start fire, 60% just rubble
-      if (Math.random() < 0.4 && tile.isFlammable()) {
+      if (this.random.next() < 0.4 && tile.isFlammable()) {
         this.startFire(monster.x, monster.y);
       } else {
         tile.type = TILE_TYPES.RUBBLE;
@@ -1598,12 +2214,12 @@ class Simulation {
     monster.hp--;
 
     // Randomly change direction sometimes
-    if (Math.random() < 0.2) {
+    if (this.random.next() < 0.2) {
       const dirs = [
         { dx: -1, dy: 0 }, { dx: 1, dy: 0 },
         { dx: 0, dy: -1 }, { dx: 0, dy: 1 }
       ];
-      const newDir = dirs[Math.floor(Math.random() * dirs.length)];
+      const newDir = this.random.pick(dirs);
       monster.dx = newDir.dx;
       monster.dy = newDir.dy;
     }
@@ -1625,11 +2241,11 @@ class Simulation {
   triggerTornadoDisaster() {
     // Tornado appears at random location
     this.activeDisasters.tornado = {
-      x: Math.floor(Math.random() * this.city.width),
-      y: Math.floor(Math.random() * this.city.height),
-      dx: Math.random() < 0.5 ? -1 : 1,
-      dy: Math.random() < 0.5 ? -1 : 1,
-      lifetime: 30 + Math.floor(Math.random() * 30)
+      x: this.random.nextInt(this.city.width),
+      y: this.random.nextInt(this.city.height),
+      dx: this.random.next() < 0.5 ? -1 : 1,
+      dy: this.random.next() < 0.5 ? -1 : 1,
+      lifetime: 30 + this.random.nextInt(30)
     };
   }
 
@@ -1642,10 +2258,11 @@ class Simulation {
     for (let dy = -1; dy <= 1; dy++) {
       for (let dx = -1; dx <= 1; dx++) {
         const tile = this.city.getTile(tornado.x + dx, tornado.y + dy);
-        if (tile && !tile.isWater() && !tile.isEmpty() && !tile.isRubble() && Math.random() < 0.5) {
+        if (tile && !tile.isWater() && !tile.isEmpty() && !tile.isRubble() && !tile.tunnel && this.random.next() < 0.5) {
+          if (this.collapseBridge(tornado.x + dx, tornado.y + dy)) continue;
           this.city.bulldoze(tornado.x + dx, tornado.y + dy);
           // 30% chance to start fire, 70% just rubble
-          if (Math.random() < 0.3 && tile.isFlammable()) {
+          if (this.random.next() < 0.3 && tile.isFlammable()) {
             this.startFire(tornado.x + dx, tornado.y + dy);
           } else {
             tile.type = TILE_TYPES.RUBBLE;
@@ -1655,11 +2272,11 @@ class Simulation {
     }
 
     // Move tornado somewhat randomly
-    if (Math.random() < 0.3) {
-      tornado.dx = Math.random() < 0.5 ? -1 : 1;
+    if (this.random.next() < 0.3) {
+      tornado.dx = this.random.next() < 0.5 ? -1 : 1;
     }
-    if (Math.random() < 0.3) {
-      tornado.dy = Math.random() < 0.5 ? -1 : 1;
+    if (this.random.next() < 0.3) {
+      tornado.dy = this.random.next() < 0.5 ? -1 : 1;
     }
 
     tornado.x += tornado.dx;
@@ -1678,28 +2295,31 @@ class Simulation {
   // Trigger earthquake disaster
   triggerEarthquakeDisaster() {
     // Earthquake damages random tiles across the map
-    const damageCount = 20 + Math.floor(Math.random() * 30);
+    const damageCount = 20 + this.random.nextInt(30);
 
     for (let i = 0; i < damageCount; i++) {
-      const x = Math.floor(Math.random() * this.city.width);
-      const y = Math.floor(Math.random() * this.city.height);
+      const x = this.random.nextInt(this.city.width);
+      const y = this.random.nextInt(this.city.height);
       const tile = this.city.getTile(x, y);
 
+      // Bridges always come down and tunnels flood when the ground shakes under them
+      if (this.collapseBridge(x, y) || this.floodTunnel(x, y)) continue;
+
       if (tile && !tile.isWater() && !tile.isEmpty()) {
         // Higher chance to damage older/weaker buildings
-        if (Math.random() < 0.4) {
+        if (this.random.next() < 0.4) {
           this.city.bulldoze(x, y);
           tile.type = TILE_TYPES.RUBBLE;
 
           // Earthquakes can also start fires
-          if (Math.random() < 0.2) {
+          if (this.random.next() < 0.2) {
             const neighbors = [
               { x: x - 1, y }, { x: x + 1, y },
               { x, y: y - 1 }, { x, y: y + 1 }
             ];
             for (const n of neighbors) {
               const nTile = this.city.getTile(n.x, n.y);
-              if (nTile && nTile.isFlammable() && Math.random() < 0.3) {
+              if (nTile && nTile.isFlammable() && this.random.next() < 0.3) {
                 this.startFire(n.x, n.y);
                 break;
               }
@@ -1708,26 +2328,37 @@ class Simulation {
         }
       }
     }
+
+    // Bridges anywhere on the map may be shaken loose
+    for (let y = 0; y < this.city.height; y++) {
+      for (let x = 0; x < this.city.width; x++) {
+        if (this.city.tiles[y][x].bridge && this.random.next() < 0.25) {
+          this.collapseBridge(x, y);
+        }
+      }
+    }
   }
 
   // Trigger flood disaster
   triggerFloodDisaster() {
     // Flood spreads from water tiles
-    const floodTiles = [];
+    // A tile beside water on several sides is only flooded once (by index)
+    const { width } = this.city;
+    const floodTiles = new Set();
 
     for (let y = 0; y < this.city.height; y++) {
       for (let x = 0; x < this.city.width; x++) {
         const tile = this.city.tiles[y][x];
         if (tile.isWater()) {
-          // Check adjacent non-water tiles
+          // Check adjacent non-water tiles (tunnels are already under the water)
           const neighbors = [
             { x: x - 1, y }, { x: x + 1, y },
             { x, y: y - 1 }, { x, y: y + 1 }
           ];
           for (const n of neighbors) {
             const nTile = this.city.getTile(n.x, n.y);
-            if (nTile && !nTile.isWater() && Math.random() < 0.3) {
-              floodTiles.push({ x: n.x, y: n.y });
+            if (nTile && !nTile.isWater() && !nTile.tunnel && this.random.next() < 0.3) {
+              floodTiles.add(n.y * width + n.x);
             }
           }
         }
@@ -1735,9 +2366,11 @@ class Simulation {
     }
 
     // Apply flooding
-    floodTiles.forEach(({ x, y }) => {
+    floodTiles.forEach((index) => {
+      const x = index % width;
+      const y = Math.floor(index / width);
       const tile = this.city.getTile(x, y);
-      if (tile) {
+      if (tile && !this.collapseBridge(x, y)) {
         this.city.bulldoze(x, y);
         tile.type = TILE_TYPES.FLOOD;
       }
@@ -1758,7 +2391,7 @@ class Simulation {
     for (let y = 0; y < this.city.height; y++) {
       for (let x = 0; x < this.city.width; x++) {
         const tile = this.city.tiles[y][x];
-        if (tile.isFlooded() && Math.random() < 0.1) {
+        if (tile.isFlooded() && this.random.next() < 0.1) {
           tile.type = TILE_TYPES.EMPTY;
         }
       }
@@ -1768,7 +2401,7 @@ class Simulation {
     for (let y = 0; y < this.city.height; y++) {
       for (let x = 0; x < this.city.width; x++) {
         const tile = this.city.tiles[y][x];
-        if (tile.isNuclearWaste() && Math.random() < 0.01) {
+        if (tile.isNuclearWaste() && this.random.next() < 0.01) {
           tile.type = TILE_TYPES.RUBBLE;
         }
       }
@@ -1783,7 +2416,7 @@ class Simulation {
     const difficultySettings = this.budget.difficultySettings;
 
     // Roll for disaster
-    if (Math.random() >= difficultySettings.disasterFrequency) return;
+    if (this.random.next() >= difficultySettings.disasterFrequency) return;
 
     // Determine which disaster
     if (!difficultySettings.allDisastersEnabled) {
@@ -1804,7 +2437,7 @@ class Simulation {
       // Add monster for variety
       disasterTypes.push('monster');
 
-      const disasterType = disasterTypes[Math.floor(Math.random() * disasterTypes.length)];
+      const disasterType = this.random.pick(disasterTypes);
 
       switch (disasterType) {
         case 'fire':
@@ -1843,12 +2476,12 @@ class Simulation {
     }
 
     if (candidates.length > 0) {
-      const target = candidates[Math.floor(Math.random() * candidates.length)];
+      const target = this.random.pick(candidates);
       // Start a small fire nearby
       for (let dy = -2; dy <= 2; dy++) {
         for (let dx = -2; dx <= 2; dx++) {
           const tile = this.city.getTile(target.x + dx, target.y + dy);
-          if (tile && tile.isFlammable() && Math.random() < 0.2) {
+          if (tile && tile.isFlammable() && this.random.next() < 0.2) {
             this.startFire(target.x + dx, target.y + dy);
             return;
           }
@@ -1858,7 +2491,8 @@ class Simulation {
   }
 
   // Trigger nuclear meltdown - the dreaded disaster!
-  triggerNuclearMeltdown() {
+  // target ({ x, y } of a plant's main tile) picks the plant, otherwise it's random
+  triggerNuclearMeltdown(target = null) {
     // Find nuclear power plants
     const nuclearPlants = [];
     for (let y = 0; y < this.city.height; y++) {
@@ -1872,8 +2506,9 @@ class Simulation {
 
     if (nuclearPlants.length === 0) return;
 
-    // Pick a random nuclear plant
-    const plant = nuclearPlants[Math.floor(Math.random() * nuclearPlants.length)];
+    // Pick the target or a random nuclear plant
+    const plant = (target && nuclearPlants.find(p => p.x === target.x && p.y === target.y)) ||
+      this.random.pick(nuclearPlants);
     const building = plant.building;
 
     if (!building) return;
@@ -1902,7 +2537,7 @@ class Simulation {
     for (let dy = -3; dy <= building.height + 2; dy++) {
       for (let dx = -3; dx <= building.width + 2; dx++) {
         const tile = this.city.getTile(plant.x + dx, plant.y + dy);
-        if (tile && tile.isFlammable() && Math.random() < 0.4) {
+        if (tile && tile.isFlammable() && this.random.next() < 0.4) {
           this.startFire(plant.x + dx, plant.y + dy);
         }
       }
@@ -1914,8 +2549,13 @@ class Simulation {
   // Serialize for save
   serialize() {
     return {
+      seed: this.random.seed,
+      randomState: this.random.getState(),
       year: this.year,
       month: this.month,
+      rules: this.rules,
+      waterRequired: this.waterRequired,
+      nuclearAlwaysAvailable: this.nuclearAlwaysAvailable,
       residentialDemand: this.residentialDemand,
       commercialDemand: this.commercialDemand,
       industrialDemand: this.industrialDemand,
@@ -1925,8 +2565,22 @@ class Simulation {
 
   // Deserialize from save
   static deserialize(data, city, budget) {
-    const sim = new Simulation(city, budget);
-    Object.assign(sim, data);
+    const { seed, randomState, ...state } = data;
+    const sim = new Simulation(city, budget, seed);
+    // Stats added since the save was made keep their defaults
+    Object.assign(sim, state, { stats: { ...sim.stats, ...state.stats } });
+    // Saves from before the water system keep growing without it
+    if (state.waterRequired === undefined) {
+      sim.waterRequired = false;
+    }
+    // Saves from before POWER_PLANT_YEARS keep nuclear plants available
+    if (state.nuclearAlwaysAvailable === undefined) {
+      sim.nuclearAlwaysAvailable = true;
+    }
+    // Older saves have no RNG state - they simply continue from the seed
+    if (randomState !== undefined) {
+      sim.random.setState(randomState);
+    }
     return sim;
   }
 }
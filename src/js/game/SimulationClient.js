@@ -0,0 +1,267 @@
+// SimulationClient.js - Main-thread handle on the simulation
+// The simulation runs in a Web Worker (SimulationWorker.js). This class keeps
+// read-only replicas of its City, Budget and Simulation for the renderer and
+// UI, refreshed from the tile store snapshots the worker posts, and turns
+// player actions into messages. Without worker support, or if the worker fails
+// before it has answered, the session runs on this thread.
+
+class SimulationClient {
+  constructor() {
+    // Replicas - never tick or edit these directly
+    this.city = null;
+    this.budget = null;
+    this.simulation = null;
+
+    // Undo/redo availability as last reported by the session
+    this.canUndo = false;
+    this.canRedo = false;
+
+    // Bumped on every new/loaded city so messages from the old one are ignored
+    this.sessionId = 0;
+
+    // Outstanding save requests (requestId -> resolve)
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map();
+
+    // Event callbacks
+    this.onTick = null;          // Simulation advanced a month
+    this.onUpdate = null;        // State changed because of a command
+    this.onScenarioWin = null;
+    this.onScenarioLose = null;
+    this.onRedoFailed = null;
+
+    this.worker = null;
+    this.session = null;
+
+    // Commands sent before the worker's first reply, replayed on this thread
+    // if the worker fails to start (null once it has answered)
+    this.unansweredMessages = [];
+
+    if (typeof Worker !== 'undefined') {
+      try {
+        this.worker = new Worker('js/game/SimulationWorker.js');
+        this.worker.onmessage = (e) => {
+          this.unansweredMessages = null;
+          this.receive(e.data);
+        };
+        this.worker.onerror = (e) => this.handleWorkerError(e);
+      } catch (e) {
+        console.warn('Simulation worker unavailable, running on the main thread:', e.message);
+        this.worker = null;
+      }
+    }
+
+    if (!this.worker) {
+      this.startLocalSession();
+    }
+  }
+
+  // Run the session on this thread
+  startLocalSession() {
+    // Clone messages so the replicas never share objects with the session
+    this.session = new SimulationSession((message) => this.receive(structuredClone(message)));
+  }
+
+  // A worker that never answered (script failed to load or threw on startup)
+  // is replaced by a session on this thread; later errors are only logged
+  handleWorkerError(e) {
+    console.error('Simulation worker error:', e.message);
+    if (!this.unansweredMessages) return;
+
+    e.preventDefault();
+    console.warn('Simulation worker failed to start, running on the main thread');
+    const messages = this.unansweredMessages;
+    this.unansweredMessages = null;
+    this.worker.terminate();
+    this.worker = null;
+    this.startLocalSession();
+    messages.forEach(message => this.session.handleMessage(structuredClone(message)));
+  }
+
+  // Send a command to the session
+  send(type, data = {}) {
+    const message = { type, sessionId: this.sessionId, ...data };
+    if (this.worker) {
+      if (this.unansweredMessages) this.unansweredMessages.push(message);
+      this.worker.postMessage(message);
+    } else {
+      this.session.handleMessage(structuredClone(message));
+    }
+  }
+
+  // Start a new city on a generated map (terrain is TERRAIN_DEFAULTS-style parameters)
+  // or on a map editor map (map file data), which replaces the size and terrain
+  // rules is a RULES value
+  newCity(difficulty, width, height, seed = Random.generateSeed(), terrain = TERRAIN_DEFAULTS, map = null,
+    rules = RULES.CLASSIC) {
+    const city = map ? City.deserialize(map.city) : new City(width, height);
+    const budget = new Budget(difficulty);
+    this.resetReplicas(city, budget, new Simulation(city, budget, seed));
+    this.simulation.rules = rules;
+    this.send('newCity', { difficulty, width, height, seed, terrain, map, rules });
+  }
+
+  // Start a scenario from ScenarioLibrary on its own map, or on a map editor map
+  startScenario(scenario, seed = Random.generateSeed(), map = null) {
+    const city = map ? City.deserialize(map.city) : new ScenarioMap(scenario.map).createCity();
+    const budget = new Budget(scenario.difficulty);
+    budget.funds = scenario.startingFunds;
+    this.resetReplicas(city, budget, new Simulation(city, budget, seed));
+    this.simulation.setScenario(scenario);
+    this.send('startScenario', { scenario, seed, map });
+  }
+
+  // Open the map editor on a blank map, or generated terrain if given
+  newMap(width, height, seed = Random.generateSeed(), terrain = null) {
+    const city = new City(width, height);
+    const budget = new Budget(DIFFICULTY.EASY);
+    this.resetReplicas(city, budget, new Simulation(city, budget, seed));
+    this.send('newMap', { width, height, seed, terrain });
+  }
+
+  // Open a saved map (map file data) in the map editor
+  openMap(map) {
+    const city = City.deserialize(map.city);
+    const budget = new Budget(DIFFICULTY.EASY);
+    this.resetReplicas(city, budget, new Simulation(city, budget));
+    this.send('openMap', { map });
+  }
+
+  // Continue a saved city
+  load(saveData) {
+    const city = City.deserialize(saveData.city);
+    const budget = Budget.deserialize(saveData.budget);
+    this.resetReplicas(city, budget, Simulation.deserialize(saveData.simulation, city, budget));
+    this.send('load', { saveData });
+  }
+
+  // Create fresh replicas for a new session
+  // They are filled in by the session's first sync
+  resetReplicas(city, budget, simulation) {
+    this.sessionId++;
+    this.city = city;
+    this.budget = budget;
+    this.simulation = simulation;
+    this.simulation.isPaused = true;
+    this.canUndo = false;
+    this.canRedo = false;
+  }
+
+  // Get the session's city, budget and simulation in save format
+  getSaveData() {
+    return new Promise((resolve) => {
+      const requestId = this.nextRequestId++;
+      this.pendingRequests.set(requestId, resolve);
+      this.send('save', { requestId });
+    });
+  }
+
+  start() {
+    this.send('start');
+  }
+
+  pause() {
+    this.send('pause');
+  }
+
+  setSpeed(speed) {
+    this.send('setSpeed', { speed });
+  }
+
+  useTool(tool, x, y) {
+    this.send('useTool', { tool, x, y });
+  }
+
+  // Apply a tool along a dragged line or rectangle (see ToolStroke.getPlacements)
+  applyStroke(stroke) {
+    this.send('applyStroke', { stroke });
+  }
+
+  // Paint terrain in the map editor (see MapEditor.getTiles for the stroke format)
+  editTerrain(stroke) {
+    this.send('editTerrain', { stroke });
+  }
+
+  // Group tool actions (e.g. a drag) into one undo step
+  beginGroup(label) {
+    this.send('beginGroup', { label });
+  }
+
+  endGroup() {
+    this.send('endGroup');
+  }
+
+  undo() {
+    this.send('undo');
+  }
+
+  redo() {
+    this.send('redo');
+  }
+
+  triggerDisaster(disasterType) {
+    this.send('triggerDisaster', { disasterType });
+  }
+
+  setTaxRate(rate) {
+    this.send('setTaxRate', { rate });
+  }
+
+  // Drop the scenario and keep playing in sandbox mode
+  clearScenario() {
+    this.send('clearScenario');
+  }
+
+  // Handle a message from the session
+  receive(message) {
+    if (message.type === 'saveData') {
+      const resolve = this.pendingRequests.get(message.requestId);
+      this.pendingRequests.delete(message.requestId);
+      if (resolve) resolve(message.data);
+      return;
+    }
+
+    if (message.sessionId !== this.sessionId) return;
+
+    switch (message.type) {
+      case 'sync':
+        this.applySync(message);
+        if (message.tick) {
+          if (this.onTick) this.onTick(message.tick);
+        } else if (this.onUpdate) {
+          this.onUpdate();
+        }
+        break;
+      case 'scenarioWin':
+        if (this.onScenarioWin) this.onScenarioWin(this.simulation.scenario);
+        break;
+      case 'scenarioLose':
+        if (this.onScenarioLose) this.onScenarioLose(this.simulation.scenario);
+        break;
+      case 'redoFailed':
+        if (this.onRedoFailed) this.onRedoFailed();
+        break;
+    }
+  }
+
+  // Patch the replicas with a sync message
+  applySync(message) {
+    const city = this.city;
+
+    if (message.tiles.width !== city.width || message.tiles.height !== city.height) {
+      city.width = message.tiles.width;
+      city.height = message.tiles.height;
+      city.initializeMap();
+    }
+
+    city.tileStore.load(message.tiles);
+    city.buildings = new Map(message.buildings);
+    city.nextBuildingId = message.nextBuildingId;
+
+    Object.assign(this.budget, message.budget);
+    Object.assign(this.simulation, message.simulation);
+
+    this.canUndo = message.history.canUndo;
+    this.canRedo = message.history.canRedo;
+  }
+}
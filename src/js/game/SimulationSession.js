@@ -0,0 +1,331 @@
+// SimulationSession.js - The authoritative game session
+// Owns the real City, Budget, Simulation and undo history. Runs inside the
+// simulation worker (or on the main thread when workers are unavailable),
+// applies player commands and posts snapshots of the tile store back: the
+// whole store each month, and only the tiles a command changed after it.
+
+// Simulation fields mirrored to the main thread for the renderer and UI
+const SIMULATION_SYNC_FIELDS = [
+  'year', 'month', 'population', 'rules', 'waterRequired', 'nuclearAlwaysAvailable',
+  'residentialDemand', 'commercialDemand', 'industrialDemand', 'demandCapped',
+  'isPaused', 'speed',
+  'scenario', 'scenarioStartYear', 'scenarioStartMonth', 'scenarioMonthsElapsed',
+  'scenarioComplete', 'scenarioFailed', 'triggeredDisasters', 'statsMeasured',
+  'stats', 'powerGrids', 'waterNetworks', 'voterComplaints', 'activeDisasters', 'cityCenter'
+];
+
+class SimulationSession {
+  constructor(post) {
+    // post(message, transfer) sends a message to the SimulationClient
+    this.post = post;
+
+    this.city = null;
+    this.budget = null;
+    this.simulation = null;
+    this.history = null;
+
+    // True while the session holds a map editor map: tools are free and the
+    // simulation never runs
+    this.editing = false;
+
+    // Matches the client's session so stale messages can be dropped
+    this.sessionId = 0;
+
+    // Tile indices the command being handled changed (null = the whole map)
+    this.changedTiles = null;
+  }
+
+  // Handle a command from the client
+  handleMessage(message) {
+    this.changedTiles = new Set();
+
+    switch (message.type) {
+      case 'newCity':
+        this.sessionId = message.sessionId;
+        this.newCity(message.difficulty, message.seed, message.width, message.height,
+          message.terrain, message.map, message.rules);
+        break;
+      case 'startScenario':
+        this.sessionId = message.sessionId;
+        this.startScenario(message.scenario, message.seed, message.map);
+        break;
+      case 'newMap':
+        this.sessionId = message.sessionId;
+        this.newMap(message.width, message.height, message.seed, message.terrain);
+        break;
+      case 'openMap':
+        this.sessionId = message.sessionId;
+        this.openMap(message.map);
+        break;
+      case 'load':
+        this.sessionId = message.sessionId;
+        this.load(message.saveData);
+        break;
+      case 'save':
+        this.post({
+          type: 'saveData',
+          requestId: message.requestId,
+          data: {
+            city: this.city.serialize(),
+            budget: this.budget.serialize(),
+            simulation: this.simulation.serialize()
+          }
+        });
+        return;
+      case 'start':
+        if (!this.editing) this.simulation.start();
+        break;
+      case 'pause':
+        this.simulation.pause();
+        break;
+      case 'setSpeed':
+        this.simulation.setSpeed(message.speed);
+        break;
+      case 'useTool':
+        this.useTool(message.tool, message.x, message.y);
+        break;
+      case 'applyStroke':
+        this.applyStroke(message.stroke);
+        break;
+      case 'editTerrain':
+        this.editTerrain(message.stroke);
+        break;
+      case 'beginGroup':
+        this.history.beginGroup(message.label);
+        break;
+      case 'endGroup':
+        this.history.endGroup();
+        break;
+      case 'undo':
+        this.markEntry(this.history.undo());
+        break;
+      case 'redo':
+        if (this.history.canRedo()) {
+          const entry = this.history.redo();
+          if (entry) {
+            this.markEntry(entry);
+          } else {
+            this.post({ type: 'redoFailed', sessionId: this.sessionId });
+          }
+        }
+        break;
+      case 'triggerDisaster':
+        if (!this.editing) this.triggerDisaster(message.disasterType);
+        this.changedTiles = null;
+        break;
+      case 'setTaxRate':
+        this.budget.setTaxRate(message.rate);
+        break;
+      case 'clearScenario':
+        this.simulation.scenario = null;
+        break;
+      default:
+        console.warn('Unknown simulation command:', message.type);
+        return;
+    }
+
+    this.sync(null, this.changedTiles);
+  }
+
+  // Note a rectangle of tiles as changed by the current command
+  markArea(area) {
+    if (!this.changedTiles) return;
+    const { width, height } = this.city;
+    for (let y = Math.max(0, area.y); y < Math.min(height, area.y + area.height); y++) {
+      for (let x = Math.max(0, area.x); x < Math.min(width, area.x + area.width); x++) {
+        this.changedTiles.add(y * width + x);
+      }
+    }
+  }
+
+  // Note the tiles an undone or redone history entry covers as changed
+  markEntry(entry) {
+    if (!entry || !this.changedTiles) return;
+    for (const { before } of entry.steps) {
+      before.indices.forEach(index => this.changedTiles.add(index));
+    }
+  }
+
+  // Start a fresh city on a generated map, or on a map editor map if given
+  // The terrain comes from the seed alone, so it matches the New City preview
+  newCity(difficulty, seed, width, height, terrain, map = null, rules = RULES.CLASSIC) {
+    const city = map ? City.deserialize(map.city) : new City(width, height);
+    const budget = new Budget(difficulty);
+    this.setup(city, budget, new Simulation(city, budget, seed));
+    this.simulation.rules = rules;
+    if (!map) {
+      city.generateTerrain(terrain, seed);
+    }
+  }
+
+  // Start a scenario (see ScenarioLibrary) on the map its file describes, or
+  // on map editor map data if given
+  startScenario(scenario, seed, map = null) {
+    const scenarioMap = new ScenarioMap(scenario.map);
+    const city = map ? City.deserialize(map.city) : scenarioMap.createCity();
+    const budget = new Budget(scenario.difficulty);
+    budget.funds = scenario.startingFunds;
+
+    this.setup(city, budget, new Simulation(city, budget, seed));
+    this.simulation.setScenario(scenario);
+    if (!map) {
+      scenarioMap.build(city);
+    }
+  }
+
+  // Open the map editor on a blank map, or generated terrain if given
+  newMap(width, height, seed, terrain = null) {
+    const city = new City(width, height);
+    const budget = new Budget(DIFFICULTY.EASY);
+    this.setup(city, budget, new Simulation(city, budget, seed));
+    if (terrain) {
+      city.generateTerrain(terrain, seed);
+    }
+    this.startEditing();
+  }
+
+  // Open a saved map in the map editor
+  openMap(map) {
+    const city = City.deserialize(map.city);
+    const budget = new Budget(DIFFICULTY.EASY);
+    this.setup(city, budget, new Simulation(city, budget));
+    this.startEditing();
+  }
+
+  // Switch the session to the map editor
+  // Power plants placed on a map are left undated, so they age from the first
+  // month of whatever game is started on it
+  startEditing() {
+    this.editing = true;
+    this.city.getDate = null;
+  }
+
+  // Continue a saved city
+  load(saveData) {
+    const city = City.deserialize(saveData.city);
+    const budget = Budget.deserialize(saveData.budget);
+    this.setup(city, budget, Simulation.deserialize(saveData.simulation, city, budget));
+  }
+
+  // Replace the session objects and hook up simulation events
+  setup(city, budget, simulation) {
+    if (this.simulation) {
+      this.simulation.pause();
+    }
+
+    // A new map goes to the client whole
+    this.changedTiles = null;
+
+    this.city = city;
+    this.budget = budget;
+    this.simulation = simulation;
+    this.history = new CommandHistory(city, budget);
+    this.editing = false;
+
+    // The client starts the simulation once it is ready
+    simulation.pause();
+    simulation.onTick = (data) => {
+      this.history.expire();
+      this.sync(data);
+    };
+    simulation.onScenarioWin = () => this.endScenario('scenarioWin');
+    simulation.onScenarioLose = () => this.endScenario('scenarioLose');
+  }
+
+  // Stop at the end of a scenario and tell the client the outcome
+  endScenario(type) {
+    this.simulation.pause();
+    this.sync();
+    this.post({ type, sessionId: this.sessionId });
+  }
+
+  // Apply a tool if it can be afforded and placed, recording it for undo
+  // Tools are free in the map editor, and every power plant is available there
+  useTool(tool, x, y) {
+    const cost = this.editing ? 0 : this.city.getToolCost(tool, x, y);
+    if (!this.budget.canAfford(cost) || !this.city.canUseTool(tool, x, y)) return;
+    if (!this.editing && !this.simulation.isToolAvailable(tool)) return;
+
+    this.markArea(this.history.getAffectedArea(tool, x, y));
+    const success = this.history.execute(tool, x, y, cost, () => this.city.useTool(tool, x, y));
+    if (success) {
+      this.budget.spend(cost);
+    }
+  }
+
+  // Apply a tool along a dragged line or over a dragged rectangle
+  // (see ToolStroke.getPlacements for the stroke format)
+  applyStroke(stroke) {
+    for (const { x, y } of new ToolStroke(this.city).getPlacements(stroke)) {
+      this.useTool(stroke.tool, x, y);
+    }
+  }
+
+  // Paint terrain with a map editor stroke, recording it for undo
+  editTerrain(stroke) {
+    if (!this.editing) return;
+
+    const editor = new MapEditor(this.city);
+    const indices = editor.getTiles(stroke);
+    if (indices.length === 0) return;
+
+    indices.forEach(index => this.changedTiles?.add(index));
+    this.history.executeTerrain(TOOL_NAMES[stroke.tool], indices, () => editor.paint(indices, stroke.tool));
+  }
+
+  // Trigger a disaster chosen from the menu
+  triggerDisaster(type) {
+    switch (type) {
+      case 'fire':
+        this.simulation.triggerFireDisaster();
+        break;
+      case 'flood':
+        this.simulation.triggerFloodDisaster();
+        break;
+      case 'tornado':
+        this.simulation.triggerTornadoDisaster();
+        break;
+      case 'earthquake':
+        this.simulation.triggerEarthquakeDisaster();
+        break;
+      case 'monster':
+        this.simulation.triggerMonsterDisaster();
+        break;
+      case 'plane':
+        this.simulation.triggerPlaneCrashDisaster();
+        break;
+      case 'ufo':
+        this.simulation.triggerUFODisaster();
+        break;
+    }
+  }
+
+  // Post a snapshot of the tiles and the current session state
+  // tick is the simulation's tick data when called at the end of a month;
+  // changedTiles limits the snapshot to those tile indices (null = every tile)
+  sync(tick = null, changedTiles = null) {
+    const simulation = {};
+    for (const field of SIMULATION_SYNC_FIELDS) {
+      simulation[field] = this.simulation[field];
+    }
+
+    // The snapshot arrays are fresh copies, so they can be transferred
+    const tiles = changedTiles ?
+      this.city.tileStore.snapshotTiles(changedTiles) : this.city.tileStore.snapshot();
+
+    this.post({
+      type: 'sync',
+      sessionId: this.sessionId,
+      tick,
+      tiles,
+      buildings: Array.from(this.city.buildings.entries()),
+      nextBuildingId: this.city.nextBuildingId,
+      budget: { ...this.budget },
+      simulation,
+      history: {
+        canUndo: this.history.canUndo(),
+        canRedo: this.history.canRedo()
+      }
+    }, Object.values(tiles.arrays).map(array => array.buffer));
+  }
+}
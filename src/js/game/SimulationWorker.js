@@ -0,0 +1,23 @@
+// SimulationWorker.js - Web Worker entry point for the simulation
+// Runs the SimulationSession off the render thread; SimulationClient talks to it.
+
+importScripts(
+  '../data/constants.js',
+  'Random.js',
+  'TileStore.js',
+  'Tile.js',
+  'TerrainGenerator.js',
+  'City.js',
+  'ScenarioMap.js',
+  'Budget.js',
+  'TripGenerator.js',
+  'Simulation.js',
+  'MapEditor.js',
+  'ToolStroke.js',
+  'CommandHistory.js',
+  'SimulationSession.js'
+);
+
+const session = new SimulationSession((message, transfer) => self.postMessage(message, transfer));
+
+self.onmessage = (e) => session.handleMessage(e.data);
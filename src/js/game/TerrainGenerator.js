@@ -0,0 +1,185 @@
+// TerrainGenerator.js - Seeded terrain for new cities
+// Lays down a coastline, a river, lakes and forests from a seed plus the
+// TERRAIN_DEFAULTS parameters. The same seed, parameters and map size always
+// give the same map, which lets the New City dialog preview a map on the main
+// thread before the simulation worker builds it for real.
+
+class TerrainGenerator {
+  constructor(params = {}, seed = Random.generateSeed()) {
+    this.params = TerrainGenerator.normalizeParams(params);
+    this.seed = seed >>> 0;
+  }
+
+  // Fill in missing parameters and clamp the rest to their allowed ranges
+  static normalizeParams(params = {}) {
+    const merged = { ...TERRAIN_DEFAULTS, ...params };
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, Number(value) || 0));
+
+    return {
+      waterCoverage: clamp(merged.waterCoverage, 0, 0.5),
+      river: Boolean(merged.river),
+      coastline: COASTLINE_SIDES.includes(merged.coastline) ? merged.coastline : 'none',
+      forestDensity: clamp(merged.forestDensity, 0, 1),
+      lakeCount: Math.round(clamp(merged.lakeCount, 0, 5))
+    };
+  }
+
+  // Generate terrain onto an empty city
+  generate(city) {
+    this.city = city;
+    this.random = new Random(this.seed);
+
+    const { waterCoverage, river, coastline, lakeCount } = this.params;
+    const length = this.isVerticalRiver() ? city.height : city.width;
+    const riverWidth = river ? Math.max(2, Math.round((2 + waterCoverage * 10) * city.getMapScale())) : 0;
+
+    // Split the water budget: the river takes its share first, then the
+    // coast and lakes divide the rest (the coast gets most of it)
+    const waterTiles = waterCoverage * city.width * city.height;
+    const remaining = Math.max(0, waterTiles - riverWidth * length);
+    const hasCoast = coastline !== 'none';
+    const coastShare = hasCoast ? (lakeCount > 0 ? 0.7 : 1) : 0;
+
+    if (hasCoast) {
+      this.generateCoast(coastline, remaining * coastShare);
+    }
+    if (river) {
+      this.generateRiver(riverWidth);
+    }
+    if (lakeCount > 0) {
+      this.generateLakes(lakeCount, remaining * (1 - coastShare));
+    }
+    this.generateForests();
+  }
+
+  // Rivers run north-south unless they have to reach an east or west coast
+  isVerticalRiver() {
+    const { coastline } = this.params;
+    return coastline !== 'east' && coastline !== 'west';
+  }
+
+  // Smooth random wobble: a few sine waves with random phases
+  makeWave(amplitude) {
+    const waves = [];
+    for (let i = 0; i < 3; i++) {
+      waves.push({
+        frequency: 0.02 + this.random.next() * 0.08,
+        phase: this.random.next() * Math.PI * 2,
+        weight: 1 / (i + 1)
+      });
+    }
+    const totalWeight = waves.reduce((sum, wave) => sum + wave.weight, 0);
+
+    return (t) => {
+      let value = 0;
+      for (const wave of waves) {
+        value += Math.sin(t * wave.frequency + wave.phase) * wave.weight;
+      }
+      return (value / totalWeight) * amplitude;
+    };
+  }
+
+  setWater(x, y) {
+    if (this.city.isInBounds(x, y)) {
+      this.city.tiles[y][x].type = TILE_TYPES.WATER;
+    }
+  }
+
+  // Sea along one edge of the map with a wavy shoreline
+  generateCoast(side, area) {
+    const city = this.city;
+    const alongX = side === 'north' || side === 'south';
+    const sideLength = alongX ? city.width : city.height;
+    const across = alongX ? city.height : city.width;
+
+    const depth = Math.min(area / sideLength, across * 0.5);
+    if (depth < 1) return;
+    const shoreline = this.makeWave(Math.max(2, depth * 0.3));
+
+    for (let t = 0; t < sideLength; t++) {
+      const reach = Math.round(depth + shoreline(t));
+      for (let d = 0; d < reach; d++) {
+        switch (side) {
+          case 'north': this.setWater(t, d); break;
+          case 'south': this.setWater(t, city.height - 1 - d); break;
+          case 'west': this.setWater(d, t); break;
+          case 'east': this.setWater(city.width - 1 - d, t); break;
+        }
+      }
+    }
+  }
+
+  // Meandering river from one edge to the opposite one (and so into the sea)
+  generateRiver(width) {
+    const city = this.city;
+    const vertical = this.isVerticalRiver();
+    const length = vertical ? city.height : city.width;
+    const across = vertical ? city.width : city.height;
+
+    // Keep the river away from the edges so it stays on the map
+    const start = Math.floor(across * (0.3 + this.random.next() * 0.4));
+    const meander = this.makeWave(across * 0.12);
+
+    for (let t = 0; t < length; t++) {
+      const center = Math.round(start + meander(t));
+      for (let c = center; c < center + width; c++) {
+        if (vertical) {
+          this.setWater(c, t);
+        } else {
+          this.setWater(t, c);
+        }
+      }
+    }
+  }
+
+  // Round-ish lakes sharing the given number of water tiles
+  generateLakes(count, area) {
+    const city = this.city;
+    const baseRadius = Math.max(3, Math.sqrt(area / count / Math.PI));
+
+    for (let i = 0; i < count; i++) {
+      const radius = Math.round(baseRadius * (0.7 + this.random.next() * 0.6));
+      const margin = Math.min(radius + 2, Math.floor(Math.min(city.width, city.height) / 2));
+      const cx = margin + this.random.nextInt(Math.max(1, city.width - margin * 2));
+      const cy = margin + this.random.nextInt(Math.max(1, city.height - margin * 2));
+      const lobes = 3 + this.random.nextInt(3);
+      const phase = this.random.next() * Math.PI * 2;
+
+      for (let dy = -radius - 1; dy <= radius + 1; dy++) {
+        for (let dx = -radius - 1; dx <= radius + 1; dx++) {
+          // Bumpy edge so lakes are not perfect circles
+          const edge = radius * (1 + Math.sin(Math.atan2(dy, dx) * lobes + phase) * 0.2);
+          if (Math.sqrt(dx * dx + dy * dy) <= edge) {
+            this.setWater(cx + dx, cy + dy);
+          }
+        }
+      }
+    }
+  }
+
+  // Forest clusters on dry land (30 on a default-sized map at full density)
+  generateForests() {
+    const city = this.city;
+    const area = (city.width * city.height) / (GAME_CONSTANTS.MAP_WIDTH * GAME_CONSTANTS.MAP_HEIGHT);
+    const numClusters = Math.round(this.params.forestDensity * 30 * area);
+
+    for (let i = 0; i < numClusters; i++) {
+      const cx = this.random.nextInt(city.width);
+      const cy = this.random.nextInt(city.height);
+      const radius = 3 + this.random.nextInt(5);
+
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          const dist = Math.sqrt(dx * dx + dy * dy);
+          if (dist <= radius && this.random.next() > 0.3) {
+            const x = cx + dx;
+            const y = cy + dy;
+            if (city.isInBounds(x, y) && city.tiles[y][x].isEmpty()) {
+              city.tiles[y][x].type = TILE_TYPES.FOREST;
+            }
+          }
+        }
+      }
+    }
+  }
+}
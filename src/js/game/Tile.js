@@ -1,28 +1,13 @@
 // Tile.js - Individual map tile
 
 class Tile {
-  constructor(x, y) {
+  // A tile is a view over one index of the city's TileStore; all of its
+  // properties (type, level, powered, landValue, ...) live in the store
+  constructor(x, y, store = new TileStore(1, 1), index = 0) {
     this.x = x;
     this.y = y;
-    this.type = TILE_TYPES.EMPTY;
-    this.zoneType = null;         // For zone tiles: 'residential', 'commercial', 'industrial'
-    this.level = 0;               // Zone development level (R: 0-9, C: 0-5, I: 0-4)
-    this.density = 0;             // Legacy alias for level (for backwards compatibility)
-    this.zoneClass = null;        // Zone class: 'low', 'mid', 'upper', 'high' (based on land value)
-    this.powered = false;         // Has power connection
-    this.roadAccess = false;      // Has road connection
-    this.buildingId = null;       // For multi-tile buildings, reference to main tile
-    this.isMainTile = false;      // True if this is the anchor tile of a multi-tile building
-    this.buildingWidth = 1;       // Width of building if main tile
-    this.buildingHeight = 1;      // Height of building if main tile
-    this.landValue = 50;          // Land value 0-255
-    this.pollution = 0;           // Pollution level 0-255
-    this.crime = 0;               // Crime level 0-255
-    this.traffic = 0;             // Traffic density 0-255
-    this.fireRisk = 0;            // Fire risk 0-255
-    this.population = 0;          // Population for residential tiles
-    this.jobs = 0;                // Jobs for commercial/industrial tiles
-    this.powerLineCrossover = false; // True if power line crosses over this road/rail
+    this.store = store;
+    this.index = index;
   }
 
   // Check if tile is empty or can be bulldozed
@@ -99,7 +84,12 @@ class Tile {
 
   isPowerPlant() {
     return this.type === TILE_TYPES.COAL_POWER ||
-           this.type === TILE_TYPES.NUCLEAR_POWER;
+           this.type === TILE_TYPES.NUCLEAR_POWER ||
+           this.type === TILE_TYPES.GAS_POWER ||
+           this.type === TILE_TYPES.OIL_POWER ||
+           this.type === TILE_TYPES.HYDRO_POWER ||
+           this.type === TILE_TYPES.WIND_POWER ||
+           this.type === TILE_TYPES.SOLAR_POWER;
   }
 
   isService() {
@@ -107,8 +97,13 @@ class Tile {
            this.type === TILE_TYPES.FIRE;
   }
 
+  isWaterWorks() {
+    return this.type === TILE_TYPES.WATER_PUMP ||
+           this.type === TILE_TYPES.WATER_TOWER;
+  }
+
   isSpecialBuilding() {
-    return this.type >= 30 && this.type < 40;
+    return this.type >= 30 && this.type < 50;
   }
 
   // Check if tile conducts power
@@ -122,6 +117,11 @@ class Tile {
            this.powerLineCrossover;       // Any tile with power line crossover conducts
   }
 
+  // Check if tile carries water between pipes (pumps and towers join the pipes around them)
+  carriesWater() {
+    return this.waterPipe === 1 || this.isWaterWorks();
+  }
+
   // Check if tile provides road access
   providesRoadAccess() {
     return this.isRoad() || this.isRail();
@@ -133,8 +133,10 @@ class Tile {
   }
 
   // Check if tile can be bulldozed
+  // Bulldozing empty land over a subway tunnel or water pipe digs it up
   canBulldoze() {
-    return !this.isWater() && !this.isEmpty() && !this.isFlooded();
+    return (!this.isWater() && !this.isEmpty() && !this.isFlooded()) ||
+           (this.isEmpty() && (this.subway || this.waterPipe === 1));
   }
 
   // Check if tile is flammable
@@ -158,7 +160,18 @@ class Tile {
     this.buildingHeight = 1;
     this.population = 0;
     this.jobs = 0;
+    this.commute = 0;
+    this.lastTrip = TRIP_RESULTS.NONE;
+    this.roadClass = 0;
+    this.powerState = POWER_STATES.NONE;
+    this.powerGrid = 0;
+    this.waterState = WATER_STATES.NONE;
     this.powerLineCrossover = false;
+    this.tripFailed = false;
+    this.bridge = false;
+    this.tunnel = 0;
+    this.busStop = false;
+    // Subway tunnels and water pipes run underground and outlast whatever is built above them
   }
 
   // Set as zone
@@ -285,11 +298,12 @@ class Tile {
   }
 
   // Update zone class (called when zone develops or land value changes)
-  updateZoneClass() {
+  // Takes the simulation's RNG for the industrial class roll
+  updateZoneClass(random) {
     if (this.isBuilding() || this.isZone()) {
       // Industrial zones randomly pick between Low and High (per game mechanics)
       if (this.isIndustrial()) {
-        this.zoneClass = Math.random() < 0.5 ? LAND_VALUE_CLASS.LOW : LAND_VALUE_CLASS.HIGH;
+        this.zoneClass = random.next() < 0.5 ? LAND_VALUE_CLASS.LOW : LAND_VALUE_CLASS.HIGH;
       } else {
         this.zoneClass = this.calculateZoneClass();
       }
@@ -332,7 +346,13 @@ class Tile {
       pollution: this.pollution,
       population: this.population,
       jobs: this.jobs,
-      powerLineCrossover: this.powerLineCrossover
+      powerLineCrossover: this.powerLineCrossover,
+      bridge: this.bridge,
+      tunnel: this.tunnel,
+      roadClass: this.roadClass,
+      busStop: this.busStop,
+      subway: this.subway,
+      waterPipe: this.waterPipe
     };
   }
 
@@ -343,3 +363,5 @@ class Tile {
     return tile;
   }
 }
+
+defineTileAccessors(Tile);
@@ -0,0 +1,239 @@
+// TileStore.js - Struct-of-arrays storage for map tiles
+// Every tile property lives in a typed array indexed by y * width + x.
+// Tile objects are thin views over one index, so the map costs a few bytes
+// per tile and can be copied, sent to the worker or saved as raw arrays.
+
+// Numeric tile fields and their storage
+const TILE_NUMBER_FIELDS = {
+  type: Uint8Array,             // TILE_TYPES value
+  originalType: Uint8Array,     // Type before a fire started
+  level: Uint8Array,            // Zone development level (R: 0-9, C: 0-5, I: 0-4)
+  density: Uint8Array,          // Legacy alias for level (for backwards compatibility)
+  buildingId: Uint32Array,      // For multi-tile buildings, reference to main tile (0 = none)
+  buildingWidth: Uint8Array,    // Width of building if main tile
+  buildingHeight: Uint8Array,   // Height of building if main tile
+  landValue: Uint8Array,        // Land value 0-255
+  pollution: Uint8Array,        // Pollution level 0-255
+  crime: Uint8Array,            // Crime level 0-255
+  traffic: Uint8Array,          // Traffic density 0-255
+  fireRisk: Uint8Array,         // Fire risk 0-255
+  population: Uint16Array,      // Population for residential tiles
+  jobs: Uint16Array,            // Jobs for commercial/industrial tiles
+  commute: Uint8Array,          // Travel cost of a residential zone's last trip to work
+  lastTrip: Uint8Array,         // Result of a residential zone's last transit walk (TRIP_RESULTS)
+  roadClass: Uint8Array,        // Road class of a road tile (index into ROAD_CLASSES)
+  powerState: Uint8Array,       // POWER_STATES value
+  powerGrid: Uint16Array,       // Power grid (Simulation.powerGrids id) a tile belongs to (0 = none)
+  waterPipe: Uint8Array,        // 1 where a water pipe runs under the tile
+  tunnel: Uint8Array,           // 1 where a road or rail runs in a tunnel under water
+  waterState: Uint8Array        // WATER_STATES value
+};
+
+// Fields holding one of a few strings (or null), stored as an index into the list
+// zoneType: 'residential', 'commercial', 'industrial'
+// zoneClass: 'low', 'mid', 'upper', 'high' (based on land value)
+const TILE_ENUM_FIELDS = {
+  zoneType: [null, 'residential', 'commercial', 'industrial'],
+  zoneClass: [null, LAND_VALUE_CLASS.LOW, LAND_VALUE_CLASS.MID, LAND_VALUE_CLASS.UPPER, LAND_VALUE_CLASS.HIGH]
+};
+
+// Boolean fields packed into the flags array
+const TILE_FLAGS = {
+  powered: 1,             // Has power connection
+  roadAccess: 2,          // Has road connection
+  isMainTile: 4,          // Anchor tile of a multi-tile building
+  powerLineCrossover: 8,  // Power line crosses over this road/rail
+  tripFailed: 16,         // Residential zone's last trip found no job zone
+  bridge: 32,             // Road, rail or power line built out over water
+  busStop: 64,            // Road with a bus stop
+  subway: 128             // Subway tunnel under this tile
+};
+
+// Fields that decide where power, road access and water reach. Tiles report changes
+// to them through their store's onLayoutChange (City keeps a journal of them)
+const TILE_LAYOUT_FIELDS = ['type', 'buildingId', 'powerLineCrossover', 'waterPipe'];
+
+// A zone developing into a building (or falling back) keeps the same
+// connections, so type changes between these pairs aren't reported
+const TILE_LAYOUT_TYPES = {
+  [TILE_TYPES.BUILDING_RESIDENTIAL]: TILE_TYPES.ZONE_RESIDENTIAL,
+  [TILE_TYPES.BUILDING_COMMERCIAL]: TILE_TYPES.ZONE_COMMERCIAL,
+  [TILE_TYPES.BUILDING_INDUSTRIAL]: TILE_TYPES.ZONE_INDUSTRIAL
+};
+
+// Values for a freshly created tile (anything not listed starts at 0)
+const TILE_DEFAULTS = {
+  landValue: 50,
+  buildingWidth: 1,
+  buildingHeight: 1
+};
+
+class TileStore {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.size = width * height;
+
+    for (const [field, ArrayType] of Object.entries(TILE_NUMBER_FIELDS)) {
+      this[field] = new ArrayType(this.size);
+    }
+    for (const field of Object.keys(TILE_ENUM_FIELDS)) {
+      this[field] = new Uint8Array(this.size);
+    }
+    this.flags = new Uint8Array(this.size);
+
+    for (const [field, value] of Object.entries(TILE_DEFAULTS)) {
+      this[field].fill(value);
+    }
+
+    // Called with a tile's index when one of its TILE_LAYOUT_FIELDS changes
+    // through a Tile (bulk loads write the arrays directly and don't report)
+    this.onLayoutChange = null;
+  }
+
+  // Names of every backing array
+  static get arrayNames() {
+    return [...Object.keys(TILE_NUMBER_FIELDS), ...Object.keys(TILE_ENUM_FIELDS), 'flags'];
+  }
+
+  // Get the array index of a tile
+  indexOf(x, y) {
+    return y * this.width + x;
+  }
+
+  // Copy every array (used for worker snapshots)
+  snapshot() {
+    const arrays = {};
+    for (const name of TileStore.arrayNames) {
+      arrays[name] = this[name].slice();
+    }
+    return { width: this.width, height: this.height, arrays };
+  }
+
+  // Copy some tiles of every array (used for worker updates after a command)
+  // indices is any iterable of tile indices
+  snapshotTiles(indices) {
+    const tileIndices = Int32Array.from(indices);
+    const arrays = {};
+    for (const name of TileStore.arrayNames) {
+      const source = this[name];
+      const values = new source.constructor(tileIndices.length);
+      tileIndices.forEach((index, i) => { values[i] = source[index]; });
+      arrays[name] = values;
+    }
+    return { width: this.width, height: this.height, indices: tileIndices, arrays };
+  }
+
+  // Overwrite this store with a snapshot of the same size, either of every
+  // tile or of the tiles it lists (see snapshotTiles)
+  load(snapshot) {
+    const { indices } = snapshot;
+    for (const name of TileStore.arrayNames) {
+      if (!indices) {
+        this[name].set(snapshot.arrays[name]);
+        continue;
+      }
+      const target = this[name];
+      const values = snapshot.arrays[name];
+      indices.forEach((index, i) => { target[index] = values[i]; });
+    }
+  }
+
+  // Serialize for save - each array as base64 of its raw bytes
+  serialize() {
+    const arrays = {};
+    for (const name of TileStore.arrayNames) {
+      arrays[name] = TileStore.encodeArray(this[name]);
+    }
+    return { width: this.width, height: this.height, arrays };
+  }
+
+  // Deserialize from save, optionally into an existing store of the same size
+  static deserialize(data, store = new TileStore(data.width, data.height)) {
+    for (const name of TileStore.arrayNames) {
+      if (data.arrays[name] !== undefined) {
+        TileStore.decodeArray(data.arrays[name], store[name]);
+      }
+    }
+    return store;
+  }
+
+  // Base64-encode the bytes of a typed array
+  static encodeArray(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+  }
+
+  // Decode base64 bytes into an existing typed array
+  static decodeArray(encoded, target) {
+    const binary = atob(encoded);
+    const bytes = new Uint8Array(target.buffer, target.byteOffset, target.byteLength);
+    const length = Math.min(binary.length, bytes.length);
+    for (let i = 0; i < length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+  }
+}
+
+// Define Tile accessors that read and write the store
+function defineTileAccessors(TileClass) {
+  // Write a layout field's raw value, reporting it if it changes
+  // layoutOf maps values that connect the same way to one value
+  const writeLayout = (tile, array, value, layoutOf = (v) => v) => {
+    const changed = layoutOf(array[tile.index]) !== layoutOf(value);
+    array[tile.index] = value;
+    if (changed && tile.store.onLayoutChange) tile.store.onLayoutChange(tile.index);
+  };
+  const layoutType = (type) => TILE_LAYOUT_TYPES[type] ?? type;
+
+  for (const field of Object.keys(TILE_NUMBER_FIELDS)) {
+    if (field === 'buildingId') continue;
+    const set = field === 'type' ?
+      function(value) { writeLayout(this, this.store.type, value, layoutType); } :
+      TILE_LAYOUT_FIELDS.includes(field) ?
+      function(value) { writeLayout(this, this.store[field], value); } :
+      function(value) { this.store[field][this.index] = value; };
+    Object.defineProperty(TileClass.prototype, field, {
+      get() { return this.store[field][this.index]; },
+      set,
+      enumerable: true
+    });
+  }
+
+  // Building ids read as null when unset, as before
+  Object.defineProperty(TileClass.prototype, 'buildingId', {
+    get() { return this.store.buildingId[this.index] || null; },
+    set(value) { writeLayout(this, this.store.buildingId, value || 0); },
+    enumerable: true
+  });
+
+  for (const [field, values] of Object.entries(TILE_ENUM_FIELDS)) {
+    Object.defineProperty(TileClass.prototype, field, {
+      get() { return values[this.store[field][this.index]]; },
+      set(value) { this.store[field][this.index] = Math.max(0, values.indexOf(value ?? null)); },
+      enumerable: true
+    });
+  }
+
+  for (const [field, bit] of Object.entries(TILE_FLAGS)) {
+    const isLayout = TILE_LAYOUT_FIELDS.includes(field);
+    Object.defineProperty(TileClass.prototype, field, {
+      get() { return (this.store.flags[this.index] & bit) !== 0; },
+      set(value) {
+        const flags = this.store.flags;
+        const next = value ? flags[this.index] | bit : flags[this.index] & ~bit;
+        if (isLayout) {
+          writeLayout(this, flags, next);
+        } else {
+          flags[this.index] = next;
+        }
+      },
+      enumerable: true
+    });
+  }
+}
@@ -0,0 +1,131 @@
+// ToolStroke.js - Where a dragged tool gets applied
+// Roads, rails, power lines, subway tunnels, water pipes and road upgrades follow a
+// straight or L-shaped line from where the drag started to where it ends
+// (along the longer side first). Zone tools fill the dragged rectangle with a grid of zones, and the
+// bulldozer and park tools cover every tile of it. Other tools are placed once, at the end.
+// Game uses this for the ghost preview and its cost; SimulationSession uses
+// it to apply the stroke when the mouse is released.
+
+class ToolStroke {
+  constructor(city) {
+    this.city = city;
+  }
+
+  // Check if a tool is drawn as a line
+  static isLineTool(tool) {
+    return tool === 'road' || tool === 'road-upgrade' || tool === 'rail' || tool === 'power-line' ||
+      tool === 'subway' || tool === 'water-pipe';
+  }
+
+  // Check if a tool fills a dragged rectangle
+  static isAreaTool(tool) {
+    return ToolStroke.isZoneTool(tool) || tool === 'bulldozer' || tool === 'park';
+  }
+
+  // Check if a tool is a zone
+  static isZoneTool(tool) {
+    return tool === 'residential' || tool === 'commercial' || tool === 'industrial';
+  }
+
+  // Get the top-left tiles a stroke applies its tool at, in order
+  // stroke: { tool, x0, y0, x1, y1 } - (x0, y0) is where the drag started
+  getPlacements(stroke) {
+    const { tool, x0, y0, x1, y1 } = stroke;
+
+    if (ToolStroke.isLineTool(tool)) return this.getLineTiles(x0, y0, x1, y1);
+    if (ToolStroke.isZoneTool(tool)) return this.getGridTiles(x0, y0, x1, y1, GAME_CONSTANTS.ZONE_SIZE);
+    if (ToolStroke.isAreaTool(tool)) return this.getGridTiles(x0, y0, x1, y1, 1);
+    return [{ x: x1, y: y1 }];
+  }
+
+  // Tiles of a line from (x0, y0) to (x1, y1), turning once if it isn't straight
+  getLineTiles(x0, y0, x1, y1) {
+    const tiles = [];
+    const stepX = Math.sign(x1 - x0);
+    const stepY = Math.sign(y1 - y0);
+
+    if (Math.abs(x1 - x0) >= Math.abs(y1 - y0)) {
+      for (let x = x0; x !== x1; x += stepX) tiles.push({ x, y: y0 });
+      for (let y = y0; y !== y1; y += stepY) tiles.push({ x: x1, y });
+    } else {
+      for (let y = y0; y !== y1; y += stepY) tiles.push({ x: x0, y });
+      for (let x = x0; x !== x1; x += stepX) tiles.push({ x, y: y1 });
+    }
+    tiles.push({ x: x1, y: y1 });
+    return tiles;
+  }
+
+  // Top-left tiles of a grid of size x size footprints starting at (x0, y0)
+  // and reaching towards (x1, y1)
+  getGridTiles(x0, y0, x1, y1, size) {
+    const tiles = [];
+    const stepX = x1 < x0 ? -size : size;
+    const stepY = y1 < y0 ? -size : size;
+    const columns = Math.floor(Math.abs(x1 - x0) / size) + 1;
+    const rows = Math.floor(Math.abs(y1 - y0) / size) + 1;
+
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        tiles.push({ x: x0 + column * stepX, y: y0 + row * stepY });
+      }
+    }
+    return tiles;
+  }
+
+  // Work out which placements would succeed and what they would cost,
+  // without changing the city. Returns { placements: [{ x, y, width, height, valid }], cost }
+  // A bridge or tunnel tile counts if the line reaches it straight out from a
+  // tile the stroke itself builds, since that tile will be there by the time it's built.
+  preview(stroke, free = false) {
+    const { tool } = stroke;
+    const size = this.getFootprint(tool);
+    const cleared = new Set(); // Buildings the bulldozer has already counted
+    const placements = [];
+    let cost = 0;
+    let last = null;     // Previous placement...
+    let lastStep = null; // ...and the step the line took to reach it
+    let span = 0;        // Water tiles bridged or tunnelled in a row so far
+
+    for (const { x, y } of this.getPlacements(stroke)) {
+      const step = last && { dx: x - last.x, dy: y - last.y };
+      const water = this.city.getTile(x, y)?.isWater();
+      let valid = this.city.canUseTool(tool, x, y);
+      let tunnel = false; // Tunnelled under water the city doesn't know is crossed yet
+
+      if (!valid && water && last?.valid) {
+        const straight = span === 0 || (step.dx === lastStep.dx && step.dy === lastStep.dy);
+        const crossing = span + this.city.getWaterAhead(x, y, step.dx, step.dy);
+        if (TUNNEL_COSTS[tool] && this.city.isTunnelCrossing(crossing)) {
+          valid = tunnel = straight;
+        } else if (BRIDGE_COSTS[tool]) {
+          valid = straight && span < BRIDGE_MAX_SPAN;
+        }
+      }
+
+      if (valid && tool === 'bulldozer') {
+        const buildingId = this.city.getTile(x, y).buildingId;
+        if (buildingId) {
+          valid = !cleared.has(buildingId);
+          cleared.add(buildingId);
+        }
+      }
+
+      span = valid && water ? span + 1 : 0;
+      if (valid && !free) cost += tunnel ? TUNNEL_COSTS[tool] : this.city.getToolCost(tool, x, y);
+
+      last = { x, y, width: size.width, height: size.height, valid };
+      lastStep = step;
+      placements.push(last);
+    }
+
+    return { placements, cost };
+  }
+
+  // Size of the area a tool covers
+  getFootprint(tool) {
+    if (ToolStroke.isZoneTool(tool)) {
+      return { width: GAME_CONSTANTS.ZONE_SIZE, height: GAME_CONSTANTS.ZONE_SIZE };
+    }
+    return GAME_CONSTANTS.BUILDING_SIZES[tool] || { width: 1, height: 1 };
+  }
+}
@@ -0,0 +1,340 @@
+// TripGenerator.js - Trip-based traffic
+// Every residential zone with road access sends its commuters to the nearest
+// job zone (commercial or industrial) over roads and rails. Routes are found
+// with a shortest-path search where busy roads cost more, using last run's
+// traffic, so jammed routes push later trips onto alternatives. Bigger road
+// classes (ROAD_CLASSES) take more traffic before they jam, and highways are
+// quicker to drive. Each trip adds load to the road and rail tiles it crosses.
+// A zone whose trip finds no job zone within TRAFFIC_CONSTANTS.MAX_TRIP_COST
+// is marked tripFailed.
+//
+// Rail is the cheaper way to travel and never jams, so commuters who can reach
+// a line - from track running alongside their zone, or by road to where the
+// track crosses it - ride it instead of driving, taking their load off the
+// roads next to it. On rail tiles the traffic field counts riders.
+//
+// Bus stops and subway stations each serve the tiles within their radius
+// (TRANSIT_CONSTANTS). A share of a zone's commuters take the bus when stops
+// cover both ends of their trip, and the subway when stations on the same
+// tunnel network do. Subway riders leave the roads entirely; buses still add
+// a little traffic. On subway stations the traffic field counts riders
+// boarding there.
+
+class TripGenerator {
+  constructor(city, random) {
+    this.city = city;
+    this.random = random;
+
+    const size = city.width * city.height;
+    this.cost = new Uint8Array(size);        // Travel cost per transit tile (0 = not transit)
+    this.destination = new Uint8Array(size); // 1 where a transit tile touches a job zone
+    this.distance = new Uint16Array(size);
+    this.previous = new Int32Array(size);
+    this.searchId = new Uint32Array(size);   // Search that last reached each tile
+    this.currentSearch = 0;
+
+    this.busCoverage = new Uint8Array(size);     // 1 where a bus stop is in reach
+    this.stationCoverage = new Int32Array(size); // Index + 1 of a subway station in reach
+    this.subwayNetwork = new Uint16Array(size);  // Tunnel network (from 1) of each tunnel tile
+  }
+
+  // Route every residential zone's commuters and lay down the traffic
+  // Returns totals for Simulation.stats
+  run() {
+    const store = this.city.tileStore;
+    this.prepareNetwork();
+    this.prepareTransit();
+    store.traffic.fill(0);
+    for (let i = 0; i < store.size; i++) {
+      store.flags[i] &= ~TILE_FLAGS.tripFailed;
+    }
+
+    const zones = this.getResidentialZones();
+    let trips = 0;
+    let railTrips = 0;
+    let transitTrips = 0;
+    let busRiders = 0;
+    let subwayRiders = 0;
+    let failedTrips = 0;
+    let totalCost = 0;
+
+    for (const index of zones) {
+      const route = this.findRoute(index);
+      trips++;
+
+      if (!route) {
+        failedTrips++;
+        store.flags[index] |= TILE_FLAGS.tripFailed;
+        store.commute[index] = 0;
+        continue;
+      }
+
+      store.commute[index] = route.cost;
+      totalCost += route.cost;
+
+      // Bus and subway riders take their share off the roads
+      const population = store.population[index];
+      const riders = this.getTransitRiders(index, route.end, population);
+      const carLoad = population - riders.bus - riders.subway + riders.bus * TRANSIT_CONSTANTS.BUS_LOAD;
+      const usedRail = this.addLoad(route.end, Math.ceil(carLoad / TRAFFIC_CONSTANTS.RESIDENTS_PER_TRAFFIC));
+      if (usedRail) railTrips++;
+      if (usedRail || riders.bus || riders.subway) transitTrips++;
+
+      busRiders += riders.bus;
+      subwayRiders += riders.subway;
+      if (riders.subway) {
+        const station = riders.station;
+        store.traffic[station] = Math.min(255,
+          store.traffic[station] + Math.ceil(riders.subway / TRAFFIC_CONSTANTS.RESIDENTS_PER_TRAFFIC));
+      }
+    }
+
+    return {
+      trips,
+      railTrips,
+      transitTrips,
+      busRiders,
+      subwayRiders,
+      failedTrips,
+      averageCommute: trips > failedTrips ? totalCost / (trips - failedTrips) : 0
+    };
+  }
+
+  // Work out travel costs from the current traffic and find the tiles that
+  // lead into a job zone
+  prepareNetwork() {
+    const { type, traffic, roadClass, buildingId, size } = this.city.tileStore;
+    const { RAIL_COST, CONGESTION_COST } = TRAFFIC_CONSTANTS;
+    const { width, height } = this.city;
+
+    this.destination.fill(0);
+    for (let i = 0; i < size; i++) {
+      if (type[i] === TILE_TYPES.ROAD) {
+        const { travelCost, capacity } = ROAD_CLASSES[roadClass[i]];
+        this.cost[i] = travelCost + Math.round(CONGESTION_COST * Math.min(1, traffic[i] / capacity));
+      } else if (type[i] === TILE_TYPES.RAIL) {
+        this.cost[i] = RAIL_COST;
+      } else {
+        this.cost[i] = 0;
+      }
+    }
+
+    const markDestination = (i) => {
+      if (this.cost[i]) this.destination[i] = 1;
+    };
+    for (let i = 0; i < size; i++) {
+      if (!this.isJobTile(type[i], buildingId[i])) continue;
+      const x = i % width;
+      if (x > 0) markDestination(i - 1);
+      if (x < width - 1) markDestination(i + 1);
+      if (i >= width) markDestination(i - width);
+      if (i < width * (height - 1)) markDestination(i + width);
+    }
+  }
+
+  // Mark the tiles bus stops and subway stations serve, and number the tunnel
+  // networks so a trip only rides the subway between connected stations
+  prepareTransit() {
+    const { type, flags, size } = this.city.tileStore;
+    const { BUS_RADIUS, SUBWAY_RADIUS } = TRANSIT_CONSTANTS;
+
+    this.busCoverage.fill(0);
+    this.stationCoverage.fill(0);
+    this.subwayNetwork.fill(0);
+
+    let networks = 0;
+    for (let i = 0; i < size; i++) {
+      if ((flags[i] & TILE_FLAGS.subway) && !this.subwayNetwork[i]) {
+        this.labelSubwayNetwork(i, ++networks);
+      }
+    }
+
+    for (let i = 0; i < size; i++) {
+      if ((flags[i] & TILE_FLAGS.busStop) && type[i] === TILE_TYPES.ROAD) {
+        this.cover(i, BUS_RADIUS, (index) => { this.busCoverage[index] = 1; });
+      } else if (type[i] === TILE_TYPES.SUBWAY_STATION) {
+        // Where stations overlap, the first one found serves the tile
+        this.cover(i, SUBWAY_RADIUS, (index) => { this.stationCoverage[index] ||= i + 1; });
+      }
+    }
+  }
+
+  // Give every tunnel tile connected to start the same network number
+  labelSubwayNetwork(start, network) {
+    const { flags } = this.city.tileStore;
+    const { width, height } = this.city;
+    const stack = [start];
+    this.subwayNetwork[start] = network;
+
+    const visit = (next) => {
+      if ((flags[next] & TILE_FLAGS.subway) && !this.subwayNetwork[next]) {
+        this.subwayNetwork[next] = network;
+        stack.push(next);
+      }
+    };
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const x = index % width;
+      if (x > 0) visit(index - 1);
+      if (x < width - 1) visit(index + 1);
+      if (index >= width) visit(index - width);
+      if (index < width * (height - 1)) visit(index + width);
+    }
+  }
+
+  // Call fn(index) for every tile within radius of center
+  cover(center, radius, fn) {
+    const { width, height } = this.city;
+    const cx = center % width;
+    const cy = Math.floor(center / width);
+    for (let y = Math.max(0, cy - radius); y <= Math.min(height - 1, cy + radius); y++) {
+      for (let x = Math.max(0, cx - radius); x <= Math.min(width - 1, cx + radius); x++) {
+        const dx = x - cx;
+        const dy = y - cy;
+        if (dx * dx + dy * dy <= radius * radius) fn(y * width + x);
+      }
+    }
+  }
+
+  // How many of a zone's commuters take the bus and the subway to the job
+  // zone their route ends beside. The subway needs a different station at each
+  // end; its riders are counted first, and the bus takes its share of the rest.
+  // Returns { bus, subway, station }.
+  getTransitRiders(zoneIndex, end, population) {
+    const store = this.city.tileStore;
+    const { width } = this.city;
+    const { BUS_SHARE, SUBWAY_SHARE } = TRANSIT_CONSTANTS;
+    const origin = zoneIndex + Math.floor(store.buildingHeight[zoneIndex] / 2) * width +
+      Math.floor(store.buildingWidth[zoneIndex] / 2);
+
+    let subway = 0;
+    const from = this.stationCoverage[origin] - 1;
+    const to = this.stationCoverage[end] - 1;
+    if (from >= 0 && to >= 0 && from !== to && this.subwayNetwork[from] === this.subwayNetwork[to]) {
+      subway = Math.round(population * SUBWAY_SHARE);
+    }
+
+    let bus = 0;
+    if (this.busCoverage[origin] && this.busCoverage[end]) {
+      bus = Math.round((population - subway) * BUS_SHARE);
+    }
+
+    return { bus, subway, station: from };
+  }
+
+  // Commercial and industrial zones, developed or not, are trip destinations
+  isJobTile(type, buildingId) {
+    return buildingId !== 0 && (
+      type === TILE_TYPES.ZONE_COMMERCIAL || type === TILE_TYPES.BUILDING_COMMERCIAL ||
+      type === TILE_TYPES.ZONE_INDUSTRIAL || type === TILE_TYPES.BUILDING_INDUSTRIAL
+    );
+  }
+
+  // Main tiles of residential zones with road access, in random order so no
+  // corner of the map always gets the emptiest roads
+  getResidentialZones() {
+    const { type, flags, size } = this.city.tileStore;
+    const zones = [];
+
+    // Zones cut off from the roads make no trips at all
+    for (let i = 0; i < size; i++) {
+      if ((flags[i] & TILE_FLAGS.isMainTile) && (flags[i] & TILE_FLAGS.roadAccess) &&
+          (type[i] === TILE_TYPES.ZONE_RESIDENTIAL || type[i] === TILE_TYPES.BUILDING_RESIDENTIAL)) {
+        zones.push(i);
+      }
+    }
+
+    for (let i = zones.length - 1; i > 0; i--) {
+      const j = this.random.nextInt(i + 1);
+      [zones[i], zones[j]] = [zones[j], zones[i]];
+    }
+    return zones;
+  }
+
+  // Transit tiles around a zone's edge, where its trips start
+  getStartTiles(index) {
+    const store = this.city.tileStore;
+    const { width, height } = this.city;
+    const x0 = index % width;
+    const y0 = Math.floor(index / width);
+    const w = store.buildingWidth[index];
+    const h = store.buildingHeight[index];
+    const starts = [];
+
+    const add = (x, y) => {
+      if (x >= 0 && x < width && y >= 0 && y < height && this.cost[y * width + x]) {
+        starts.push(y * width + x);
+      }
+    };
+    for (let dx = 0; dx < w; dx++) {
+      add(x0 + dx, y0 - 1);
+      add(x0 + dx, y0 + h);
+    }
+    for (let dy = 0; dy < h; dy++) {
+      add(x0 - 1, y0 + dy);
+      add(x0 + w, y0 + dy);
+    }
+    return starts;
+  }
+
+  // Cheapest route from a zone to the nearest job zone
+  // Costs are small integers, so the search keeps one bucket per cost
+  // instead of a priority queue. Returns { end, cost } or null.
+  findRoute(zoneIndex) {
+    const maxCost = TRAFFIC_CONSTANTS.MAX_TRIP_COST;
+    const search = ++this.currentSearch;
+    const buckets = [];
+    const { width, height } = this.city;
+
+    // Step onto a tile if this is the cheapest way there so far
+    const visit = (next, cost, from) => {
+      const step = this.cost[next];
+      if (!step) return;
+      const nextCost = cost + step;
+      if (nextCost > maxCost) return;
+      if (this.searchId[next] === search && this.distance[next] <= nextCost) return;
+
+      this.searchId[next] = search;
+      this.distance[next] = nextCost;
+      this.previous[next] = from;
+      (buckets[nextCost] ||= []).push(next);
+    };
+
+    for (const start of this.getStartTiles(zoneIndex)) {
+      visit(start, 0, -1);
+    }
+
+    for (let cost = 0; cost <= maxCost; cost++) {
+      const bucket = buckets[cost];
+      if (!bucket) continue;
+
+      for (let b = 0; b < bucket.length; b++) {
+        const index = bucket[b];
+        if (this.distance[index] !== cost) continue; // Reached more cheaply since
+
+        if (this.destination[index]) {
+          return { end: index, cost };
+        }
+
+        const x = index % width;
+        if (x > 0) visit(index - 1, cost, index);
+        if (x < width - 1) visit(index + 1, cost, index);
+        if (index >= width) visit(index - width, cost, index);
+        if (index < width * (height - 1)) visit(index + width, cost, index);
+      }
+    }
+    return null;
+  }
+
+  // Add a trip's load to every tile of the route ending at end
+  // Returns true if the route rides any rail
+  addLoad(end, load) {
+    const { traffic, type } = this.city.tileStore;
+    let usedRail = false;
+    for (let index = end; index !== -1; index = this.previous[index]) {
+      traffic[index] = Math.min(255, traffic[index] + load);
+      if (type[index] === TILE_TYPES.RAIL) usedRail = true;
+    }
+    return usedRail;
+  }
+}
@@ -15,9 +15,8 @@ class Camera {
     this.lastMouseX = 0;
     this.lastMouseY = 0;
 
-    // Bounds
-    this.mapWidth = GAME_CONSTANTS.MAP_WIDTH * this.tileSize;
-    this.mapHeight = GAME_CONSTANTS.MAP_HEIGHT * this.tileSize;
+    // Bounds (map size in tiles and in unzoomed pixels)
+    this.setMapSize(GAME_CONSTANTS.MAP_WIDTH, GAME_CONSTANTS.MAP_HEIGHT);
 
     this.setupEventListeners();
   }
@@ -115,6 +114,14 @@ class Camera {
     });
   }
 
+  // Set the size of the map being viewed (in tiles)
+  setMapSize(tilesWide, tilesHigh) {
+    this.tilesWide = tilesWide;
+    this.tilesHigh = tilesHigh;
+    this.mapWidth = tilesWide * this.tileSize;
+    this.mapHeight = tilesHigh * this.tileSize;
+  }
+
   // Clamp camera position to keep map in view
   clampPosition() {
     const scaledMapWidth = this.mapWidth * this.zoom;
@@ -185,8 +192,8 @@ class Camera {
     return {
       minX: Math.max(0, topLeft.x - 1),
       minY: Math.max(0, topLeft.y - 1),
-      maxX: Math.min(GAME_CONSTANTS.MAP_WIDTH - 1, bottomRight.x + 1),
-      maxY: Math.min(GAME_CONSTANTS.MAP_HEIGHT - 1, bottomRight.y + 1)
+      maxX: Math.min(this.tilesWide - 1, bottomRight.x + 1),
+      maxY: Math.min(this.tilesHigh - 1, bottomRight.y + 1)
     };
   }
 
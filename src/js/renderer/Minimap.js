@@ -1,17 +1,23 @@
 // Minimap.js - Mini-map rendering
 
 class Minimap {
+  // mainCamera may be null for a static preview (no viewport or navigation)
   constructor(canvas, city, mainCamera) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
-    this.city = city;
     this.mainCamera = mainCamera;
 
-    // Minimap scale (pixels per tile)
-    this.scale = Math.min(
-      canvas.width / city.width,
-      canvas.height / city.height
-    );
+    // Tiles are drawn one pixel each into an offscreen buffer, which is then
+    // scaled onto the minimap - this keeps large maps cheap to draw
+    this.buffer = document.createElement('canvas');
+    this.bufferCtx = this.buffer.getContext('2d');
+    this.colorCache = new Map(); // '#RRGGBB' -> [r, g, b]
+
+    // Only redraw the tiles every few frames; the viewport updates every frame
+    this.frame = 0;
+    this.redrawInterval = 15;
+
+    this.setCity(city);
 
     // Click to navigate
     this.canvas.addEventListener('click', (e) => this.onClick(e));
@@ -22,35 +28,74 @@ class Minimap {
     this.isDragging = false;
   }
 
+  // Switch to a different city and fit it to the minimap
+  setCity(city) {
+    this.city = city;
+
+    // Minimap scale (pixels per tile) - below 1 for maps larger than the canvas
+    this.scale = Math.min(
+      this.canvas.width / city.width,
+      this.canvas.height / city.height
+    );
+
+    this.buffer.width = city.width;
+    this.buffer.height = city.height;
+    this.imageData = this.bufferCtx.createImageData(city.width, city.height);
+    this.frame = 0;
+  }
+
   // Render the minimap
   render() {
     const ctx = this.ctx;
     const city = this.city;
-    const scale = this.scale;
+
+    if (this.frame % this.redrawInterval === 0) {
+      this.drawTiles();
+    }
+    this.frame++;
 
     // Clear
     ctx.fillStyle = '#000';
     ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
     // Draw tiles
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(this.buffer, 0, 0, city.width * this.scale, city.height * this.scale);
+
+    // Draw viewport rectangle
+    if (this.mainCamera) {
+      this.drawViewport();
+    }
+  }
+
+  // Draw every tile as one pixel of the offscreen buffer
+  drawTiles() {
+    const city = this.city;
+    const pixels = this.imageData.data;
+
     for (let y = 0; y < city.height; y++) {
       for (let x = 0; x < city.width; x++) {
-        const tile = city.getTile(x, y);
-        if (!tile) continue;
-
-        const color = this.getTileColor(tile);
-        ctx.fillStyle = color;
-        ctx.fillRect(
-          x * scale,
-          y * scale,
-          Math.max(1, scale),
-          Math.max(1, scale)
-        );
+        const [r, g, b] = this.parseColor(this.getTileColor(city.tiles[y][x]));
+        const offset = (y * city.width + x) * 4;
+        pixels[offset] = r;
+        pixels[offset + 1] = g;
+        pixels[offset + 2] = b;
+        pixels[offset + 3] = 255;
       }
     }
 
-    // Draw viewport rectangle
-    this.drawViewport();
+    this.bufferCtx.putImageData(this.imageData, 0, 0);
+  }
+
+  // Convert a '#RRGGBB' color to [r, g, b]
+  parseColor(color) {
+    let rgb = this.colorCache.get(color);
+    if (!rgb) {
+      const value = parseInt(color.slice(1), 16);
+      rgb = [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+      this.colorCache.set(color, rgb);
+    }
+    return rgb;
   }
 
   // Get color for minimap tile
@@ -85,6 +130,8 @@ class Minimap {
     if (tile.isPowerPlant()) return '#FF4500';
     if (tile.type === TILE_TYPES.POLICE) return '#4169E1';
     if (tile.type === TILE_TYPES.FIRE) return '#FF4500';
+    if (tile.type === TILE_TYPES.SUBWAY_STATION) return TILE_COLORS[TILE_TYPES.SUBWAY_STATION];
+    if (tile.isWaterWorks()) return TILE_COLORS[tile.type];
     if (tile.isSpecialBuilding()) return '#DEB887';
 
     return '#90A060'; // Default grass
@@ -112,6 +159,8 @@ class Minimap {
 
   // Handle click to navigate
   onClick(e) {
+    if (!this.mainCamera) return;
+
     const rect = this.canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
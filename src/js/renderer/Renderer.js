@@ -8,16 +8,24 @@ class Renderer {
     this.simulation = null; // Set by Game.js for disaster rendering
 
     this.camera = new Camera(canvas);
+    this.camera.setMapSize(city.width, city.height);
     this.sprites = new TileSprites();
 
     // Overlay mode
-    this.overlay = null; // null, 'power', 'traffic', 'pollution', 'crime', 'landvalue'
+    this.overlay = null; // null, 'power', 'water', 'traffic', 'rail', 'transit', 'pollution', 'crime', 'landvalue'
+
+    // Underground view - shows water pipes and subway tunnels instead of the surface
+    this.undergroundView = false;
 
     // Selection/preview
     this.previewTool = null;
     this.previewX = -1;
     this.previewY = -1;
     this.previewValid = false;
+    this.previewTiles = null; // Tile indices to highlight instead of the tool footprint
+    this.previewPlacements = null; // Footprints of a dragged line or rectangle
+    this.previewCost = 0;
+    this.previewAffordable = true;
 
     // Grid display
     this.showGrid = false;
@@ -40,12 +48,30 @@ class Renderer {
     this.camera.clampPosition();
   }
 
+  // Switch to a different city (new, loaded or scenario)
+  setCity(city) {
+    this.city = city;
+    this.camera.setMapSize(city.width, city.height);
+    this.camera.clampPosition();
+  }
+
   // Set the current tool preview
-  setPreview(tool, x, y, valid) {
+  // tiles optionally lists the tile indices to highlight (map editor strokes)
+  setPreview(tool, x, y, valid, tiles = null) {
     this.previewTool = tool;
     this.previewX = x;
     this.previewY = y;
     this.previewValid = valid;
+    this.previewTiles = tiles;
+    this.previewPlacements = null;
+  }
+
+  // Set the ghost preview of a dragged line or rectangle (see ToolStroke.preview)
+  setStrokePreview(tool, x, y, placements, cost, affordable) {
+    this.setPreview(tool, x, y, placements.some(p => p.valid));
+    this.previewPlacements = placements;
+    this.previewCost = cost;
+    this.previewAffordable = affordable;
   }
 
   // Clear preview
@@ -53,6 +79,8 @@ class Renderer {
     this.previewTool = null;
     this.previewX = -1;
     this.previewY = -1;
+    this.previewTiles = null;
+    this.previewPlacements = null;
   }
 
   // Set overlay mode
@@ -60,6 +88,11 @@ class Renderer {
     this.overlay = overlay;
   }
 
+  // Show or hide the underground view
+  setUndergroundView(enabled) {
+    this.undergroundView = enabled;
+  }
+
   // Main render loop
   render() {
     // Clear canvas
@@ -79,10 +112,29 @@ class Renderer {
 
         const screenPos = this.camera.tileToScreen(x, y);
 
+        if (this.undergroundView) {
+          this.drawUnderground(tile, x, y, screenPos.x, screenPos.y, tileSize);
+          if (this.overlay) {
+            this.drawOverlay(tile, screenPos.x, screenPos.y, tileSize);
+          }
+          continue;
+        }
+
+        // Bridges are drawn over the water they cross
+        if (tile.bridge) {
+          this.sprites.drawAnimatedWater(this.ctx, screenPos.x, screenPos.y, scale, this.animFrame);
+        }
+
         // Draw tile with animations for certain types
-        if (tile.type === TILE_TYPES.WATER) {
-          // Animated water
+        if (tile.tunnel) {
+          // Tunnels run under the water, which is drawn over them
           this.sprites.drawAnimatedWater(this.ctx, screenPos.x, screenPos.y, scale, this.animFrame);
+          this.sprites.drawShore(this.ctx, this.city, x, y, screenPos.x, screenPos.y, scale);
+          this.sprites.drawTunnel(this.ctx, this.city, x, y, screenPos.x, screenPos.y, scale);
+        } else if (tile.type === TILE_TYPES.WATER) {
+          // Animated water, with a beach where it meets land
+          this.sprites.drawAnimatedWater(this.ctx, screenPos.x, screenPos.y, scale, this.animFrame);
+          this.sprites.drawShore(this.ctx, this.city, x, y, screenPos.x, screenPos.y, scale);
         } else if (tile.isBurning && tile.isBurning()) {
           // Animated fire
           this.sprites.drawAnimatedFire(this.ctx, screenPos.x, screenPos.y, scale, this.animFrame);
@@ -93,11 +145,17 @@ class Renderer {
             x, y,
             screenPos.x,
             screenPos.y,
-            scale
+            scale,
+            tile.bridge,
+            tile.roadClass
           );
           // Draw power line crossover on top of road if present
           if (tile.powerLineCrossover) {
-            this.sprites.drawPowerLineCrossover(this.ctx, screenPos.x, screenPos.y, scale);
+            this.sprites.drawPowerLineCrossover(this.ctx, screenPos.x, screenPos.y, scale,
+              this.sprites.isVerticalPowerRun(this.city, x, y));
+          }
+          if (tile.busStop) {
+            this.sprites.drawBusStop(this.ctx, screenPos.x, screenPos.y, scale);
           }
           // Draw traffic animation for busy roads
           if (tile.traffic > 50) {
@@ -112,15 +170,25 @@ class Renderer {
             screenPos.x,
             screenPos.y,
             scale,
-            tile.powerLineCrossover
+            tile.powerLineCrossover,
+            tile.bridge
           );
+        } else if (tile.bridge) {
+          this.sprites.drawPowerLineBridge(this.ctx, this.city, x, y, screenPos.x, screenPos.y, scale);
+        } else if (tile.isPowerLine()) {
+          this.sprites.drawPowerLineConnected(this.ctx, this.city, x, y, screenPos.x, screenPos.y, scale);
         } else {
           this.sprites.drawTile(this.ctx, tile, screenPos.x, screenPos.y, scale);
         }
 
+        // Tunnel mouths where a road or rail on land dives under the water
+        if ((tile.isRoad() || tile.isRail()) && !tile.tunnel && !tile.bridge) {
+          this.sprites.drawTunnelPortals(this.ctx, this.city, x, y, screenPos.x, screenPos.y, scale);
+        }
+
         // Draw smoke for industrial and power plants
         if (tile.isMainTile) {
-          if (tile.type === TILE_TYPES.COAL_POWER) {
+          if (tile.type === TILE_TYPES.COAL_POWER || tile.type === TILE_TYPES.OIL_POWER) {
             this.sprites.drawSmoke(this.ctx, screenPos.x, screenPos.y, scale, this.animFrame, 2);
           } else if (tile.isIndustrial() && tile.isBuilding() && tile.level >= 2) {
             this.sprites.drawSmoke(this.ctx, screenPos.x, screenPos.y, scale, this.animFrame, 1);
@@ -134,6 +202,11 @@ class Renderer {
       }
     }
 
+    // Show how far bus stops and subway stations reach
+    if (this.overlay === 'transit') {
+      this.drawTransitCoverage(bounds, tileSize);
+    }
+
     // Draw grid if enabled
     if (this.showGrid && scale >= 0.5) {
       this.drawGrid(bounds, tileSize);
@@ -191,6 +264,50 @@ class Renderer {
     }
   }
 
+  // Draw a tile as seen underground: earth with the pipes and tunnels running
+  // through it, and the pumps and towers that feed the pipes
+  drawUnderground(tile, x, y, screenX, screenY, size) {
+    if (tile.isWater()) {
+      this.ctx.fillStyle = '#1B2F4A';
+      this.ctx.fillRect(screenX, screenY, size, size);
+      return;
+    }
+    if (tile.isWaterWorks()) {
+      this.sprites.drawTile(this.ctx, tile, screenX, screenY, this.camera.zoom);
+      return;
+    }
+
+    this.ctx.fillStyle = '#4A3624';
+    this.ctx.fillRect(screenX, screenY, size, size);
+
+    // Faint footprints of what is built above, to find your way around
+    if (!tile.isEmpty()) {
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+      this.ctx.fillRect(screenX, screenY, size, size);
+    }
+
+    if (tile.subway) {
+      this.ctx.fillStyle = 'rgba(106, 61, 154, 0.8)';
+      this.ctx.fillRect(screenX + size * 0.15, screenY + size * 0.15, size * 0.7, size * 0.7);
+    }
+
+    // Pipes join up with the pipes, pumps and towers beside them, coloured
+    // blue with water, orange running short and grey dry
+    if (tile.waterPipe) {
+      this.ctx.fillStyle = {
+        [WATER_STATES.SUPPLIED]: '#4FC3F7',
+        [WATER_STATES.SHORTAGE]: '#FF9800'
+      }[tile.waterState] || '#9E9E9E';
+      const width = Math.max(2, size * 0.25);
+      const middle = (size - width) / 2;
+      this.ctx.fillRect(screenX + middle, screenY + middle, width, width);
+      if (this.city.getTile(x, y - 1)?.carriesWater()) this.ctx.fillRect(screenX + middle, screenY, width, middle);
+      if (this.city.getTile(x, y + 1)?.carriesWater()) this.ctx.fillRect(screenX + middle, screenY + middle + width, width, size - middle - width);
+      if (this.city.getTile(x - 1, y)?.carriesWater()) this.ctx.fillRect(screenX, screenY + middle, middle, width);
+      if (this.city.getTile(x + 1, y)?.carriesWater()) this.ctx.fillRect(screenX + middle + width, screenY + middle, size - middle - width, width);
+    }
+  }
+
   // Draw overlay for a tile
   drawOverlay(tile, screenX, screenY, size) {
     let value = 0;
@@ -198,15 +315,36 @@ class Renderer {
 
     switch (this.overlay) {
       case 'power':
-        if (tile.conductsPower() || tile.isPowerPlant()) {
-          color = tile.powered ? 'rgba(0, 255, 0, 0.4)' : 'rgba(255, 0, 0, 0.4)';
+        // Green powered, orange shed in a brownout, purple on a grid with no
+        // plant, red not wired to anything
+        if (tile.powerState !== POWER_STATES.NONE) {
+          color = {
+            [POWER_STATES.POWERED]: 'rgba(0, 255, 0, 0.4)',
+            [POWER_STATES.BROWNOUT]: 'rgba(255, 136, 0, 0.5)',
+            [POWER_STATES.DISCONNECTED]: 'rgba(160, 0, 255, 0.4)',
+            [POWER_STATES.UNPOWERED]: 'rgba(255, 0, 0, 0.4)'
+          }[tile.powerState];
+          this.ctx.fillStyle = color;
+          this.ctx.fillRect(screenX, screenY, size, size);
+        }
+        break;
+
+      case 'water':
+        // Blue with water, orange on a network running short, red dry
+        if (tile.waterState !== WATER_STATES.NONE) {
+          color = {
+            [WATER_STATES.SUPPLIED]: 'rgba(0, 136, 255, 0.4)',
+            [WATER_STATES.SHORTAGE]: 'rgba(255, 136, 0, 0.5)',
+            [WATER_STATES.DRY]: 'rgba(255, 0, 0, 0.4)'
+          }[tile.waterState];
           this.ctx.fillStyle = color;
           this.ctx.fillRect(screenX, screenY, size, size);
         }
         break;
 
       case 'traffic':
-        value = tile.traffic / 255;
+        // Load against each road's capacity, so a busy highway can still run freely
+        value = tile.isRoad() ? Math.min(1, tile.traffic / ROAD_CLASSES[tile.roadClass].capacity) : 0;
         if (value > 0) {
           const r = Math.floor(255 * value);
           const g = Math.floor(255 * (1 - value));
@@ -215,6 +353,24 @@ class Renderer {
         }
         break;
 
+      case 'rail':
+        // Riders on each rail tile, grey where the track carries nobody
+        if (tile.isRail()) {
+          value = tile.traffic / 255;
+          this.ctx.fillStyle = value > 0 ?
+            `rgba(0, ${Math.floor(128 + 127 * value)}, 255, ${0.3 + value * 0.4})` : 'rgba(128, 128, 128, 0.5)';
+          this.ctx.fillRect(screenX, screenY, size, size);
+        }
+        break;
+
+      case 'transit':
+        // Tunnels underground (drawTransitCoverage adds the stops' reach)
+        if (tile.subway) {
+          this.ctx.fillStyle = 'rgba(106, 61, 154, 0.6)';
+          this.ctx.fillRect(screenX, screenY, size, size);
+        }
+        break;
+
       case 'pollution':
         value = tile.pollution / 255;
         if (value > 0) {
@@ -242,6 +398,40 @@ class Renderer {
     }
   }
 
+  // Outline the area each bus stop and subway station serves, including stops
+  // just off screen whose reach comes into view
+  drawTransitCoverage(bounds, tileSize) {
+    const { BUS_RADIUS, SUBWAY_RADIUS } = TRANSIT_CONSTANTS;
+    const reach = Math.max(BUS_RADIUS, SUBWAY_RADIUS);
+
+    this.ctx.lineWidth = 2;
+    for (let y = bounds.minY - reach; y <= bounds.maxY + reach; y++) {
+      for (let x = bounds.minX - reach; x <= bounds.maxX + reach; x++) {
+        const tile = this.city.getTile(x, y);
+        if (!tile) continue;
+
+        let radius;
+        if (tile.busStop) {
+          radius = BUS_RADIUS;
+          this.ctx.fillStyle = 'rgba(255, 204, 0, 0.12)';
+          this.ctx.strokeStyle = 'rgba(255, 204, 0, 0.8)';
+        } else if (tile.type === TILE_TYPES.SUBWAY_STATION) {
+          radius = SUBWAY_RADIUS;
+          this.ctx.fillStyle = 'rgba(106, 61, 154, 0.12)';
+          this.ctx.strokeStyle = 'rgba(106, 61, 154, 0.9)';
+        } else {
+          continue;
+        }
+
+        const center = this.camera.tileToScreen(x, y);
+        this.ctx.beginPath();
+        this.ctx.arc(center.x + tileSize / 2, center.y + tileSize / 2, (radius + 0.5) * tileSize, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+      }
+    }
+  }
+
   // Draw grid lines
   drawGrid(bounds, tileSize) {
     this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
@@ -271,6 +461,15 @@ class Renderer {
     const tool = this.previewTool;
     const tileSize = this.camera.getScaledTileSize();
 
+    if (this.previewTiles) {
+      this.drawPreviewTiles(tileSize);
+      return;
+    }
+    if (this.previewPlacements) {
+      this.drawPreviewPlacements(tileSize);
+      return;
+    }
+
     // Determine preview size
     let width = 1;
     let height = 1;
@@ -306,6 +505,50 @@ class Renderer {
     );
   }
 
+  // Highlight each tile of a map editor stroke
+  drawPreviewTiles(tileSize) {
+    const { width } = this.city;
+    this.ctx.fillStyle = this.previewValid ? 'rgba(0, 255, 0, 0.3)' : 'rgba(255, 0, 0, 0.3)';
+
+    for (const index of this.previewTiles) {
+      const screenPos = this.camera.tileToScreen(index % width, Math.floor(index / width));
+      this.ctx.fillRect(screenPos.x, screenPos.y, tileSize, tileSize);
+    }
+
+    // Outline the tile under the cursor
+    const cursor = this.camera.tileToScreen(this.previewX, this.previewY);
+    this.ctx.strokeStyle = this.previewValid ? '#0F0' : '#F00';
+    this.ctx.lineWidth = 2;
+    this.ctx.strokeRect(cursor.x, cursor.y, tileSize, tileSize);
+  }
+
+  // Ghost every placement of a dragged line or rectangle, with the total cost
+  drawPreviewPlacements(tileSize) {
+    this.ctx.lineWidth = 1;
+    for (const placement of this.previewPlacements) {
+      const screenPos = this.camera.tileToScreen(placement.x, placement.y);
+      const width = placement.width * tileSize;
+      const height = placement.height * tileSize;
+      this.ctx.fillStyle = placement.valid ? 'rgba(0, 255, 0, 0.3)' : 'rgba(255, 0, 0, 0.3)';
+      this.ctx.fillRect(screenPos.x, screenPos.y, width, height);
+      this.ctx.strokeStyle = placement.valid ? '#0F0' : '#F00';
+      this.ctx.strokeRect(screenPos.x, screenPos.y, width, height);
+    }
+
+    if (this.previewCost > 0) {
+      const cursor = this.camera.tileToScreen(this.previewX + 1, this.previewY + 1);
+      const text = `$${this.previewCost.toLocaleString()}`;
+      this.ctx.font = 'bold 12px sans-serif';
+      this.ctx.textAlign = 'left';
+      this.ctx.textBaseline = 'top';
+      const textWidth = this.ctx.measureText(text).width;
+      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+      this.ctx.fillRect(cursor.x + 4, cursor.y + 4, textWidth + 8, 18);
+      this.ctx.fillStyle = this.previewAffordable ? '#FFF' : '#F66';
+      this.ctx.fillText(text, cursor.x + 8, cursor.y + 7);
+    }
+  }
+
   // Start render loop
   start() {
     this.render();
@@ -7,6 +7,7 @@ class TileSprites {
     // Pre-rendered tile caches
     this.tileCache = new Map();
     this.buildingCache = new Map();
+    this.shoreCache = new Map(); // Shoreline sprites by 8-neighbour land mask
 
     // Generate basic tiles
     this.generateBaseTiles();
@@ -812,11 +813,19 @@ class TileSprites {
     const colors = {
       [TILE_TYPES.COAL_POWER]: '#333',
       [TILE_TYPES.NUCLEAR_POWER]: '#FFD700',
+      [TILE_TYPES.GAS_POWER]: '#5F7F8F',
+      [TILE_TYPES.OIL_POWER]: '#4A3B2A',
+      [TILE_TYPES.HYDRO_POWER]: '#808080',
+      [TILE_TYPES.WIND_POWER]: '#90C080',
+      [TILE_TYPES.SOLAR_POWER]: '#1F3A6B',
+      [TILE_TYPES.WATER_PUMP]: '#3A78C2',
+      [TILE_TYPES.WATER_TOWER]: '#8FB8E0',
       [TILE_TYPES.POLICE]: '#4169E1',
       [TILE_TYPES.FIRE]: '#FF4500',
       [TILE_TYPES.STADIUM]: '#DEB887',
       [TILE_TYPES.SEAPORT]: '#4682B4',
-      [TILE_TYPES.AIRPORT]: '#808080'
+      [TILE_TYPES.AIRPORT]: '#808080',
+      [TILE_TYPES.SUBWAY_STATION]: '#6A3D9A'
     };
 
     const color = colors[type] || '#888';
@@ -876,6 +885,80 @@ class TileSprites {
         ctx.arc(this.tileSize, this.tileSize, this.tileSize * 1.5, 0, Math.PI * 2);
         ctx.fill();
       }
+    } else if (type === TILE_TYPES.OIL_POWER) {
+      // Storage tank
+      if (tileX === 0 && tileY === 0) {
+        ctx.fillStyle = '#999';
+        ctx.beginPath();
+        ctx.arc(this.tileSize / 2, this.tileSize / 2, this.tileSize * 0.35, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    } else if (type === TILE_TYPES.GAS_POWER) {
+      // Gas flame
+      ctx.fillStyle = '#4A90FF';
+      ctx.beginPath();
+      ctx.ellipse(this.tileSize / 2, this.tileSize / 2, this.tileSize * 0.15, this.tileSize * 0.25, 0, 0, Math.PI * 2);
+      ctx.fill();
+    } else if (type === TILE_TYPES.HYDRO_POWER) {
+      // Water spilling over the dam
+      ctx.fillStyle = '#2E6FA8';
+      ctx.fillRect(0, this.tileSize * 0.6, this.tileSize, this.tileSize * 0.4);
+      ctx.fillStyle = '#FFF';
+      ctx.fillRect(0, this.tileSize * 0.6, this.tileSize, 1);
+    } else if (type === TILE_TYPES.WIND_POWER) {
+      // Turbine mast and blades
+      const half = this.tileSize / 2;
+      ctx.strokeStyle = '#FFF';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(half, half);
+      ctx.lineTo(half, this.tileSize);
+      for (let i = 0; i < 3; i++) {
+        const angle = -Math.PI / 2 + i * (Math.PI * 2 / 3);
+        ctx.moveTo(half, half);
+        ctx.lineTo(half + Math.cos(angle) * half * 0.8, half + Math.sin(angle) * half * 0.8);
+      }
+      ctx.stroke();
+    } else if (type === TILE_TYPES.SOLAR_POWER) {
+      // Panel grid
+      ctx.strokeStyle = '#8FA8D0';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(this.tileSize / 2, 0);
+      ctx.lineTo(this.tileSize / 2, this.tileSize);
+      ctx.moveTo(0, this.tileSize / 2);
+      ctx.lineTo(this.tileSize, this.tileSize / 2);
+      ctx.stroke();
+    } else if (type === TILE_TYPES.WATER_PUMP) {
+      // Pump housing over the well
+      const half = this.tileSize / 2;
+      ctx.fillStyle = '#1B3F6B';
+      ctx.beginPath();
+      ctx.arc(half, half, half * 0.5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#4FC3F7';
+      ctx.beginPath();
+      ctx.arc(half, half, half * 0.25, 0, Math.PI * 2);
+      ctx.fill();
+    } else if (type === TILE_TYPES.WATER_TOWER) {
+      // Tank on legs
+      ctx.fillStyle = '#555';
+      ctx.fillRect(this.tileSize * 0.3, this.tileSize * 0.5, 2, this.tileSize * 0.5);
+      ctx.fillRect(this.tileSize * 0.7 - 2, this.tileSize * 0.5, 2, this.tileSize * 0.5);
+      ctx.fillStyle = '#5F8FC0';
+      ctx.fillRect(this.tileSize * 0.2, this.tileSize * 0.15, this.tileSize * 0.6, this.tileSize * 0.4);
+    } else if (type === TILE_TYPES.SUBWAY_STATION) {
+      // Station entrance sign
+      const half = this.tileSize / 2;
+      ctx.fillStyle = '#FFF';
+      ctx.beginPath();
+      ctx.arc(half, half, half * 0.7, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#6A3D9A';
+      ctx.font = `bold ${Math.floor(this.tileSize * 0.5)}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('M', half, half + 1);
     }
   }
 
@@ -950,7 +1033,9 @@ class TileSprites {
   }
 
   // Draw road with proper connections
-  drawRoadConnected(ctx, city, x, y, screenX, screenY, scale) {
+  // Bridges draw a deck over the water instead of the dirt base. Avenues are
+  // wider with a yellow center line, highways wider still with lane markings.
+  drawRoadConnected(ctx, city, x, y, screenX, screenY, scale, bridge = false, roadClass = 0) {
     const size = this.tileSize * scale;
 
     // Check adjacent tiles for roads
@@ -960,12 +1045,16 @@ class TileSprites {
     const hasWest = city.getTile(x - 1, y)?.isRoad();
 
     // Base road color
-    ctx.fillStyle = '#8B7355';
-    ctx.fillRect(screenX, screenY, size, size);
+    if (bridge) {
+      this.drawBridgeDeck(ctx, screenX, screenY, size, hasEast || hasWest);
+    } else {
+      ctx.fillStyle = '#8B7355';
+      ctx.fillRect(screenX, screenY, size, size);
+    }
 
     // Draw road surface
-    ctx.fillStyle = '#5C4A3A';
-    const roadWidth = size * 0.7;
+    ctx.fillStyle = ['#5C4A3A', '#4A4A4A', '#333'][roadClass];
+    const roadWidth = size * [0.7, 0.8, 0.9][roadClass];
     const roadOffset = (size - roadWidth) / 2;
 
     // Vertical road
@@ -997,6 +1086,31 @@ class TileSprites {
     if (!hasNorth && !hasSouth && !hasEast && !hasWest) {
       ctx.fillRect(screenX + roadOffset, screenY + roadOffset, roadWidth, roadWidth);
     }
+
+    // Markings along straight runs only, so junctions stay clear
+    const vertical = (hasNorth || hasSouth) && !hasEast && !hasWest;
+    const horizontal = (hasEast || hasWest) && !hasNorth && !hasSouth;
+    if (roadClass === 0 || (!vertical && !horizontal)) return;
+
+    const line = Math.max(1, scale);
+    const center = size / 2;
+    if (roadClass === 1) {
+      // Double yellow center line
+      ctx.fillStyle = '#E0C000';
+      for (const offset of [-line * 1.5, line * 0.5]) {
+        if (vertical) ctx.fillRect(screenX + center + offset, screenY, line, size);
+        if (horizontal) ctx.fillRect(screenX, screenY + center + offset, size, line);
+      }
+    } else {
+      // Dashed white lines between the lanes
+      ctx.fillStyle = '#DDD';
+      for (const lane of [-roadWidth / 4, 0, roadWidth / 4]) {
+        for (let dash = 0; dash < size; dash += size / 2) {
+          if (vertical) ctx.fillRect(screenX + center + lane - line / 2, screenY + dash, line, size / 4);
+          if (horizontal) ctx.fillRect(screenX + dash, screenY + center + lane - line / 2, size / 4, line);
+        }
+      }
+    }
   }
 
   // Draw animated water tile with wave effect
@@ -1124,11 +1238,36 @@ class TileSprites {
     }
   }
 
+  // Draw a bus stop sign and shelter at the corner of a road tile
+  drawBusStop(ctx, screenX, screenY, scale) {
+    const size = this.tileSize * scale;
+
+    // Shelter
+    ctx.fillStyle = '#DDD';
+    ctx.fillRect(screenX + size * 0.05, screenY + size * 0.05, size * 0.3, size * 0.15);
+
+    // Sign on a pole
+    ctx.fillStyle = '#333';
+    ctx.fillRect(screenX + size * 0.42, screenY + size * 0.05, Math.max(1, scale), size * 0.3);
+    ctx.fillStyle = '#FC0';
+    ctx.fillRect(screenX + size * 0.36, screenY + size * 0.02, size * 0.14, size * 0.12);
+  }
+
   // Draw power line crossover on top of road or rail
-  // Power poles at edges of tile with wires crossing over
-  drawPowerLineCrossover(ctx, screenX, screenY, scale) {
+  // Power poles at edges of tile with wires crossing over; vertical crossovers
+  // are the same drawing turned a quarter turn
+  drawPowerLineCrossover(ctx, screenX, screenY, scale, vertical = false) {
     const size = this.tileSize * scale;
 
+    if (vertical) {
+      ctx.save();
+      ctx.translate(screenX + size / 2, screenY + size / 2);
+      ctx.rotate(Math.PI / 2);
+      this.drawPowerLineCrossover(ctx, -size / 2, -size / 2, scale);
+      ctx.restore();
+      return;
+    }
+
     // Power poles on sides
     ctx.fillStyle = '#4A3728';
 
@@ -1160,7 +1299,7 @@ class TileSprites {
   }
 
   // Draw rail with proper connections and optional power line crossover
-  drawRailConnected(ctx, city, x, y, screenX, screenY, scale, hasCrossover = false) {
+  drawRailConnected(ctx, city, x, y, screenX, screenY, scale, hasCrossover = false, bridge = false) {
     const size = this.tileSize * scale;
 
     // Check adjacent tiles for rails
@@ -1170,8 +1309,12 @@ class TileSprites {
     const hasWest = city.getTile(x - 1, y)?.isRail();
 
     // Ground base
-    ctx.fillStyle = '#8B7355';
-    ctx.fillRect(screenX, screenY, size, size);
+    if (bridge) {
+      this.drawBridgeDeck(ctx, screenX, screenY, size, hasEast || hasWest);
+    } else {
+      ctx.fillStyle = '#8B7355';
+      ctx.fillRect(screenX, screenY, size, size);
+    }
 
     const railWidth = size * 0.7;
     const railOffset = (size - railWidth) / 2;
@@ -1204,10 +1347,268 @@ class TileSprites {
       ctx.fillRect(screenX, screenY + railOffset + railWidth - size * 0.17, size, size * 0.12);
     }
 
-    // Draw power line crossover if present
+    // Draw power line crossover if present, across the track
     if (hasCrossover) {
-      this.drawPowerLineCrossover(ctx, screenX, screenY, scale);
+      this.drawPowerLineCrossover(ctx, screenX, screenY, scale, this.isVerticalPowerRun(city, x, y));
+    }
+  }
+
+  // Draw a bridge deck with railings running across the tile
+  // The water underneath is drawn first; horizontal decks run east-west
+  drawBridgeDeck(ctx, screenX, screenY, size, horizontal) {
+    const deckWidth = size * 0.85;
+    const deckOffset = (size - deckWidth) / 2;
+    const railing = Math.max(1, size * 0.06);
+
+    // Shadow on the water, then the concrete deck
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+    if (horizontal) {
+      ctx.fillRect(screenX, screenY + deckOffset + railing, size, deckWidth);
+    } else {
+      ctx.fillRect(screenX + railing, screenY + deckOffset, deckWidth, size);
+    }
+
+    ctx.fillStyle = '#9A9A9A';
+    if (horizontal) {
+      ctx.fillRect(screenX, screenY + deckOffset, size, deckWidth);
+    } else {
+      ctx.fillRect(screenX + deckOffset, screenY, deckWidth, size);
+    }
+
+    // Railings along both edges
+    ctx.fillStyle = '#555';
+    if (horizontal) {
+      ctx.fillRect(screenX, screenY + deckOffset, size, railing);
+      ctx.fillRect(screenX, screenY + deckOffset + deckWidth - railing, size, railing);
+    } else {
+      ctx.fillRect(screenX + deckOffset, screenY, railing, size);
+      ctx.fillRect(screenX + deckOffset + deckWidth - railing, screenY, railing, size);
+    }
+  }
+
+  // Draw a road or rail tunnel under water: a dark tube through the water,
+  // running the way the tunnel goes
+  drawTunnel(ctx, city, x, y, screenX, screenY, scale) {
+    const size = this.tileSize * scale;
+    const type = city.getTile(x, y).type;
+    const horizontal = city.getTile(x - 1, y)?.type === type || city.getTile(x + 1, y)?.type === type;
+    const tubeWidth = size * 0.6;
+    const tubeOffset = (size - tubeWidth) / 2;
+
+    ctx.fillStyle = 'rgba(20, 30, 60, 0.55)';
+    if (horizontal) {
+      ctx.fillRect(screenX, screenY + tubeOffset, size, tubeWidth);
+    } else {
+      ctx.fillRect(screenX + tubeOffset, screenY, tubeWidth, size);
+    }
+
+    // Dashed tube walls
+    ctx.strokeStyle = 'rgba(200, 220, 255, 0.6)';
+    ctx.lineWidth = Math.max(1, scale);
+    ctx.setLineDash([size * 0.2, size * 0.15]);
+    ctx.beginPath();
+    if (horizontal) {
+      ctx.moveTo(screenX, screenY + tubeOffset);
+      ctx.lineTo(screenX + size, screenY + tubeOffset);
+      ctx.moveTo(screenX, screenY + tubeOffset + tubeWidth);
+      ctx.lineTo(screenX + size, screenY + tubeOffset + tubeWidth);
+    } else {
+      ctx.moveTo(screenX + tubeOffset, screenY);
+      ctx.lineTo(screenX + tubeOffset, screenY + size);
+      ctx.moveTo(screenX + tubeOffset + tubeWidth, screenY);
+      ctx.lineTo(screenX + tubeOffset + tubeWidth, screenY + size);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  // Draw a tunnel mouth on the edge of a land road or rail tile facing each
+  // tunnel tile beside it
+  drawTunnelPortals(ctx, city, x, y, screenX, screenY, scale) {
+    const size = this.tileSize * scale;
+    const depth = size * 0.3;
+    const width = size * 0.8;
+    const inset = size * 0.08;
+    const sides = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+    for (const [dx, dy] of sides) {
+      if (!city.getTile(x + dx, y + dy)?.tunnel) continue;
+
+      // Concrete portal flush with the edge, with the dark opening facing the water
+      const w = dx ? depth : width;
+      const h = dx ? width : depth;
+      const left = screenX + (dx > 0 ? size - depth : dx < 0 ? 0 : (size - width) / 2);
+      const top = screenY + (dy > 0 ? size - depth : dy < 0 ? 0 : (size - width) / 2);
+      ctx.fillStyle = '#9A9A9A';
+      ctx.fillRect(left, top, w, h);
+      ctx.fillStyle = '#111';
+      ctx.fillRect(
+        left + (dx < 0 ? 0 : inset),
+        top + (dy < 0 ? 0 : inset),
+        w - (dx ? inset : inset * 2),
+        h - (dy ? inset : inset * 2)
+      );
+    }
+  }
+
+  // Draw a power line crossing water: a pylon on a concrete pier with the
+  // wires running on to the next tile of the line
+  drawPowerLineBridge(ctx, city, x, y, screenX, screenY, scale) {
+    const size = this.tileSize * scale;
+    const horizontal = !this.isVerticalPowerRun(city, x, y);
+
+    // Pier
+    ctx.fillStyle = '#9A9A9A';
+    ctx.fillRect(screenX + size * 0.3, screenY + size * 0.3, size * 0.4, size * 0.4);
+    ctx.fillStyle = '#555';
+    ctx.fillRect(screenX + size * 0.3, screenY + size * 0.62, size * 0.4, size * 0.08);
+
+    // Pylon
+    ctx.fillStyle = '#4A3728';
+    ctx.fillRect(screenX + size / 2 - scale, screenY + size * 0.2, scale * 2, size * 0.45);
+
+    // Wires
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = Math.max(1, scale);
+    ctx.beginPath();
+    if (horizontal) {
+      ctx.moveTo(screenX, screenY + size * 0.25);
+      ctx.lineTo(screenX + size, screenY + size * 0.25);
+    } else {
+      ctx.moveTo(screenX + size / 2, screenY);
+      ctx.lineTo(screenX + size / 2, screenY + size);
     }
+    ctx.stroke();
+  }
+
+  // Check which sides of a tile power wires run out of: towards other
+  // lines, crossovers, and the zones and buildings they feed
+  getPowerConnections(city, x, y) {
+    const links = (tx, ty) => {
+      const tile = city.getTile(tx, ty);
+      return !!tile && (tile.isPowerLine() || tile.powerLineCrossover ||
+        tile.isZone() || tile.isBuilding() || tile.isSpecialBuilding());
+    };
+    return {
+      north: links(x, y - 1),
+      south: links(x, y + 1),
+      east: links(x + 1, y),
+      west: links(x - 1, y)
+    };
+  }
+
+  // Check if a crossover or bridge carries its wires north-south
+  isVerticalPowerRun(city, x, y) {
+    const { north, south, east, west } = this.getPowerConnections(city, x, y);
+    return (north || south) && !east && !west;
+  }
+
+  // Draw power line with wires running to its connected neighbours
+  // (straight runs, corners, tees and crosses); a lone pole runs east-west
+  drawPowerLineConnected(ctx, city, x, y, screenX, screenY, scale) {
+    const size = this.tileSize * scale;
+    const connections = this.getPowerConnections(city, x, y);
+    const { north, south, east, west } = connections;
+    const alone = !north && !south && !east && !west;
+
+    // Grass underneath
+    ctx.drawImage(this.getSprite(TILE_TYPES.EMPTY), screenX, screenY, size, size);
+
+    const center = size / 2;
+    const gap = size * 0.12; // Between the two wires of a run
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = Math.max(1, scale);
+    ctx.beginPath();
+    for (const offset of [-gap, gap]) {
+      if (north) {
+        ctx.moveTo(screenX + center + offset, screenY);
+        ctx.lineTo(screenX + center + offset, screenY + center);
+      }
+      if (south) {
+        ctx.moveTo(screenX + center + offset, screenY + center);
+        ctx.lineTo(screenX + center + offset, screenY + size);
+      }
+      if (east || alone) {
+        ctx.moveTo(screenX + center, screenY + center + offset);
+        ctx.lineTo(screenX + size, screenY + center + offset);
+      }
+      if (west || alone) {
+        ctx.moveTo(screenX, screenY + center + offset);
+        ctx.lineTo(screenX + center, screenY + center + offset);
+      }
+    }
+    ctx.stroke();
+
+    // Pole with a cross arm under each run of wires
+    ctx.fillStyle = '#4A3728';
+    const arm = gap * 2 + size * 0.1;
+    if (north || south) {
+      ctx.fillRect(screenX + center - arm / 2, screenY + center - size * 0.04, arm, size * 0.08);
+    }
+    if (east || west || alone) {
+      ctx.fillRect(screenX + center - size * 0.04, screenY + center - arm / 2, size * 0.08, arm);
+    }
+    ctx.fillRect(screenX + center - size * 0.06, screenY + center - size * 0.06, size * 0.12, size * 0.12);
+  }
+
+  // 8-neighbour mask of the land around a water tile (bit 0 = north, then
+  // clockwise: NE, E, SE, S, SW, W, NW). Bridges, tunnels and the map edge count as water.
+  getShoreMask(city, x, y) {
+    const offsets = [[0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]];
+    let mask = 0;
+    offsets.forEach(([dx, dy], bit) => {
+      const tile = city.getTile(x + dx, y + dy);
+      if (tile && !tile.isWater() && !tile.bridge && !tile.tunnel) mask |= 1 << bit;
+    });
+    return mask;
+  }
+
+  // Draw the beach along a water tile's land edges
+  drawShore(ctx, city, x, y, screenX, screenY, scale) {
+    const mask = this.getShoreMask(city, x, y);
+    if (mask === 0) return;
+
+    if (!this.shoreCache.has(mask)) {
+      this.shoreCache.set(mask, this.generateShore(mask));
+    }
+    const size = this.tileSize * scale;
+    ctx.drawImage(this.shoreCache.get(mask), screenX, screenY, size, size);
+  }
+
+  // Generate the shoreline sprite for an 8-neighbour land mask: sand along
+  // each side facing land, rounded sand corners where only a diagonal is
+  // land, and a line of surf where the sand meets the water
+  generateShore(mask) {
+    const canvas = document.createElement('canvas');
+    canvas.width = this.tileSize;
+    canvas.height = this.tileSize;
+    const ctx = canvas.getContext('2d');
+    const size = this.tileSize;
+    const beach = Math.max(2, Math.round(size * 0.25));
+    const has = (bit) => (mask & (1 << bit)) !== 0;
+    const [north, east, south, west] = [has(0), has(2), has(4), has(6)];
+
+    // Surf first, one pixel further out, so the sand covers all but its edge
+    for (const [color, width] of [['rgba(255, 255, 255, 0.6)', beach + 1], ['#D8C890', beach]]) {
+      ctx.fillStyle = color;
+      if (north) ctx.fillRect(0, 0, size, width);
+      if (south) ctx.fillRect(0, size - width, size, width);
+      if (west) ctx.fillRect(0, 0, width, size);
+      if (east) ctx.fillRect(size - width, 0, width, size);
+
+      // Corners with only the diagonal neighbour on land
+      const corners = [[1, size, 0, north, east], [3, size, size, south, east],
+        [5, 0, size, south, west], [7, 0, 0, north, west]];
+      for (const [bit, cx, cy, sideA, sideB] of corners) {
+        if (has(bit) && !sideA && !sideB) {
+          ctx.beginPath();
+          ctx.arc(cx, cy, width, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+    }
+
+    return canvas;
   }
 
   // Draw monster (Bowser-like creature)
@@ -50,8 +50,17 @@ class AlertSystem {
     // Check power supply
     this.checkPowerSupply();
 
+    // Check for power plants near the end of their lifespan
+    this.checkPowerPlantAging();
+
+    // Check water supply
+    this.checkWaterSupply();
+
     // Check citizen demands based on population milestones
     this.checkCitizenDemands();
+
+    // Check for growth held back by a missing stadium, airport or seaport
+    this.checkDemandCaps();
   }
 
   // Check for zone imbalance
@@ -86,10 +95,11 @@ class AlertSystem {
   // Check transit system adequacy
   checkTransitSystem() {
     const sim = this.game.simulation;
-    const infra = this.game.city.countInfrastructure();
 
-    // High traffic with few rails indicates inadequate transit
-    if (sim.stats.averageTraffic > 150 && infra.rails < 20) {
+    // Jammed roads while few commuters ride rail, bus or subway indicates inadequate transit
+    const transitShare = sim.stats.trips > 0 ? sim.stats.transitTrips / sim.stats.trips : 0;
+    const jammed = sim.stats.averageTraffic > 150 || sim.stats.congestion > 25;
+    if (jammed && transitShare < 0.2) {
       this.queueAlert('Inadequate Transit System');
     }
   }
@@ -98,13 +108,37 @@ class AlertSystem {
   checkPowerSupply() {
     const sim = this.game.simulation;
 
-    // Power consumed exceeds or nearly exceeds production
-    if (sim.stats.totalPowerConsumed > 0 &&
-        sim.stats.totalPowerConsumed >= sim.stats.totalPowerProduced * 0.95) {
+    // Power consumed exceeds or nearly exceeds production, or a grid is
+    // shedding zones it can't supply
+    if (sim.stats.brownoutZones > 0 || (sim.stats.totalPowerConsumed > 0 &&
+        sim.stats.totalPowerConsumed >= sim.stats.totalPowerProduced * 0.95)) {
       this.queueAlert('Build a Power Plant');
     }
   }
 
+  // Check for power plants that have shut down or soon will
+  checkPowerPlantAging() {
+    const sim = this.game.simulation;
+    const yearsLeft = this.game.city.getPowerPlants().map(plant => sim.getPlantYearsLeft(plant));
+
+    if (yearsLeft.some(years => years <= 0)) {
+      this.queueAlert('Power Plant Shut Down - Rebuild It', true);
+    } else if (yearsLeft.some(years => years <= POWER_PLANT_AGING.WARNING_YEARS)) {
+      this.queueAlert('Power Plant Nearing End of Life');
+    }
+  }
+
+  // Check for networks running short of water and zones that need it to grow
+  checkWaterSupply() {
+    const sim = this.game.simulation;
+
+    if (sim.stats.waterShortageZones > 0) {
+      this.queueAlert('Water Shortage - Build More Pumps');
+    } else if (sim.stats.thirstyZones > 0) {
+      this.queueAlert('Zones Need Water to Grow');
+    }
+  }
+
   // Check citizen demands based on population
   checkCitizenDemands() {
     const sim = this.game.simulation;
@@ -148,6 +182,17 @@ class AlertSystem {
     }
   }
 
+  // Check for zone types whose demand is capped until a building is built
+  // (the stadium is left to checkCitizenDemands, so it isn't announced twice)
+  checkDemandCaps() {
+    const capped = this.game.simulation.demandCapped || {};
+    for (const [zoneType, cap] of Object.entries(DEMAND_CAPS)) {
+      if (capped[zoneType] && cap.alert) {
+        this.queueAlert(cap.alert);
+      }
+    }
+  }
+
   // Queue an alert (with optional priority flag)
   queueAlert(message, priority = false) {
     // Check cooldown (unless priority)
@@ -0,0 +1,76 @@
+// MapEditorPanel.js - Floating palette for the map editor
+// Picks the terrain tool, how it is applied (brush, fill or shape) and the
+// brush size, and holds the map file buttons. Only shown in map editor mode.
+
+class MapEditorPanel {
+  constructor(game) {
+    this.game = game;
+    this.window = document.getElementById('map-editor-window');
+    this.shape = 'brush';
+    this.brushSize = 3;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    // Terrain tools go through the toolbar so the status bar and cursor follow
+    this.window.querySelectorAll('[data-editor-tool]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.game.toolbar.selectTool(btn.dataset.editorTool);
+      });
+    });
+
+    this.window.querySelectorAll('[data-editor-shape]').forEach(btn => {
+      btn.addEventListener('click', () => this.selectShape(btn.dataset.editorShape));
+    });
+
+    // Brush sizes
+    const sizeSelect = this.window.querySelector('#map-editor-brush-size');
+    sizeSelect.innerHTML = MAP_EDITOR_BRUSH_SIZES.map(size => `
+      <option value="${size}" ${size === this.brushSize ? 'selected' : ''}>${size} x ${size}</option>
+    `).join('');
+    sizeSelect.addEventListener('change', () => {
+      this.brushSize = parseInt(sizeSelect.value, 10);
+    });
+
+    // Map file buttons
+    this.window.querySelector('#map-editor-open').addEventListener('click', () => this.game.openMap());
+    this.window.querySelector('#map-editor-save').addEventListener('click', () => this.game.saveMap());
+    this.window.querySelector('#map-editor-play').addEventListener('click', () => this.game.playMap());
+  }
+
+  // Show or hide the palette
+  setVisible(visible) {
+    this.window.style.display = visible ? 'block' : 'none';
+  }
+
+  // Select how terrain tools are applied
+  selectShape(shape) {
+    this.shape = shape;
+    this.window.querySelectorAll('[data-editor-shape]').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.editorShape === shape);
+    });
+  }
+
+  // Highlight the selected terrain tool (called when the toolbar tool changes)
+  updateTool(tool) {
+    this.window.querySelectorAll('[data-editor-tool]').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.editorTool === tool);
+    });
+  }
+
+  // Check if a tool is a map editor terrain tool
+  isTerrainTool(tool) {
+    return tool in MAP_EDITOR_TERRAIN;
+  }
+
+  // Check if the current shape is drawn by dragging out a rectangle
+  isShapeDrag() {
+    return this.shape === 'rectangle' || this.shape === 'ellipse';
+  }
+
+  // Build a stroke for MapEditor from the drag start and the current tile
+  getStroke(tool, x0, y0, x1, y1) {
+    return { tool, shape: this.shape, x0, y0, x1, y1, size: this.brushSize };
+  }
+}
@@ -92,6 +92,11 @@ class MenuBar {
       case 'scenarios':
         this.game.showScenarioDialog();
         break;
+      case 'map-editor':
+        if (confirm('Open the map editor? Current city will be lost.')) {
+          this.game.showMapEditorDialog();
+        }
+        break;
       case 'load-city':
         this.game.loadCity();
         break;
@@ -127,6 +132,9 @@ class MenuBar {
       case 'undo':
         this.game.undo();
         break;
+      case 'redo':
+        this.game.redo();
+        break;
 
       // Disasters menu
       case 'fire':
@@ -168,12 +176,27 @@ class MenuBar {
       case 'voter-opinion':
         this.game.showVoterOpinion();
         break;
+      case 'power-report':
+        this.game.showPowerReport();
+        break;
+      case 'underground-view':
+        this.game.toggleUndergroundView();
+        break;
       case 'overlay-power':
         this.game.setOverlay('power');
         break;
+      case 'overlay-water':
+        this.game.setOverlay('water');
+        break;
       case 'overlay-traffic':
         this.game.setOverlay('traffic');
         break;
+      case 'overlay-rail':
+        this.game.setOverlay('rail');
+        break;
+      case 'overlay-transit':
+        this.game.setOverlay('transit');
+        break;
       case 'overlay-pollution':
         this.game.setOverlay('pollution');
         break;
@@ -186,6 +209,14 @@ class MenuBar {
     }
   }
 
+  // Enable or disable a menu item
+  setItemEnabled(action, enabled) {
+    const item = document.querySelector(`[data-action="${action}"]`);
+    if (item) {
+      item.classList.toggle('disabled', !enabled);
+    }
+  }
+
   // Update checkmark on menu item
   updateCheckmark(action, checked) {
     const item = document.querySelector(`[data-action="${action}"]`);
@@ -17,6 +17,7 @@ class StatusBar {
     // Scenario elements
     this.scenarioSection = document.getElementById('status-scenario');
     this.scenarioProgress = document.getElementById('scenario-progress');
+    this.scenarioGoalText = document.getElementById('scenario-goal-text');
     this.scenarioTime = document.getElementById('scenario-time');
 
     // Speed controls
@@ -62,7 +63,14 @@ class StatusBar {
     const name = TOOL_NAMES[tool] || tool;
     const cost = TOOL_COSTS[tool] || 0;
 
-    if (cost > 0) {
+    if (tool === 'road-upgrade') {
+      const costs = ROAD_CLASSES.slice(1).map((roadClass, i) => roadClass.cost - ROAD_CLASSES[i].cost);
+      this.toolEl.textContent = `${name} ($${Math.min(...costs)}-$${Math.max(...costs)})`;
+    } else if (TUNNEL_COSTS[tool]) {
+      this.toolEl.textContent = `${name} ($${cost}, bridge $${BRIDGE_COSTS[tool]}, tunnel $${TUNNEL_COSTS[tool]})`;
+    } else if (BRIDGE_COSTS[tool]) {
+      this.toolEl.textContent = `${name} ($${cost}, bridge $${BRIDGE_COSTS[tool]})`;
+    } else if (cost > 0) {
       this.toolEl.textContent = `${name} ($${cost})`;
     } else {
       this.toolEl.textContent = name;
@@ -167,6 +175,17 @@ class StatusBar {
       }
     }
 
+    // Live readout of what the goal measures; the tooltip lists every part
+    // of a composite goal and whether it is met yet
+    if (this.scenarioGoalText) {
+      this.scenarioGoalText.textContent = scenarioData.goalText;
+    }
+    if (this.scenarioSection) {
+      this.scenarioSection.title = scenarioData.goals
+        .map(goal => `${goal.met ? '[x]' : '[ ]'} ${goal.text}`)
+        .join('\n');
+    }
+
     // Update time remaining
     if (this.scenarioTime) {
       if (scenarioData.yearsRemaining < 0) {
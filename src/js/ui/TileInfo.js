@@ -84,6 +84,12 @@ class TileInfo {
     let title = this.getTileTypeName(tile);
     let rows = [];
 
+    if (tile.bridge) {
+      title += ' Bridge';
+    } else if (tile.tunnel) {
+      title += ' Tunnel';
+    }
+
     // Coordinates
     rows.push({ label: 'Position', value: `(${tile.x}, ${tile.y})` });
 
@@ -106,15 +112,48 @@ class TileInfo {
           rows.push({ label: 'Jobs', value: tile.jobs.toLocaleString() });
         }
       }
+
+      // How the residents' last trips went (stored on the zone's main tile)
+      if (tile.isResidential()) {
+        const mainTile = this.getMainTile(tile);
+        rows.push({ label: 'Last Trip', value: this.getTripText(mainTile.lastTrip) });
+        if (mainTile.tripFailed) {
+          rows.push({ label: 'Commute', value: '<span class="status-off">No jobs in reach</span>' });
+        } else if (mainTile.commute > 0) {
+          rows.push({ label: 'Commute', value: this.getCommuteText(mainTile.commute) });
+        }
+      }
     }
 
     // Power plant info
     if (tile.isPowerPlant()) {
-      const plantType = tile.type === TILE_TYPES.COAL_POWER ? 'Coal' : 'Nuclear';
-      const output = tile.type === TILE_TYPES.COAL_POWER ?
-        POWER_OUTPUT.COAL : POWER_OUTPUT.NUCLEAR;
-      rows.push({ label: 'Type', value: `${plantType} Power` });
-      rows.push({ label: 'Output', value: `${output} MW` });
+      const plantTool = Object.keys(POWER_PLANT_TILES).find(tool => POWER_PLANT_TILES[tool] === tile.type);
+      const plant = { type: plantTool, built: this.game.city.buildings.get(tile.buildingId)?.built };
+      const yearsLeft = sim.getPlantYearsLeft(plant);
+      rows.push({ label: 'Type', value: TOOL_NAMES[plantTool] });
+      rows.push({ label: 'Output', value: `${sim.getPlantOutput(plant)} of ${POWER_OUTPUT[plantTool]} MW` });
+      rows.push({ label: 'Age', value: `${Math.floor(sim.getPlantAge(plant))} years` });
+      rows.push({ label: 'Lifespan', value: yearsLeft > 0 ? `${Math.ceil(yearsLeft)} years left` : 'Shut down - rebuild it' });
+      if (plantTool === 'wind-power') {
+        rows.push({ label: 'Wind', value: `${Math.round(WIND_OUTPUT_BY_MONTH[sim.month] * 100)}% this month` });
+      }
+    }
+
+    // Water works - pumps only run with power
+    if (tile.type === TILE_TYPES.WATER_PUMP) {
+      const building = this.game.city.buildings.get(tile.buildingId);
+      const nearWater = building && this.game.city.areaTouchesWater(building.x, building.y, building.width, building.height);
+      const output = WATER_CONSTANTS.PUMP_OUTPUT * (nearWater ? WATER_CONSTANTS.PUMP_WATER_BONUS : 1);
+      rows.push({ label: 'Output', value: tile.powered ? `${output} a month` : 'None - no power' });
+      if (nearWater) {
+        rows.push({ label: 'Source', value: 'Next to water' });
+      }
+    } else if (tile.type === TILE_TYPES.WATER_TOWER) {
+      const building = this.game.city.buildings.get(tile.buildingId);
+      rows.push({ label: 'Stored', value: `${building?.stored || 0} of ${WATER_CONSTANTS.TOWER_CAPACITY}` });
+    }
+    if (tile.waterPipe) {
+      rows.push({ label: 'Water Pipe', value: 'Underground' });
     }
 
     // Service building info
@@ -126,13 +165,27 @@ class TileInfo {
 
     // Infrastructure
     if (tile.isRoad()) {
-      rows.push({ label: 'Traffic', value: this.getTrafficLevel(tile.traffic) });
+      const { capacity } = ROAD_CLASSES[tile.roadClass];
+      rows.push({ label: 'Traffic', value: this.getTrafficLevel(tile.traffic, capacity) });
+      rows.push({ label: 'Capacity', value: capacity });
       if (tile.powerLineCrossover) {
         rows.push({ label: 'Power Line', value: 'Crossover' });
       }
+      if (tile.busStop) {
+        rows.push({ label: 'Bus Stop', value: `Radius: ${TRANSIT_CONSTANTS.BUS_RADIUS} tiles` });
+      }
+    }
+
+    // Subway - stations count the riders boarding there
+    if (tile.type === TILE_TYPES.SUBWAY_STATION) {
+      rows.push({ label: 'Riders', value: this.getLevelText(tile.traffic, 255) });
+      rows.push({ label: 'Coverage', value: `Radius: ${TRANSIT_CONSTANTS.SUBWAY_RADIUS} tiles` });
+    } else if (tile.subway) {
+      rows.push({ label: 'Subway', value: 'Tunnel' });
     }
 
     if (tile.isRail()) {
+      rows.push({ label: 'Riders', value: this.getLevelText(tile.traffic, 255) });
       if (tile.powerLineCrossover) {
         rows.push({ label: 'Power Line', value: 'Crossover' });
       }
@@ -140,11 +193,28 @@ class TileInfo {
 
     // Status indicators
     const statusIcons = [];
-    if (tile.conductsPower() || tile.isPowerPlant()) {
-      statusIcons.push(tile.powered ? '<span class="status-on">Powered</span>' : '<span class="status-off">No Power</span>');
+    if (tile.powerState === POWER_STATES.POWERED) {
+      statusIcons.push('<span class="status-on">Powered</span>');
+    } else if (tile.powerState === POWER_STATES.BROWNOUT) {
+      statusIcons.push('<span class="status-off">Brownout</span>');
+    } else if (tile.powerState === POWER_STATES.DISCONNECTED) {
+      statusIcons.push('<span class="status-off">No Plant on Grid</span>');
+    } else if (tile.powerState === POWER_STATES.UNPOWERED) {
+      statusIcons.push('<span class="status-off">No Power</span>');
     }
     if (tile.isZone() || tile.isBuilding()) {
       statusIcons.push(tile.roadAccess ? '<span class="status-on">Road Access</span>' : '<span class="status-off">No Road</span>');
+      if (tile.waterState === WATER_STATES.SUPPLIED) {
+        statusIcons.push('<span class="status-on">Water</span>');
+      } else if (tile.waterState === WATER_STATES.SHORTAGE) {
+        statusIcons.push('<span class="status-off">Water Shortage</span>');
+      } else if (sim.waterRequired) {
+        statusIcons.push('<span class="status-off">No Water</span>');
+      }
+      const mainTile = this.getMainTile(tile);
+      if (mainTile.isBuilding() && !mainTile.isMaxLevel() && !sim.hasWaterToGrow(mainTile)) {
+        statusIcons.push('<span class="status-off">Needs Water to Grow</span>');
+      }
     }
 
     // Land value, pollution, crime for developed tiles
@@ -190,27 +260,60 @@ class TileInfo {
       case TILE_TYPES.WATER: return 'Water';
       case TILE_TYPES.FOREST: return 'Forest';
       case TILE_TYPES.RUBBLE: return 'Rubble';
-      case TILE_TYPES.ROAD: return 'Road';
+      case TILE_TYPES.ROAD: return ROAD_CLASSES[tile.roadClass].name;
       case TILE_TYPES.RAIL: return 'Rail';
       case TILE_TYPES.POWER_LINE: return 'Power Line';
       case TILE_TYPES.PARK: return 'Park';
       case TILE_TYPES.COAL_POWER: return 'Coal Power Plant';
       case TILE_TYPES.NUCLEAR_POWER: return 'Nuclear Power Plant';
+      case TILE_TYPES.GAS_POWER: return 'Gas Power Plant';
+      case TILE_TYPES.OIL_POWER: return 'Oil Power Plant';
+      case TILE_TYPES.HYDRO_POWER: return 'Hydro Power Plant';
+      case TILE_TYPES.WIND_POWER: return 'Wind Farm';
+      case TILE_TYPES.SOLAR_POWER: return 'Solar Power Plant';
       case TILE_TYPES.POLICE: return 'Police Station';
       case TILE_TYPES.FIRE_STATION: return 'Fire Station';
       case TILE_TYPES.STADIUM: return 'Stadium';
       case TILE_TYPES.SEAPORT: return 'Seaport';
       case TILE_TYPES.AIRPORT: return 'Airport';
+      case TILE_TYPES.SUBWAY_STATION: return 'Subway Station';
+      case TILE_TYPES.WATER_PUMP: return 'Water Pump';
+      case TILE_TYPES.WATER_TOWER: return 'Water Tower';
       case TILE_TYPES.NUCLEAR_WASTE: return 'Nuclear Waste';
       default: return 'Unknown';
     }
   }
 
-  // Get traffic level description
-  getTrafficLevel(traffic) {
-    if (traffic < 30) return 'Light';
-    if (traffic < 80) return 'Moderate';
-    if (traffic < 150) return 'Heavy';
+  // Get the main tile of the zone or building a tile belongs to
+  getMainTile(tile) {
+    if (tile.isMainTile) return tile;
+    const building = this.game.city.buildings.get(tile.buildingId);
+    return (building && this.game.city.getTile(building.x, building.y)) || tile;
+  }
+
+  // Describe a residential zone's last transit walk (TRIP_RESULTS)
+  getTripText(result) {
+    switch (result) {
+      case TRIP_RESULTS.REACHED: return '<span class="status-on">Reached destination</span>';
+      case TRIP_RESULTS.DEAD_END: return '<span class="status-off">Dead end</span>';
+      case TRIP_RESULTS.TOO_FAR: return '<span class="status-off">Too far</span>';
+      default: return '<span class="status-off">No road</span>';
+    }
+  }
+
+  // Get commute length description
+  getCommuteText(commute) {
+    if (commute <= TRAFFIC_CONSTANTS.COMMUTE_FREE_COST) return 'Short';
+    if (commute < TRAFFIC_CONSTANTS.MAX_TRIP_COST * 0.75) return 'Long';
+    return 'Very Long';
+  }
+
+  // Get traffic level description against the road's capacity
+  getTrafficLevel(traffic, capacity) {
+    const load = traffic / capacity;
+    if (load < 0.2) return 'Light';
+    if (load < 0.5) return 'Moderate';
+    if (load < 1) return 'Heavy';
     return 'Congested';
   }
 
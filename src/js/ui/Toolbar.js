@@ -35,6 +35,7 @@ class Toolbar {
         case 'q': this.selectTool('pointer'); break;
         case 'b': this.selectTool('bulldozer'); break;
         case 'r': this.selectTool('road'); break;
+        case 'u': this.selectTool('road-upgrade'); break;
         case 'p': this.selectTool('power-line'); break;
         case 't': this.selectTool('rail'); break;
         case '1': this.selectTool('residential'); break;
@@ -97,6 +98,18 @@ class Toolbar {
     }
   }
 
+  // Enable only the tools available (power plants arrive over the years)
+  // isAvailable(tool) returns false for tools that can't be used yet
+  updateAvailability(isAvailable) {
+    this.toolbar.querySelectorAll('.tool-btn').forEach(btn => {
+      btn.disabled = !isAvailable(btn.dataset.tool);
+    });
+
+    if (!isAvailable(this.currentTool)) {
+      this.selectTool('pointer');
+    }
+  }
+
   // Get current tool
   getCurrentTool() {
     return this.currentTool;
@@ -114,11 +127,12 @@ class Toolbar {
 
   // Check if current tool is a building
   isBuildingTool(tool = this.currentTool) {
-    return ['coal-power', 'nuclear-power', 'police', 'fire', 'stadium', 'seaport', 'airport'].includes(tool);
+    return ['coal-power', 'nuclear-power', 'gas-power', 'oil-power', 'hydro-power', 'wind-power', 'solar-power',
+      'police', 'fire', 'stadium', 'seaport', 'airport', 'subway-station', 'water-pump', 'water-tower'].includes(tool);
   }
 
   // Check if current tool is infrastructure
   isInfraTool(tool = this.currentTool) {
-    return ['road', 'power-line', 'rail'].includes(tool);
+    return ['road', 'road-upgrade', 'power-line', 'rail', 'bus-stop', 'subway', 'water-pipe'].includes(tool);
   }
 }
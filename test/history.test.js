@@ -0,0 +1,129 @@
+// history.test.js - Undo and redo put back tiles and money
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GAME_SCRIPTS, loadGameScripts } = require('../headless');
+
+loadGameScripts([...GAME_SCRIPTS, 'js/game/MapEditor.js', 'js/game/ToolStroke.js',
+  'js/game/CommandHistory.js', 'js/game/SimulationSession.js']);
+
+// A session on a bare map, driven by the same messages the client sends
+function setup() {
+  const session = new SimulationSession(() => {});
+  const send = (type, data = {}) => session.handleMessage({ type, sessionId: 1, ...data });
+  send('newCity', {
+    difficulty: DIFFICULTY.EASY, width: 64, height: 64, seed: 1,
+    terrain: { waterCoverage: 0, river: false, lakeCount: 0, forestDensity: 0 }
+  });
+  return { session, send, city: session.city, budget: session.budget, history: session.history };
+}
+
+test('undo refunds a tool and puts the tiles back; redo charges again', () => {
+  const { send, city, budget } = setup();
+  const funds = budget.funds;
+
+  send('useTool', { tool: 'coal-power', x: 10, y: 10 });
+  assert.strictEqual(budget.funds, funds - TOOL_COSTS['coal-power']);
+
+  send('undo');
+  assert.strictEqual(budget.funds, funds);
+  assert.strictEqual(city.getTile(10, 10).type, TILE_TYPES.EMPTY);
+  assert.strictEqual(city.buildings.size, 0);
+
+  send('redo');
+  assert.strictEqual(budget.funds, funds - TOOL_COSTS['coal-power']);
+  assert.strictEqual(city.getTile(13, 13).type, TILE_TYPES.COAL_POWER);
+});
+
+test('a dragged stroke undoes as one step', () => {
+  const { send, city, budget, history } = setup();
+  const funds = budget.funds;
+
+  send('beginGroup', { label: 'Road' });
+  send('applyStroke', { stroke: { tool: 'road', x0: 5, y0: 5, x1: 14, y1: 5 } });
+  send('endGroup');
+  assert.strictEqual(budget.funds, funds - 10 * TOOL_COSTS.road);
+
+  send('undo');
+  assert.strictEqual(budget.funds, funds);
+  assert.ok([...Array(10).keys()].every(i => city.getTile(5 + i, 5).type === TILE_TYPES.EMPTY));
+  assert.strictEqual(history.canUndo(), false);
+});
+
+test('bulldozing a building undoes the whole building', () => {
+  const { send, city } = setup();
+  send('useTool', { tool: 'police', x: 20, y: 20 });
+  const { buildingId } = city.getTile(20, 20);
+
+  send('useTool', { tool: 'bulldozer', x: 22, y: 22 });
+  assert.strictEqual(city.buildings.size, 0);
+
+  send('undo');
+  assert.deepStrictEqual(city.buildings.get(buildingId), { id: buildingId, type: 'police', x: 20, y: 20, width: 3, height: 3 });
+  assert.strictEqual(city.getTile(22, 22).buildingId, buildingId);
+});
+
+test('undo puts back every tile field and reports the area to the layout journal', () => {
+  const { session, send, city } = setup();
+  send('useTool', { tool: 'coal-power', x: 2, y: 2 });
+  send('useTool', { tool: 'residential', x: 6, y: 2 });
+  session.simulation.updatePowerGrid();
+  const tile = city.getTile(7, 3);
+  tile.traffic = 40;
+  assert.strictEqual(tile.powerState, POWER_STATES.POWERED);
+
+  send('useTool', { tool: 'bulldozer', x: 7, y: 3 });
+  city.takeChanges();
+  send('undo');
+  assert.strictEqual(tile.type, TILE_TYPES.ZONE_RESIDENTIAL);
+  assert.strictEqual(tile.powerState, POWER_STATES.POWERED);
+  assert.strictEqual(tile.traffic, 40);
+  assert.ok(city.takeChanges().has(tile.index));
+});
+
+test('redo fails when the money has run out', () => {
+  const { session, send, budget } = setup();
+  const posted = [];
+  session.post = (message) => posted.push(message.type);
+  send('useTool', { tool: 'coal-power', x: 10, y: 10 });
+  send('undo');
+
+  budget.funds = 0;
+  send('redo');
+  assert.strictEqual(budget.funds, 0);
+  assert.ok(posted.includes('redoFailed'));
+});
+
+test('a month passing only expires the actions the simulation has built over', () => {
+  const { session, send, city, history } = setup();
+  send('useTool', { tool: 'road', x: 5, y: 5 });
+  send('useTool', { tool: 'residential', x: 10, y: 10 });
+  send('useTool', { tool: 'police', x: 20, y: 20 });
+
+  // The zone grows, so it and the road placed before it can't be undone
+  city.getTile(11, 11).develop();
+  session.simulation.tick();
+  assert.strictEqual(history.undoStack.length, 1);
+
+  send('undo');
+  assert.strictEqual(city.getTile(20, 20).type, TILE_TYPES.EMPTY);
+  assert.strictEqual(city.getTile(11, 11).type, TILE_TYPES.BUILDING_RESIDENTIAL);
+  assert.strictEqual(history.canUndo(), false);
+});
+
+test('actions on tiles the simulation leaves alone survive the month', () => {
+  const { session, send, city, history } = setup();
+  send('useTool', { tool: 'road', x: 5, y: 5 });
+  send('useTool', { tool: 'police', x: 20, y: 20 });
+  send('undo');
+
+  session.simulation.tick();
+  assert.ok(history.canUndo());
+  assert.ok(history.canRedo());
+
+  send('redo');
+  send('undo');
+  send('undo');
+  assert.strictEqual(city.getTile(5, 5).type, TILE_TYPES.EMPTY);
+  assert.strictEqual(city.buildings.size, 0);
+});
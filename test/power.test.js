@@ -0,0 +1,90 @@
+// power.test.js - Power grids, load shedding and unpowered zones
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGameScripts } = require('../headless');
+
+loadGameScripts();
+
+function setup() {
+  const city = new City(64, 64);
+  const budget = new Budget(DIFFICULTY.EASY);
+  const simulation = new Simulation(city, budget, 1);
+  return { city, simulation };
+}
+
+test('a grid short of power sheds the zones furthest from its plant', () => {
+  const { city, simulation } = setup();
+  city.useTool('coal-power', 2, 2);
+  for (let x = 6; x < 60; x += 3) {
+    city.useTool('residential', x, 2);
+    city.useTool('residential', x, 5);
+  }
+  simulation.updatePowerGrid();
+
+  // Every zone tile needs a unit, so only whole zones that fit in the supply get it
+  const zones = 2 * 18;
+  const powered = Math.floor(POWER_OUTPUT['coal-power'] / 9);
+  const [grid] = simulation.powerGrids;
+  assert.strictEqual(simulation.powerGrids.length, 1);
+  assert.strictEqual(grid.zones, zones);
+  assert.strictEqual(grid.poweredZones, powered);
+  assert.strictEqual(grid.surplus, POWER_OUTPUT['coal-power'] - zones * 9);
+  assert.strictEqual(simulation.stats.brownoutZones, zones - powered);
+
+  assert.strictEqual(city.getTile(6, 2).powerState, POWER_STATES.POWERED);
+  assert.ok(city.getTile(6, 2).powered);
+  assert.strictEqual(city.getTile(57, 5).powerState, POWER_STATES.BROWNOUT);
+  assert.ok(!city.getTile(57, 5).powered);
+});
+
+test('cutting a line splits the grid and leaves the far side disconnected', () => {
+  const { city, simulation } = setup();
+  city.useTool('coal-power', 2, 2);
+  for (let x = 6; x < 20; x++) city.useTool('power-line', x, 3);
+  city.useTool('residential', 20, 2);
+  simulation.updatePowerGrid();
+  assert.strictEqual(city.getTile(21, 3).powerState, POWER_STATES.POWERED);
+
+  city.bulldoze(10, 3);
+  simulation.updatePowerGrid();
+  assert.strictEqual(city.getTile(21, 3).powerState, POWER_STATES.DISCONNECTED);
+  assert.strictEqual(city.getTile(15, 3).powerState, POWER_STATES.DISCONNECTED);
+  assert.strictEqual(city.getTile(8, 3).powerState, POWER_STATES.POWERED);
+
+  const plantless = simulation.powerGrids.filter(grid => grid.plants.length === 0);
+  assert.strictEqual(plantless.length, 1);
+  assert.strictEqual(plantless[0].zones, 1);
+  assert.ok(plantless[0].wired);
+});
+
+test('zones nothing has been run to are unpowered, however many touch', () => {
+  const { city, simulation } = setup();
+  city.useTool('residential', 10, 10);
+  city.useTool('commercial', 13, 10);
+  city.useTool('residential', 30, 30);
+  city.useTool('road', 33, 30);
+  simulation.updatePowerGrid();
+
+  assert.strictEqual(city.getTile(10, 10).powerState, POWER_STATES.UNPOWERED);
+  assert.strictEqual(city.getTile(14, 11).powerState, POWER_STATES.UNPOWERED);
+  assert.strictEqual(city.getTile(30, 30).powerState, POWER_STATES.DISCONNECTED);
+  assert.strictEqual(simulation.stats.unpoweredZones, 3);
+  assert.deepStrictEqual(simulation.powerGrids.map(grid => [grid.zones, grid.wired]), [[2, false], [1, true]]);
+});
+
+test('each plant only supplies its own grid', () => {
+  const { city, simulation } = setup();
+  city.useTool('coal-power', 2, 2);
+  city.useTool('residential', 6, 2);
+  city.useTool('coal-power', 40, 40);
+  city.useTool('residential', 44, 40);
+  simulation.updatePowerGrid();
+
+  assert.strictEqual(simulation.powerGrids.length, 2);
+  for (const grid of simulation.powerGrids) {
+    assert.strictEqual(grid.plants.length, 1);
+    assert.strictEqual(grid.supply, POWER_OUTPUT['coal-power']);
+    assert.strictEqual(grid.demand, 9);
+  }
+});
@@ -0,0 +1,94 @@
+// scenarios.test.js - Scenario files parse, validate and start
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadGameScripts, loadScenario, createSession } = require('../headless');
+
+loadGameScripts();
+
+const SCENARIO_DIR = path.join(__dirname, '..', 'src', 'scenarios');
+
+// A valid scenario file's contents, with some fields replaced
+function scenarioText(changes = {}) {
+  return JSON.stringify({
+    id: 'test',
+    name: 'Test',
+    year: 1950,
+    duration: 10,
+    difficulty: 'normal',
+    goal: { type: 'population', value: 1000 },
+    map: { width: 64, height: 64 },
+    ...changes
+  });
+}
+
+test('every built-in scenario parses', () => {
+  const files = fs.readdirSync(SCENARIO_DIR).filter(name => name.endsWith('.json'));
+  const library = new ScenarioLibrary();
+  library.addFiles(files.map(name => ({
+    path: path.join(SCENARIO_DIR, name),
+    text: fs.readFileSync(path.join(SCENARIO_DIR, name), 'utf8')
+  })));
+
+  assert.deepStrictEqual(library.errors, []);
+  assert.strictEqual(library.list().length, files.length);
+});
+
+test('missing fields are filled in from the difficulty and file name', () => {
+  const scenario = ScenarioLibrary.parse(scenarioText({ id: undefined }), 'scenarios/myTown.json');
+
+  assert.strictEqual(scenario.id, 'myTown');
+  assert.strictEqual(scenario.startingFunds, DIFFICULTY_SETTINGS.normal.startingFunds);
+  assert.deepStrictEqual(scenario.scheduledDisasters, []);
+});
+
+test('bad scenario files are rejected with the reason', () => {
+  const cases = [
+    [{ name: '' }, /Missing name/],
+    [{ year: 1950.5 }, /year/],
+    [{ difficulty: 'impossible' }, /Unknown difficulty/],
+    [{ goal: { type: 'happiness', value: 1 } }, /goal\.type/],
+    [{ goal: { type: 'and', goals: [{ type: 'population' }] } }, /goal\.goals\[0\]\.value/],
+    [{ scheduledDisasters: [{ type: 'meteor', month: 3 }] }, /Unknown disaster/],
+    [{ scheduledDisasters: [{ type: 'fire', month: -1 }] }, /Disaster month/],
+    [{ map: { width: 8, height: 64 } }, /Map sides/]
+  ];
+  for (const [changes, message] of cases) {
+    assert.throws(() => ScenarioLibrary.parse(scenarioText(changes), 'test.json'), message);
+  }
+
+  const library = new ScenarioLibrary();
+  library.addFiles([{ path: 'broken.json', text: '{' }, { path: 'good.json', text: scenarioText() }]);
+  assert.strictEqual(library.errors.length, 1);
+  assert.ok(library.errors[0].startsWith('broken.json: '));
+  assert.ok(library.get('test'));
+});
+
+test('a scenario starts on its own map in its own year', () => {
+  const scenario = loadScenario('tokyo');
+  const { city, budget, simulation } = createSession({ scenario: 'tokyo', seed: 1 });
+
+  assert.strictEqual(simulation.year, scenario.year);
+  assert.strictEqual(budget.funds, scenario.startingFunds);
+  assert.strictEqual(city.width, scenario.map.width);
+  assert.ok(city.getPowerPlants().length > 0);
+});
+
+test('below goals wait for a city with people and measured stats', () => {
+  const { simulation } = createSession({ scenario: 'detroit', seed: 1 });
+  const goal = { type: 'crime', value: 20 };
+  assert.ok(!simulation.isGoalMet(goal));
+  assert.strictEqual(simulation.getGoalProgress(goal), 0);
+
+  for (let i = 0; i < 3; i++) simulation.tick();
+  assert.strictEqual(simulation.population, 0);
+  assert.ok(!simulation.scenarioComplete);
+  assert.ok(!simulation.isGoalMet(goal));
+
+  simulation.population = 100;
+  simulation.statsMeasured = true;
+  simulation.stats.crimeRate = 10;
+  assert.ok(simulation.isGoalMet(goal));
+});
@@ -0,0 +1,72 @@
+// simulation.test.js - Seeded runs are reproducible and survive a save
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGameScripts, createSession } = require('../headless');
+
+loadGameScripts();
+
+const OPTIONS = { difficulty: 'easy', rules: 'classic', size: 'small', terrain: {} };
+
+// Run a session for some months and sum up where it got to
+function run(session, months) {
+  for (let i = 0; i < months; i++) {
+    session.simulation.tick();
+  }
+  return JSON.stringify({
+    city: session.city.serialize(),
+    budget: session.budget.serialize(),
+    simulation: session.simulation.serialize()
+  });
+}
+
+// Build a small town so the months have something to simulate
+function buildTown({ city }) {
+  city.useTool('coal-power', 4, 4);
+  for (let x = 4; x < 40; x++) city.useTool('road', x, 10);
+  for (let x = 4; x < 40; x += 3) {
+    city.useTool(x % 2 ? 'residential' : 'commercial', x, 11);
+    city.useTool('industrial', x, 7);
+  }
+}
+
+test('the same seed gives the same city', () => {
+  const states = [1, 2].map(() => {
+    const session = createSession({ ...OPTIONS, seed: 42 });
+    buildTown(session);
+    return run(session, 24);
+  });
+  assert.strictEqual(states[0], states[1]);
+
+  const other = createSession({ ...OPTIONS, seed: 7 });
+  buildTown(other);
+  assert.notStrictEqual(run(other, 24), states[0]);
+});
+
+test('a saved city carries on exactly as if it was never saved', () => {
+  const session = createSession({ ...OPTIONS, seed: 42 });
+  buildTown(session);
+  run(session, 6);
+
+  const saved = JSON.parse(JSON.stringify({
+    city: session.city.serialize(),
+    budget: session.budget.serialize(),
+    simulation: session.simulation.serialize()
+  }));
+  const city = City.deserialize(saved.city);
+  const budget = Budget.deserialize(saved.budget);
+  const simulation = Simulation.deserialize(saved.simulation, city, budget);
+  simulation.pause();
+
+  assert.strictEqual(run({ city, budget, simulation }, 12), run(session, 12));
+});
+
+test('the RNG picks up where its saved state left off', () => {
+  const random = new Random(1234);
+  for (let i = 0; i < 10; i++) random.next();
+
+  const copy = new Random(99);
+  copy.setState(random.getState());
+  const expected = Array.from({ length: 20 }, () => random.next());
+  assert.deepStrictEqual(Array.from({ length: 20 }, () => copy.next()), expected);
+});
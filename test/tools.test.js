@@ -0,0 +1,118 @@
+// tools.test.js - Dragged strokes, bridges and tunnels
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GAME_SCRIPTS, loadGameScripts } = require('../headless');
+
+loadGameScripts([...GAME_SCRIPTS, 'js/game/ToolStroke.js']);
+
+// A grass map with a river of the given width running north to south from x = 20
+function riverCity(riverWidth) {
+  const city = new City(80, 40);
+  for (let y = 0; y < city.height; y++) {
+    for (let x = 20; x < 20 + riverWidth; x++) {
+      city.getTile(x, y).type = TILE_TYPES.WATER;
+    }
+  }
+  return city;
+}
+
+// Apply a stroke the way SimulationSession does and total up what it cost
+function applyStroke(city, stroke) {
+  let cost = 0;
+  let placed = 0;
+  for (const { x, y } of new ToolStroke(city).getPlacements(stroke)) {
+    const tileCost = city.getToolCost(stroke.tool, x, y);
+    if (city.canUseTool(stroke.tool, x, y) && city.useTool(stroke.tool, x, y)) {
+      cost += tileCost;
+      placed++;
+    }
+  }
+  return { cost, placed };
+}
+
+test('a road across a narrow river is bridged, and the preview cost is what it costs', () => {
+  const city = riverCity(5);
+  const stroke = { tool: 'road', x0: 15, y0: 10, x1: 30, y1: 10 };
+  const preview = new ToolStroke(city).preview(stroke);
+
+  assert.ok(preview.placements.every(p => p.valid));
+  assert.strictEqual(preview.cost, 11 * TOOL_COSTS.road + 5 * BRIDGE_COSTS.road);
+
+  assert.deepStrictEqual(applyStroke(city, stroke), { cost: preview.cost, placed: 16 });
+  assert.ok(city.getTile(22, 10).bridge);
+  assert.ok(city.getTile(22, 10).isRoad());
+});
+
+test('a crossing too long to bridge is tunnelled', () => {
+  const city = riverCity(BRIDGE_MAX_SPAN + 4);
+  const stroke = { tool: 'rail', x0: 15, y0: 10, x1: 40, y1: 10 };
+  const preview = new ToolStroke(city).preview(stroke);
+
+  assert.ok(preview.placements.every(p => p.valid));
+  const water = BRIDGE_MAX_SPAN + 4;
+  assert.strictEqual(preview.cost, (26 - water) * TOOL_COSTS.rail + water * TUNNEL_COSTS.rail);
+
+  assert.deepStrictEqual(applyStroke(city, stroke), { cost: preview.cost, placed: 26 });
+  assert.ok(city.getTile(25, 10).tunnel);
+  assert.ok(!city.getTile(25, 10).bridge);
+
+  // Bulldozing a tunnel floods it back to water
+  assert.ok(city.bulldoze(25, 10));
+  assert.ok(city.getTile(25, 10).isWater());
+});
+
+test('a crossing longer than a tunnel stops at the bridge limit', () => {
+  const city = riverCity(TUNNEL_MAX_LENGTH + 2);
+  const stroke = { tool: 'road', x0: 15, y0: 10, x1: 50, y1: 10 };
+  const valid = new ToolStroke(city).preview(stroke).placements.map(p => p.valid);
+
+  assert.strictEqual(valid.filter(v => v).length, 5 + BRIDGE_MAX_SPAN + (50 - 20 - TUNNEL_MAX_LENGTH - 2) + 1);
+  assert.ok(!valid[5 + BRIDGE_MAX_SPAN]);
+});
+
+test('zones fill the dragged rectangle and skip tiles that are taken', () => {
+  const city = riverCity(5);
+  const stroke = { tool: 'residential', x0: 10, y0: 0, x1: 24, y1: 5 };
+  const { placements, cost } = new ToolStroke(city).preview(stroke);
+
+  // Five zones across, two down; the ones reaching the river can't be placed
+  assert.strictEqual(placements.length, 10);
+  assert.strictEqual(placements.filter(p => p.valid).length, 6);
+  assert.strictEqual(cost, 6 * TOOL_COSTS.residential);
+  assert.strictEqual(applyStroke(city, stroke).cost, cost);
+});
+
+test('the bulldozer preview counts each building once', () => {
+  const city = riverCity(0);
+  city.useTool('police', 5, 5);
+  const { placements, cost } = new ToolStroke(city).preview({ tool: 'bulldozer', x0: 5, y0: 5, x1: 7, y1: 7 });
+
+  assert.strictEqual(placements.filter(p => p.valid).length, 1);
+  assert.strictEqual(cost, city.getToolCost('bulldozer', 5, 5));
+});
+
+test('a flood collapses a bridge back into the river', () => {
+  const city = riverCity(10);
+  applyStroke(city, { tool: 'road', x0: 15, y0: 10, x1: 34, y1: 10 });
+  const simulation = new Simulation(city, new Budget(DIFFICULTY.EASY), 1);
+  simulation.random.next = () => 0; // Every tile beside water floods
+
+  simulation.triggerFloodDisaster();
+  for (let x = 20; x < 30; x++) {
+    assert.ok(city.getTile(x, 10).isWater(), `tile ${x} is water`);
+  }
+});
+
+test('a monster wading across a tunnel leaves it alone', () => {
+  const city = riverCity(BRIDGE_MAX_SPAN + 4);
+  applyStroke(city, { tool: 'road', x0: 15, y0: 10, x1: 40, y1: 10 });
+  const simulation = new Simulation(city, new Budget(DIFFICULTY.EASY), 1);
+  simulation.random.next = () => 0.99; // Keep walking straight
+
+  simulation.activeDisasters.monster = { x: 20, y: 10, dx: 1, dy: 0, hp: 50 };
+  for (let i = 0; i < BRIDGE_MAX_SPAN + 4; i++) simulation.updateMonster();
+  for (let x = 20; x < 20 + BRIDGE_MAX_SPAN + 4; x++) {
+    assert.ok(city.getTile(x, 10).tunnel, `tile ${x} is still a tunnel`);
+  }
+});
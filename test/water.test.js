@@ -0,0 +1,82 @@
+// water.test.js - Water networks and the water needed to grow
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGameScripts } = require('../headless');
+
+loadGameScripts();
+
+// A powered pump by the sea, piped along y = 12 to a zone, and a zone no pipe reaches
+function setup() {
+  const city = new City(64, 64);
+  const budget = new Budget(DIFFICULTY.EASY);
+  const simulation = new Simulation(city, budget, 1);
+  for (let y = 0; y < city.height; y++) city.getTile(0, y).type = TILE_TYPES.WATER;
+
+  city.useTool('water-pump', 1, 10);
+  city.useTool('coal-power', 1, 20);
+  for (let y = 12; y < 20; y++) city.useTool('power-line', 1, y);
+  for (let x = 1; x < 20; x++) city.useTool('water-pipe', x, 12);
+  city.useTool('residential', 10, 13);
+  city.useTool('residential', 40, 40);
+
+  const update = () => {
+    simulation.updatePowerGrid();
+    simulation.updateWaterNetworks();
+    simulation.updateWaterSupply();
+  };
+  update();
+  return { city, simulation, update };
+}
+
+test('a powered pump supplies the zones its pipes reach', () => {
+  const { city, simulation } = setup();
+
+  assert.strictEqual(simulation.waterNetworks.length, 1);
+  assert.ok(simulation.waterNetworks[0].pumps[0].nearWater);
+  assert.strictEqual(simulation.stats.waterProduced, WATER_CONSTANTS.PUMP_OUTPUT * WATER_CONSTANTS.PUMP_WATER_BONUS);
+  assert.strictEqual(city.getTile(11, 14).waterState, WATER_STATES.SUPPLIED);
+  assert.strictEqual(city.getTile(40, 40).waterState, WATER_STATES.DRY);
+  assert.strictEqual(simulation.stats.dryZones, 1);
+});
+
+test('a pump without power leaves its network dry', () => {
+  const { city, simulation, update } = setup();
+  city.bulldoze(1, 15);
+  update();
+
+  assert.strictEqual(simulation.stats.waterProduced, 0);
+  assert.strictEqual(city.getTile(11, 14).waterState, WATER_STATES.DRY);
+  assert.strictEqual(city.getTile(5, 12).waterState, WATER_STATES.DRY);
+});
+
+test('zones past the growth level need water to grow', () => {
+  const { city, simulation } = setup();
+  const level = WATER_CONSTANTS.GROWTH_LEVELS.residential;
+  const piped = city.getTile(10, 13);
+  const dry = city.getTile(40, 40);
+  for (const tile of [piped, dry]) {
+    tile.develop();
+    tile.level = level;
+  }
+
+  assert.ok(simulation.hasWaterToGrow(piped));
+  assert.ok(!simulation.hasWaterToGrow(dry));
+  dry.level = level - 1;
+  assert.ok(simulation.hasWaterToGrow(dry));
+});
+
+test('scenarios and older saves grow without water', () => {
+  const { city, simulation } = setup();
+  const dry = city.getTile(40, 40);
+  dry.develop();
+  dry.level = WATER_CONSTANTS.GROWTH_LEVELS.residential;
+
+  const { waterRequired, ...oldSave } = simulation.serialize();
+  assert.strictEqual(waterRequired, true);
+  assert.ok(Simulation.deserialize(oldSave, city, simulation.budget).hasWaterToGrow(dry));
+  assert.ok(!Simulation.deserialize(simulation.serialize(), city, simulation.budget).hasWaterToGrow(dry));
+
+  simulation.setScenario({ year: 1950 });
+  assert.ok(simulation.hasWaterToGrow(dry));
+});